@@ -0,0 +1,1179 @@
+/**
+ * Gmail connector
+ *
+ * - Per-user Google OAuth (refresh token stored encrypted in user_gmail_tokens),
+ *   any number of mailboxes per user
+ * - Pub/Sub push notifications, ingested incrementally from a history cursor
+ * - Manual sync and watch endpoints (per account or all of a user's),
+ *   account list/disconnect, plus automatic watch renewal
+ * - API calls go through lib/gmail-client.js (quota, retries, batching), with
+ *   one OAuth2Client per account so its access token is reused until it expires
+ */
+
+import { google } from 'googleapis';
+import { PORT, GOOGLE_OAUTH_URL } from '../lib/config.js';
+import { storage } from '../lib/storage/index.js';
+import { ingestBatch } from '../lib/ingest.js';
+import { hasUrgentKeyword } from '../lib/scoring.js';
+import { requireUser } from '../lib/auth.js';
+import { encryptToken, decryptToken } from '../lib/token-crypto.js';
+import { verifyPubSubPush } from '../lib/pubsub-push.js';
+import { publishEvent, publishConnectionChange } from '../lib/events.js';
+import { createGmailClient } from '../lib/gmail-client.js';
+import { trackUpstream } from '../lib/metrics.js';
+import { log, addLogContext } from '../lib/logger.js';
+
+const REDIRECT_URI = process.env.GMAIL_REDIRECT_URI || `http://localhost:${PORT}/auth/google/callback`;
+
+// Who may push to /gmail/webhook (see "Securing the Gmail Webhook" in the README)
+const PUBSUB_PUSH_AUTH = {
+  audience: process.env.GMAIL_PUBSUB_AUDIENCE,
+  serviceAccount: process.env.GMAIL_PUBSUB_SERVICE_ACCOUNT,
+  subscription: process.env.GMAIL_PUBSUB_SUBSCRIPTION,
+  testKey: process.env.GMAIL_PUBSUB_TEST_PUBLIC_KEY
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function createOAuth2Client() {
+  return new google.auth.OAuth2({
+    clientId: process.env.GMAIL_CLIENT_ID,
+    clientSecret: process.env.GMAIL_CLIENT_SECRET,
+    redirectUri: REDIRECT_URI,
+    endpoints: {
+      oauth2TokenUrl: `${GOOGLE_OAUTH_URL}/token`,
+      oauth2RevokeUrl: `${GOOGLE_OAUTH_URL}/revoke`
+    }
+  });
+}
+
+// Gmail OAuth2 client (shared config, per-user tokens)
+const oauth2Client = createOAuth2Client();
+
+// OAuth2Client per account: email -> { refreshToken (as stored), auth }
+const userAuthCache = new Map();
+
+/**
+ * The OAuth2Client for a connected account, from its stored refresh token
+ * (decrypted here, so callers pass the record as stored). Cached per
+ * account, so the access token it holds is reused until it expires instead
+ * of being refreshed for every client; a new refresh token (reconnect)
+ * replaces the cached one.
+ */
+function userAuthFor(tokenRecord) {
+  const cached = userAuthCache.get(tokenRecord.email_address);
+  if (cached?.refreshToken === tokenRecord.refresh_token) return cached.auth;
+
+  const auth = createOAuth2Client();
+  auth.setCredentials({ refresh_token: decryptToken(tokenRecord.refresh_token) });
+  userAuthCache.set(tokenRecord.email_address, { refreshToken: tokenRecord.refresh_token, auth });
+  return auth;
+}
+
+/**
+ * Gmail client for a connected account (see lib/gmail-client.js)
+ */
+function gmailFor(tokenRecord) {
+  return createGmailClient(userAuthFor(tokenRecord), tokenRecord.email_address);
+}
+
+/**
+ * A mailbox as GET /connections shows it. Status is the watch state
+ * ('active', 'error', 'needs_reauth'), or 'connected' before the first watch.
+ */
+function gmailConnectionView(record) {
+  return {
+    account: record.email_address,
+    name: record.email_address,
+    status: record.watch_status || 'connected',
+    last_synced_at: record.last_synced_at,
+    watch_expiration: record.watch_expiration,
+    last_error: record.last_error || record.watch_error
+  };
+}
+
+/**
+ * Tell the user's extension that a mailbox changed (`update` applied to `record`)
+ */
+function publishGmailConnection(record, update = {}) {
+  return publishConnectionChange(record.user_id, 'gmail', gmailConnectionView({ ...record, ...update }));
+}
+
+/**
+ * Deep link that opens the message in the right mailbox: `authuser` picks
+ * the signed-in Google account by address, where /u/0/ is whichever one
+ * the browser signed into first
+ */
+function createGmailLink(messageId, accountEmail) {
+  if (!accountEmail) return `https://mail.google.com/mail/u/0/#inbox/${messageId}`;
+  return `https://mail.google.com/mail/?authuser=${encodeURIComponent(accountEmail)}#inbox/${messageId}`;
+}
+
+function extractEmailHeaders(message) {
+  const headers = message.payload?.headers || [];
+  const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+  return {
+    from: getHeader('From'),
+    subject: getHeader('Subject'),
+    date: getHeader('Date'),
+    to: getHeader('To'),
+    cc: getHeader('Cc'),
+    messageId: getHeader('Message-ID')
+  };
+}
+
+function parseSenderAddress(fromHeader) {
+  const match = (fromHeader || '').match(/<(.+)>/);
+  return (match ? match[1] : fromHeader || '').trim().toLowerCase();
+}
+
+function parseSenderName(fromHeader) {
+  if (!fromHeader) return 'Unknown Sender';
+  const match = fromHeader.match(/^(.+?)\s*<.+>$/);
+  if (match) return match[1].replace(/"/g, '').trim();
+  const emailMatch = fromHeader.match(/<(.+)>/);
+  if (emailMatch) return emailMatch[1];
+  return fromHeader;
+}
+
+function decodeBase64Url(data) {
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+/**
+ * Find the readable body in a `format: 'full'` payload — text/plain is
+ * preferred, text/html is the fallback. Attachments are ignored.
+ */
+function extractGmailBody(payload) {
+  const found = {};
+
+  const walk = (part) => {
+    if (!part) return;
+    if (part.filename) return;
+    if (part.body?.data && (part.mimeType === 'text/plain' || part.mimeType === 'text/html')) {
+      found[part.mimeType] ??= decodeBase64Url(part.body.data);
+    }
+    (part.parts || []).forEach(walk);
+  };
+  walk(payload);
+
+  if (found['text/plain']) return { body: found['text/plain'], format: 'text' };
+  if (found['text/html']) return { body: found['text/html'], format: 'html' };
+  return null;
+}
+
+/**
+ * Turn a Gmail API message (metadata format) into the common message shape
+ */
+function normalizeGmailMessage(message, { user_id, accountEmail }) {
+  const headers = extractEmailHeaders(message);
+
+  return {
+    platform: 'gmail',
+    user_id,
+    messageId: headers.messageId || message.id,
+    threadKey: `${accountEmail}:${message.threadId}`,
+    sender: parseSenderName(headers.from),
+    senderAddress: parseSenderAddress(headers.from),
+    summary: headers.subject || '(No Subject)',
+    url: createGmailLink(message.id, accountEmail),
+    account: accountEmail,
+    sentAt: Number(message.internalDate) || Date.parse(headers.date) || Date.now(),
+    ref: { id: message.id, threadId: message.threadId, account: accountEmail },
+    meta: {
+      id: message.id,
+      threadId: message.threadId,
+      from: headers.from,
+      to: headers.to,
+      cc: headers.cc,
+      date: headers.date,
+      text: message.snippet || '',
+      labelIds: message.labelIds || []
+    }
+  };
+}
+
+// ============================================
+// GMAIL INCREMENTAL SYNC (history cursor)
+// ============================================
+
+// Upper bound on messages re-listed when there is no usable history cursor
+const GMAIL_FULL_RESYNC_LIMIT = 50;
+// `maxResults` for a forced full resync from POST /gmail/sync (default, cap)
+const GMAIL_SYNC_DEFAULT_RESULTS = 10;
+const GMAIL_SYNC_MAX_RESULTS = 500;
+
+function isHistoryTooOld(error) {
+  return error?.code === 404 || error?.response?.status === 404;
+}
+
+function laterHistoryId(a, b) {
+  if (!a) return b ? String(b) : null;
+  if (!b) return String(a);
+  return BigInt(a) >= BigInt(b) ? String(a) : String(b);
+}
+
+/**
+ * Walk users.history.list from the stored cursor and collect added INBOX
+ * message IDs, plus what the user did themselves (for auto-resolve): sent
+ * messages, and messages taken out of INBOX (archived) or UNREAD (read).
+ * Throws the Gmail error as-is so callers can detect an expired cursor
+ */
+async function listGmailHistory(userGmail, startHistoryId) {
+  const messageIds = [];
+  const seen = new Set();
+  const outbound = { sent: [], archived: [], read: [] };
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const response = await userGmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded', 'labelRemoved'],
+      pageToken
+    });
+
+    for (const record of response.data.history || []) {
+      for (const { message } of record.messagesAdded || []) {
+        const labelIds = message?.labelIds || [];
+        if (labelIds.includes('SENT')) {
+          outbound.sent.push(message);
+        } else if (message?.id && labelIds.includes('INBOX') && !seen.has(message.id)) {
+          seen.add(message.id);
+          messageIds.push(message.id);
+        }
+      }
+
+      for (const { message, labelIds = [] } of record.labelsRemoved || []) {
+        if (labelIds.includes('INBOX')) outbound.archived.push(message);
+        if (labelIds.includes('UNREAD')) outbound.read.push(message);
+      }
+    }
+
+    historyId = laterHistoryId(historyId, response.data.historyId);
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return { messageIds, outbound, historyId };
+}
+
+/**
+ * Turn the outbound changes of a history walk into auto-resolve activity,
+ * one per thread and reason, and the sent messages to watch for a reply
+ * (lib/reminders.js). Sent messages are dated by Gmail so a reply that
+ * arrived after yours in the same walk keeps its item open.
+ */
+async function collectGmailActivity(userGmail, outbound, { user_id, accountEmail }) {
+  const byKey = new Map();
+  const sent = [];
+  const add = (reason, message, at) => {
+    if (!message?.threadId) return;
+    const threadKey = `${accountEmail}:${message.threadId}`;
+    const key = `${reason}:${threadKey}`;
+    if ((byKey.get(key)?.at || 0) < at) byKey.set(key, { user_id, platform: 'gmail', reason, threadKey, at });
+  };
+
+  const fetched = await userGmail.getMessages(outbound.sent.map(message => message.id), {
+    format: 'metadata',
+    metadataHeaders: ['To', 'Subject', 'Message-ID']
+  });
+  const sentById = new Map(fetched.map(data => [data.id, data]));
+
+  for (const message of outbound.sent) {
+    const data = sentById.get(message.id);
+    if (!data) {
+      // Deleted since
+      add('gmail_sent', message, Date.now());
+      continue;
+    }
+
+    const at = Number(data.internalDate) || Date.now();
+    add('gmail_sent', message, at);
+
+    const headers = extractEmailHeaders(data);
+    // Notes to yourself aren't waiting on anyone
+    if (!headers.to || parseSenderAddress(headers.to) === accountEmail.toLowerCase()) continue;
+    sent.push({
+      user_id,
+      platform: 'gmail',
+      account: accountEmail,
+      threadKey: `${accountEmail}:${data.threadId}`,
+      messageId: headers.messageId || data.id,
+      subject: headers.subject || '(No Subject)',
+      recipient: parseSenderName(headers.to),
+      url: createGmailLink(data.id, accountEmail),
+      ref: { id: data.id, threadId: data.threadId, account: accountEmail },
+      sentAt: at
+    });
+  }
+
+  const now = Date.now();
+  outbound.archived.forEach(message => add('gmail_archived', message, now));
+  outbound.read.forEach(message => add('gmail_read', message, now));
+
+  return { activity: [...byKey.values()], sent };
+}
+
+/**
+ * Bounded full resync — list the newest INBOX messages and reset the cursor
+ * to the mailbox's current historyId (read first, so nothing slips in between)
+ */
+async function listGmailRecent(userGmail, maxResults = GMAIL_FULL_RESYNC_LIMIT) {
+  const profile = await userGmail.users.getProfile({ userId: 'me' });
+  const messages = await userGmail.listMessages({ labelIds: ['INBOX'], maxResults });
+
+  return {
+    messageIds: messages.map(msg => msg.id),
+    historyId: String(profile.data.historyId)
+  };
+}
+
+// ============================================
+// SCORING SIGNALS
+// ============================================
+
+// "Has the user written to this sender?" answers, keyed by account + sender
+const REPLIED_CACHE_TTL_MS = 60 * 60 * 1000;
+const repliedCache = new Map();
+
+function headerIncludes(header, address) {
+  return (header || '').toLowerCase().includes(address.toLowerCase());
+}
+
+async function hasRepliedTo(userGmail, accountEmail, senderAddress) {
+  if (!senderAddress || senderAddress === accountEmail.toLowerCase()) return false;
+
+  const key = `${accountEmail}:${senderAddress}`;
+  const cached = repliedCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  let value = false;
+  try {
+    const response = await userGmail.users.messages.list({
+      userId: 'me',
+      q: `in:sent to:${senderAddress}`,
+      maxResults: 1
+    });
+    value = (response.data.messages || []).length > 0;
+  } catch (error) {
+    log.warn('Could not check sent mail', error, { account: accountEmail });
+  }
+
+  repliedCache.set(key, { value, expires: Date.now() + REPLIED_CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Scoring signals for one Gmail message (see lib/scoring.js)
+ */
+async function collectGmailSignals(userGmail, message, accountEmail) {
+  const { labelIds, to, cc } = message.meta;
+  const direct = headerIncludes(to, accountEmail);
+
+  return {
+    important: labelIds.includes('IMPORTANT'),
+    starred: labelIds.includes('STARRED'),
+    direct,
+    cc: !direct && headerIncludes(cc, accountEmail),
+    urgent_keyword: hasUrgentKeyword(`${message.summary} ${message.meta.text}`),
+    replied_before: await hasRepliedTo(userGmail, accountEmail, message.senderAddress)
+  };
+}
+
+/**
+ * Fetch message metadata (batched) and normalize it. Messages deleted since
+ * they were listed are skipped. With `withSignals`, scoring signals are
+ * collected too (skipped for previews like the rule dry-run).
+ */
+async function fetchGmailMessages(userGmail, messageIds, user_id, { accountEmail, withSignals = false } = {}) {
+  const fetched = await userGmail.getMessages(messageIds, {
+    format: 'metadata',
+    metadataHeaders: ['From', 'To', 'Cc', 'Subject', 'Date', 'Message-ID']
+  });
+  const messages = [];
+
+  for (const data of fetched) {
+    const normalized = normalizeGmailMessage(data, { user_id, accountEmail });
+
+    // Full bodies are only fetched for messages that survive triage
+    normalized.loadBody = async () => {
+      const full = await userGmail.users.messages.get({ userId: 'me', id: data.id, format: 'full' });
+      return extractGmailBody(full.data.payload);
+    };
+
+    if (withSignals) {
+      normalized.signals = await collectGmailSignals(userGmail, normalized, accountEmail);
+    }
+    messages.push(normalized);
+  }
+
+  return messages;
+}
+
+/**
+ * Remember why the last sync of an account failed (shown by GET /connections)
+ */
+async function recordGmailSyncError(tokenRecord, syncError) {
+  try {
+    await storage.gmailConnections.update(tokenRecord.email_address, { last_error: syncError.message });
+  } catch (error) {
+    log.error('Error saving Gmail sync failure', error);
+    return;
+  }
+  if (tokenRecord.last_error !== syncError.message) {
+    await publishGmailConnection(tokenRecord, { last_error: syncError.message });
+  }
+}
+
+/**
+ * Fetch new messages for one connected account from its stored history cursor.
+ * Shared by the push webhook and the manual /gmail/sync endpoint so both
+ * advance the same cursor. Falls back to a bounded full resync when there
+ * is no cursor yet, when Gmail reports it as too old, or when `full` is set.
+ * The returned batch saves the new cursor only after ingestion succeeds.
+ */
+async function fetchGmailAccount(tokenRecord, { full = false, maxResults } = {}) {
+  const { user_id, email_address, history_id } = tokenRecord;
+  const userGmail = gmailFor(tokenRecord);
+
+  let listing;
+  let mode = 'incremental';
+  let messages;
+  let activity = [];
+  let sent = [];
+
+  try {
+    if (!full && history_id) {
+      try {
+        listing = await listGmailHistory(userGmail, history_id);
+      } catch (error) {
+        if (!isHistoryTooOld(error)) throw error;
+        log.warn('History ID too old, running full resync', { account: email_address, history_id });
+      }
+    }
+
+    if (!listing) {
+      mode = 'full';
+      listing = await listGmailRecent(userGmail, maxResults || GMAIL_FULL_RESYNC_LIMIT);
+    }
+
+    messages = await fetchGmailMessages(userGmail, listing.messageIds, user_id, {
+      accountEmail: email_address,
+      withSignals: true
+    });
+
+    if (listing.outbound) {
+      ({ activity, sent } = await collectGmailActivity(userGmail, listing.outbound, { user_id, accountEmail: email_address }));
+    }
+  } catch (error) {
+    await recordGmailSyncError(tokenRecord, error);
+    throw error;
+  }
+
+  // A full resync resets the cursor; an incremental walk only ever moves it forward
+  const nextHistoryId = mode === 'full'
+    ? listing.historyId
+    : laterHistoryId(history_id, listing.historyId);
+
+  const afterIngest = async () => {
+    const update = { last_synced_at: new Date().toISOString(), last_error: null };
+    if (nextHistoryId && nextHistoryId !== history_id) update.history_id = nextHistoryId;
+
+    try {
+      await storage.gmailConnections.update(email_address, update);
+    } catch (error) {
+      log.error('Error saving Gmail history cursor', error);
+      throw error;
+    }
+    if (tokenRecord.last_error) await publishGmailConnection(tokenRecord, update);
+  };
+
+  return { mode, historyId: nextHistoryId, messages, activity, sent, afterIngest };
+}
+
+// ============================================
+// GMAIL WATCH (push notifications + renewal)
+// ============================================
+
+// Renew a watch this long before Gmail's reported expiration
+const GMAIL_WATCH_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+// How often the scheduler scans user_gmail_tokens
+const GMAIL_WATCH_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Retry backoff after a failed renewal (doubles per failure, capped)
+const GMAIL_WATCH_RETRY_BASE_MS = 5 * 60 * 1000;
+const GMAIL_WATCH_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+function isInvalidGrant(error) {
+  return error?.response?.data?.error === 'invalid_grant' ||
+    /invalid_grant/.test(error?.message || '');
+}
+
+/**
+ * Issue users.watch for one connected account and record the result.
+ * Seeds the history cursor on first watch; an existing cursor is kept so
+ * mail that arrived before this watch is still picked up by the next sync.
+ */
+async function startGmailWatch(tokenRecord) {
+  const userGmail = gmailFor(tokenRecord);
+
+  const response = await userGmail.users.watch({
+    userId: 'me',
+    requestBody: {
+      topicName: process.env.GMAIL_PUBSUB_TOPIC,
+      labelIds: ['INBOX']
+    }
+  });
+
+  const update = {
+    watch_expiration: new Date(Number(response.data.expiration)).toISOString(),
+    watch_status: 'active',
+    watch_failures: 0,
+    watch_retry_at: null,
+    watch_error: null
+  };
+
+  if (!tokenRecord.history_id && response.data.historyId) {
+    update.history_id = String(response.data.historyId);
+  }
+
+  try {
+    await storage.gmailConnections.update(tokenRecord.email_address, update);
+  } catch (error) {
+    log.error('Error saving Gmail watch state', error);
+    throw error;
+  }
+  if (tokenRecord.watch_status !== 'active') await publishGmailConnection(tokenRecord, update);
+
+  return response.data;
+}
+
+/**
+ * Record a failed renewal — revoked refresh tokens park the account in
+ * needs_reauth, anything else is retried with exponential backoff
+ */
+async function recordGmailWatchFailure(tokenRecord, watchError) {
+  const failures = (tokenRecord.watch_failures || 0) + 1;
+  const update = { watch_failures: failures, watch_error: watchError.message };
+
+  if (isInvalidGrant(watchError)) {
+    update.watch_status = 'needs_reauth';
+    update.watch_retry_at = null;
+  } else {
+    const delay = Math.min(GMAIL_WATCH_RETRY_BASE_MS * 2 ** (failures - 1), GMAIL_WATCH_RETRY_MAX_MS);
+    update.watch_status = 'error';
+    update.watch_retry_at = new Date(Date.now() + delay).toISOString();
+  }
+
+  try {
+    await storage.gmailConnections.update(tokenRecord.email_address, update);
+    await publishGmailConnection(tokenRecord, update);
+  } catch (error) {
+    log.error('Error saving Gmail watch failure', error);
+  }
+  return update.watch_status;
+}
+
+function isGmailWatchDue(tokenRecord, now = Date.now()) {
+  if (tokenRecord.watch_status === 'needs_reauth') return false;
+  if (tokenRecord.watch_retry_at && Date.parse(tokenRecord.watch_retry_at) > now) return false;
+  if (!tokenRecord.watch_expiration) return true;
+  return Date.parse(tokenRecord.watch_expiration) - now < GMAIL_WATCH_RENEW_BEFORE_MS;
+}
+
+let gmailWatchRenewalRunning = false;
+
+/**
+ * Re-issue users.watch for every account whose watch is missing or about to lapse
+ */
+async function renewGmailWatches() {
+  if (gmailWatchRenewalRunning) return;
+  gmailWatchRenewalRunning = true;
+
+  try {
+    let tokenRecords;
+    try {
+      tokenRecords = await storage.gmailConnections.list();
+    } catch (error) {
+      log.error('Error loading Gmail accounts for watch renewal', error);
+      return;
+    }
+
+    for (const tokenRecord of tokenRecords) {
+      if (!isGmailWatchDue(tokenRecord)) continue;
+
+      try {
+        const watch = await startGmailWatch(tokenRecord);
+        log.info('Gmail watch renewed', {
+          account: tokenRecord.email_address,
+          user_id: tokenRecord.user_id,
+          expiration: new Date(Number(watch.expiration)).toISOString()
+        });
+      } catch (watchError) {
+        const status = await recordGmailWatchFailure(tokenRecord, watchError);
+        log.error('Gmail watch renewal failed', watchError, { account: tokenRecord.email_address, user_id: tokenRecord.user_id, watch_status: status });
+      }
+    }
+  } finally {
+    gmailWatchRenewalRunning = false;
+  }
+}
+
+function startGmailWatchScheduler() {
+  if (!process.env.GMAIL_PUBSUB_TOPIC) {
+    log.info('Gmail watch renewal disabled (GMAIL_PUBSUB_TOPIC not set)');
+    return;
+  }
+  renewGmailWatches();
+  setInterval(renewGmailWatches, GMAIL_WATCH_CHECK_INTERVAL_MS);
+}
+
+// ============================================
+// SOURCE ACTIONS (complete / archive / reply)
+// ============================================
+
+// Label applied to messages completed from the extension
+const GMAIL_DONE_LABEL = process.env.GMAIL_DONE_LABEL || 'Triage/Done';
+
+// Label IDs by account, so each label is only looked up once
+const labelIdCache = new Map();
+
+/**
+ * Gmail client for the account an item came from (falls back to the user's
+ * only account for items saved before source refs were recorded)
+ */
+async function gmailForItem(item) {
+  const [tokenRecord] = await storage.gmailConnections.listByUser(item.user_id, { account: item.source_ref?.account });
+  if (!tokenRecord) throw new Error('Gmail not connected for this user');
+
+  return {
+    userGmail: gmailFor(tokenRecord),
+    accountEmail: tokenRecord.email_address
+  };
+}
+
+async function ensureGmailLabel(userGmail, accountEmail, name) {
+  const key = `${accountEmail}:${name}`;
+  if (labelIdCache.has(key)) return labelIdCache.get(key);
+
+  const { data } = await userGmail.users.labels.list({ userId: 'me' });
+  let label = (data.labels || []).find(l => l.name === name);
+
+  if (!label) {
+    const created = await userGmail.users.labels.create({
+      userId: 'me',
+      requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+    });
+    label = created.data;
+  }
+
+  labelIdCache.set(key, label.id);
+  return label.id;
+}
+
+function encodeBase64Url(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Build an RFC 2822 reply that Gmail threads with the original
+ */
+async function buildGmailReply(userGmail, accountEmail, messageId, text) {
+  const original = await userGmail.users.messages.get({
+    userId: 'me',
+    id: messageId,
+    format: 'metadata',
+    metadataHeaders: ['From', 'Reply-To', 'Subject', 'Message-ID', 'References']
+  });
+
+  const headers = original.data.payload?.headers || [];
+  const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+  const subject = getHeader('Subject');
+  const originalId = getHeader('Message-ID');
+  // Encode non-ASCII subjects as RFC 2047 so they survive transport
+  const replySubject = /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+  const encodedSubject = /^[\x20-\x7e]*$/.test(replySubject)
+    ? replySubject
+    : `=?UTF-8?B?${Buffer.from(replySubject, 'utf8').toString('base64')}?=`;
+
+  const raw = [
+    `From: ${accountEmail}`,
+    `To: ${getHeader('Reply-To') || getHeader('From')}`,
+    `Subject: ${encodedSubject}`,
+    originalId ? `In-Reply-To: ${originalId}` : null,
+    originalId ? `References: ${[getHeader('References'), originalId].filter(Boolean).join(' ')}` : null,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset="UTF-8"',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text
+  ].filter(line => line !== null).join('\r\n');
+
+  return { raw: encodeBase64Url(raw), threadId: original.data.threadId };
+}
+
+/**
+ * Mirror an action taken in the extension on the Gmail message
+ */
+async function performGmailAction(action, item, params = {}) {
+  const messageId = item.source_ref?.id;
+  if (!messageId) throw new Error('Item has no Gmail message reference');
+
+  const { userGmail, accountEmail } = await gmailForItem(item);
+
+  switch (action) {
+    case 'complete': {
+      const labelId = await ensureGmailLabel(userGmail, accountEmail, GMAIL_DONE_LABEL);
+      await userGmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        requestBody: { addLabelIds: [labelId], removeLabelIds: ['UNREAD'] }
+      });
+      return { performed: true, detail: `Labeled "${GMAIL_DONE_LABEL}" and marked read` };
+    }
+    case 'archive':
+      await userGmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        requestBody: { removeLabelIds: ['INBOX', 'UNREAD'] }
+      });
+      return { performed: true, detail: 'Archived' };
+    case 'reply': {
+      const requestBody = await buildGmailReply(userGmail, accountEmail, messageId, params.text);
+      const sent = await userGmail.users.messages.send({ userId: 'me', requestBody });
+      return { performed: true, detail: 'Reply sent', id: sent.data.id };
+    }
+    default:
+      // Gmail has no snooze API — snoozing only changes the item
+      return { performed: false };
+  }
+}
+
+/**
+ * Email the daily digest to the user from their own mailbox (the first
+ * connected account), as HTML with a plain-text alternative
+ */
+async function sendGmailDigest(user_id, { subject, html, text }) {
+  const [tokenRecord] = await loadGmailAccounts(user_id);
+  if (!tokenRecord) throw new Error('Gmail not connected for this user');
+
+  const userGmail = gmailFor(tokenRecord);
+  const boundary = `digest-${Date.now().toString(36)}`;
+  const encodedSubject = /^[\x20-\x7e]*$/.test(subject)
+    ? subject
+    : `=?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`;
+
+  const raw = [
+    `From: ${tokenRecord.email_address}`,
+    `To: ${tokenRecord.email_address}`,
+    `Subject: ${encodedSubject}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset="UTF-8"',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text,
+    `--${boundary}`,
+    'Content-Type: text/html; charset="UTF-8"',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    html,
+    `--${boundary}--`
+  ].join('\r\n');
+
+  const sent = await userGmail.users.messages.send({ userId: 'me', requestBody: { raw: encodeBase64Url(raw) } });
+  return { detail: `Emailed to ${tokenRecord.email_address}`, id: sent.data.id };
+}
+
+// ============================================
+// GMAIL-SPECIFIC ROUTES
+// ============================================
+
+/**
+ * The signed-in user's connected accounts, or just `account` when given
+ * (empty if it isn't theirs)
+ */
+async function loadGmailAccounts(user_id, account) {
+  return storage.gmailConnections.listByUser(user_id, { account });
+}
+
+/**
+ * Stop an account's push notifications, revoke its refresh token at Google
+ * and delete the stored credentials. Returns false if the user has no such
+ * account. Stopping and revoking are best-effort: a token the user already
+ * revoked can do neither, and the watch then lapses on its own.
+ */
+async function disconnectGmailAccount(user_id, emailAddress) {
+  const [tokenRecord] = await loadGmailAccounts(user_id, emailAddress);
+  if (!tokenRecord) return false;
+
+  const refreshToken = decryptToken(tokenRecord.refresh_token);
+
+  try {
+    await gmailFor(tokenRecord).users.stop({ userId: 'me' });
+  } catch (stopError) {
+    log.warn('Could not stop Gmail watch', stopError, { account: emailAddress });
+  }
+
+  try {
+    await trackUpstream('google_oauth', 'revokeToken', () => oauth2Client.revokeToken(refreshToken));
+  } catch (revokeError) {
+    log.warn('Could not revoke Gmail token', revokeError, { account: emailAddress });
+  }
+
+  await storage.gmailConnections.delete(user_id, tokenRecord.email_address);
+  userAuthCache.delete(tokenRecord.email_address);
+  await publishEvent(user_id, 'connection.removed', { id: `gmail:${tokenRecord.email_address}`, platform: 'gmail', account: tokenRecord.email_address });
+
+  log.info('Gmail disconnected', { account: emailAddress, user_id });
+  return true;
+}
+
+function registerRoutes(app) {
+  /**
+   * GET /gmail/accounts  (authenticated)
+   * List the signed-in user's connected Gmail accounts and their watch state
+   */
+  app.get('/gmail/accounts', requireUser, async (req, res) => {
+    try {
+      const tokenRecords = await loadGmailAccounts(req.user_id);
+      res.json({
+        accounts: tokenRecords.map(({ email_address, watch_status, watch_expiration, watch_error }) => ({
+          email_address, watch_status, watch_expiration, watch_error
+        }))
+      });
+    } catch (error) {
+      log.error('Gmail accounts error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /gmail/accounts/:email  (authenticated)
+   * Disconnect one Gmail account (see disconnectGmailAccount).
+   * Items already captured from it are kept.
+   */
+  app.delete('/gmail/accounts/:email', requireUser, async (req, res) => {
+    try {
+      if (!(await disconnectGmailAccount(req.user_id, req.params.email))) {
+        return res.status(404).json({ error: 'Gmail account not connected for this user' });
+      }
+      res.json({ success: true, account: req.params.email });
+    } catch (error) {
+      log.error('Gmail disconnect error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /gmail/sync  (authenticated)
+   * Manually sync emails for the signed-in user — every connected account,
+   * or only `account` (an email address) when given.
+   * Uses the same history cursor as the webhook; pass `full: true` to force a
+   * bounded resync of the newest `maxResults` INBOX messages instead
+   * (default 10, at most GMAIL_SYNC_MAX_RESULTS). An account that fails is
+   * reported with its `error` in `accounts`; 500 only when every one failed.
+   */
+  app.post('/gmail/sync', requireUser, async (req, res) => {
+    try {
+      const { full = false, account } = req.body;
+      const maxResults = Math.min(Math.max(Number(req.body.maxResults) || GMAIL_SYNC_DEFAULT_RESULTS, 1), GMAIL_SYNC_MAX_RESULTS);
+      const user_id = req.user_id;
+
+      const tokenRecords = await loadGmailAccounts(user_id, account);
+      if (!tokenRecords.length) {
+        return res.status(404).json({ error: account ? 'Gmail account not connected for this user' : 'Gmail not connected for this user' });
+      }
+
+      const accounts = [];
+      const results = [];
+      let filtered = 0;
+      let resolved = 0;
+
+      for (const tokenRecord of tokenRecords) {
+        let batch;
+        let ingested;
+        try {
+          batch = await fetchGmailAccount(tokenRecord, { full, maxResults });
+          ingested = await ingestBatch(gmailConnector, batch);
+        } catch (syncError) {
+          // One failing mailbox doesn't stop the others
+          log.error('Gmail sync failed', syncError, { account: tokenRecord.email_address });
+          accounts.push({ account: tokenRecord.email_address, error: syncError.message });
+          continue;
+        }
+
+        accounts.push({
+          account: tokenRecord.email_address,
+          mode: batch.mode,
+          historyId: batch.historyId,
+          processed: ingested.results.length,
+          filtered: ingested.filtered,
+          resolved: ingested.resolved
+        });
+        results.push(...ingested.results);
+        filtered += ingested.filtered;
+        resolved += ingested.resolved;
+      }
+
+      const failed = accounts.filter(a => a.error).length;
+      const synced = accounts.length - failed;
+      // Only an error when no account could be synced
+      res.status(synced ? 200 : 500).json({
+        success: synced > 0,
+        accounts,
+        processed: results.length,
+        filtered,
+        resolved,
+        message: `Added ${results.length} emails from ${synced} account(s), filtered out ${filtered} by triage rules` +
+          (failed ? `; ${failed} account(s) failed` : ''),
+        results
+      });
+    } catch (error) {
+      log.error('Gmail sync error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /gmail/watch  (authenticated)
+   * Set up Gmail push notifications for the signed-in user's accounts, or
+   * only `account` when given (the renewal scheduler keeps them alive after that)
+   */
+  app.post('/gmail/watch', requireUser, async (req, res) => {
+    try {
+      const user_id = req.user_id;
+      const { account } = req.body;
+
+      const tokenRecords = await loadGmailAccounts(user_id, account);
+      if (!tokenRecords.length) {
+        return res.status(404).json({ error: account ? 'Gmail account not connected for this user' : 'Gmail not connected for this user' });
+      }
+
+      const accounts = [];
+      for (const tokenRecord of tokenRecords) {
+        try {
+          const watch = await startGmailWatch(tokenRecord);
+          log.info('Gmail watch started', { account: tokenRecord.email_address, history_id: watch.historyId, expiration: watch.expiration });
+          accounts.push({ account: tokenRecord.email_address, historyId: watch.historyId, expiration: watch.expiration });
+        } catch (watchError) {
+          const status = await recordGmailWatchFailure(tokenRecord, watchError);
+          log.error('Gmail watch failed', watchError, { account: tokenRecord.email_address, watch_status: status });
+          accounts.push({ account: tokenRecord.email_address, error: watchError.message, status });
+        }
+      }
+
+      const failed = accounts.filter(a => a.error).length;
+      // Only an error when nothing could be watched
+      res.status(failed === accounts.length ? 500 : 200).json({
+        success: failed < accounts.length,
+        message: failed ? `Gmail watch activated for ${accounts.length - failed} of ${accounts.length} accounts` : 'Gmail watch activated',
+        accounts
+      });
+    } catch (error) {
+      log.error('Gmail watch error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+// ============================================
+// CONNECTOR
+// ============================================
+
+const gmailConnector = {
+  platform: 'gmail',
+  name: 'Gmail',
+  authPath: '/auth/google',
+  webhookPath: '/gmail/webhook',
+
+  isConfigured() {
+    return !!process.env.GMAIL_CLIENT_ID;
+  },
+
+  getAuthUrl(state) {
+    return oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      // gmail.modify covers reading plus labeling, archiving and sending
+      // replies. Don't add gmail.metadata: it makes Google reject
+      // `format: 'full'` and `q` searches for the whole token
+      scope: [
+        'https://www.googleapis.com/auth/gmail.modify'
+      ],
+      prompt: 'consent',
+      state
+    });
+  },
+
+  /**
+   * Exchange the code and store the refresh token per user
+   */
+  async handleAuthCallback(code, user_id) {
+    const { tokens } = await trackUpstream('google_oauth', 'getToken', () => oauth2Client.getToken(code));
+
+    // Look up which mailbox this is with the access token we were just given
+    const auth = createOAuth2Client();
+    auth.setCredentials(tokens);
+    const profile = await createGmailClient(auth).users.getProfile({ userId: 'me' });
+    const emailAddress = profile.data.emailAddress;
+
+    const record = {
+      user_id,
+      email_address: emailAddress,
+      refresh_token: encryptToken(tokens.refresh_token),
+      // Reconnecting clears a needs_reauth state so the scheduler picks it up again
+      watch_status: null,
+      watch_failures: 0,
+      watch_retry_at: null,
+      watch_error: null,
+      last_error: null
+    };
+    try {
+      await storage.gmailConnections.upsert(record);
+    } catch (error) {
+      log.error('Error storing Gmail token', error);
+      throw error;
+    }
+    // ...and keep using it, instead of refreshing on the first sync
+    userAuthCache.set(emailAddress, { refreshToken: record.refresh_token, auth });
+    await publishGmailConnection(record);
+
+    log.info('Gmail connected', { account: emailAddress, user_id });
+    return `Connected: ${emailAddress}`;
+  },
+
+  /**
+   * Pub/Sub push OIDC token, checked against Google's keys (or the local
+   * test key), plus the subscription name
+   */
+  async verifyWebhook(req) {
+    try {
+      await verifyPubSubPush(req, PUBSUB_PUSH_AUTH);
+      return true;
+    } catch (error) {
+      log.warn('Rejected Gmail push', { reason: error.message });
+      return false;
+    }
+  },
+
+  /**
+   * One job per Pub/Sub notification, keyed by mailbox so its history cursor
+   * is walked by one worker at a time. Pub/Sub delivers at least once, so
+   * its messageId is the dedup key.
+   */
+  parseWebhook(req) {
+    const data = req.body.message?.data;
+    if (!data) return [];
+
+    // A push that can't be decoded never will be: ack it (no jobs) so
+    // Pub/Sub doesn't redeliver it until it expires
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(data, 'base64').toString());
+    } catch (error) {
+      log.warn('Dropping undecodable Gmail push', error, { message_id: req.body.message.messageId });
+      return [];
+    }
+    if (!decoded?.emailAddress) {
+      log.warn('Dropping Gmail push without an email address', { message_id: req.body.message.messageId });
+      return [];
+    }
+
+    log.info('Gmail notification', { account: decoded.emailAddress, history_id: decoded.historyId });
+
+    const pushId = req.body.message.messageId || req.body.message.message_id;
+    return [{
+      payload: { emailAddress: decoded.emailAddress, historyId: decoded.historyId },
+      concurrencyKey: `gmail:${decoded.emailAddress}`,
+      dedupKey: pushId ? `gmail-push:${pushId}` : null
+    }];
+  },
+
+  /**
+   * Look up the account named in the notification and fetch everything
+   * since its history cursor
+   */
+  async fetchFromWebhook({ emailAddress }) {
+    const tokenRecord = await storage.gmailConnections.get(emailAddress);
+    if (!tokenRecord) {
+      log.info('No user found for Gmail account', { account: emailAddress });
+      return [];
+    }
+
+    addLogContext({ user_id: tokenRecord.user_id, account: emailAddress });
+    const batch = await fetchGmailAccount(tokenRecord);
+    log.info('Fetched new Gmail messages', { count: batch.messages.length, mode: batch.mode });
+    return [batch];
+  },
+
+  normalize: normalizeGmailMessage,
+
+  buildLink({ id, account }) {
+    return createGmailLink(id, account);
+  },
+
+  // Only INBOX mail is captured; categories/spam are handled by triage rules
+  filter(message) {
+    return message.meta.labelIds.includes('INBOX');
+  },
+
+  /**
+   * Newest messages across all of the user's mail in every connected account
+   * (not just INBOX), used by the rule dry-run so skip rules can be previewed too
+   */
+  async fetchRecent(user_id, { limit = 25 } = {}) {
+    const tokenRecords = await loadGmailAccounts(user_id);
+    const messages = [];
+
+    for (const tokenRecord of tokenRecords) {
+      const userGmail = gmailFor(tokenRecord);
+
+      const messageIds = (await userGmail.listMessages({ maxResults: limit })).map(msg => msg.id);
+      messages.push(...await fetchGmailMessages(userGmail, messageIds, user_id, { accountEmail: tokenRecord.email_address }));
+    }
+
+    return messages.sort((a, b) => b.sentAt - a.sentAt).slice(0, limit);
+  },
+
+  performAction: performGmailAction,
+
+  sendDigest: sendGmailDigest,
+
+  /**
+   * One connection per mailbox (see gmailConnectionView)
+   */
+  async listConnections(user_id) {
+    const tokenRecords = await loadGmailAccounts(user_id);
+    return tokenRecords.map(gmailConnectionView);
+  },
+
+  disconnect: disconnectGmailAccount,
+
+  registerRoutes,
+
+  health() {
+    if (!gmailConnector.isConfigured()) return { status: 'disabled' };
+
+    const problems = [];
+    if (!PUBSUB_PUSH_AUTH.audience || !PUBSUB_PUSH_AUTH.serviceAccount) {
+      problems.push('GMAIL_PUBSUB_AUDIENCE / GMAIL_PUBSUB_SERVICE_ACCOUNT not set, pushes are rejected');
+    }
+    if (!process.env.GMAIL_PUBSUB_TOPIC) problems.push('GMAIL_PUBSUB_TOPIC not set, no watches are started');
+    return problems.length ? { status: 'degraded', problems } : { status: 'ok' };
+  },
+
+  start() {
+    if (!PUBSUB_PUSH_AUTH.audience || !PUBSUB_PUSH_AUTH.serviceAccount) {
+      log.warn('GMAIL_PUBSUB_AUDIENCE / GMAIL_PUBSUB_SERVICE_ACCOUNT not set, /gmail/webhook will reject every push');
+    } else if (PUBSUB_PUSH_AUTH.testKey) {
+      log.warn('GMAIL_PUBSUB_TEST_PUBLIC_KEY is set, Gmail pushes are verified against the local test key');
+    }
+    startGmailWatchScheduler();
+  }
+};
+
+export default gmailConnector;
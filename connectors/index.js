@@ -0,0 +1,266 @@
+/**
+ * Message-source connectors
+ *
+ * Every source (Gmail, Slack, ...) implements the same interface and gets
+ * its OAuth and webhook routes mounted generically by mountConnectors().
+ * To add a source, write a module next to gmail.js / slack.js and list it
+ * in `connectors` below. Its `platform` must be one of the values allowed
+ * by the pending_actions.platform_tag check.
+ */
+
+import { ingestBatch } from '../lib/ingest.js';
+import { enqueueJob, registerJobHandler } from '../lib/jobs/index.js';
+import { requireUser } from '../lib/auth.js';
+import { createOAuthState, consumeOAuthState } from '../lib/oauth-state.js';
+import gmailConnector from './gmail.js';
+import slackConnector from './slack.js';
+import { log, addLogContext } from '../lib/logger.js';
+import { webhookRequests } from '../lib/metrics.js';
+
+/**
+ * @typedef {Object} Message
+ * Common shape every connector normalizes into before ingestion
+ * @property {string} platform   pending_actions.platform_tag
+ * @property {string} user_id    Owner of the connection
+ * @property {string} messageId  Stable ID of the message at the source
+ * @property {string} [threadKey]  Conversation it belongs to; new messages in a thread
+ *   that already has an item update that item (pending_actions.thread_key)
+ * @property {string} sender     Display name of the sender
+ * @property {string} [senderAddress]  Email address / source user ID of the sender
+ * @property {string} summary    Short text used for the task
+ * @property {string} url        Deep link back to the message
+ * @property {number} [sentAt]   When the message was sent (ms since epoch)
+ * @property {string} [account]  Mailbox / workspace it arrived in (Gmail address, Slack team ID),
+ *   stored as pending_actions.account
+ * @property {Object} [ref]      Connector-specific pointer back to the message, stored
+ *   as pending_actions.source_ref (e.g. Gmail { id, threadId, account })
+ * @property {Object} meta       Source-specific fields (labels, channel, ...)
+ * @property {Object} [signals]  Scoring signals keyed like scoring.DEFAULT_WEIGHTS
+ * @property {() => Promise<{ body: string, format: string }|null>} [loadBody]
+ *   Fetch the full body on demand; without it the extraction stage uses meta.text
+ */
+
+/**
+ * @typedef {Object} Batch
+ * @property {Message[]} messages
+ * @property {import('../lib/auto-resolve.js').SourceActivity[]} [activity]
+ *   What the user did at the source (replied, archived, ...), applied after the messages
+ * @property {Object[]} [sent]  Messages the user sent, watched for a reply
+ *   (see scheduleSentFollowUps in lib/reminders.js)
+ * @property {() => Promise<void>} [afterIngest]  Commit a cursor once every message is saved
+ */
+
+/**
+ * @typedef {Object} WebhookJob
+ * @property {Object} payload  JSON-serializable input for fetchFromWebhook
+ * @property {string} [concurrencyKey]  Jobs sharing it run one at a time (e.g. one account)
+ * @property {string} [dedupKey]  The source's delivery ID, so redeliveries are ignored
+ */
+
+/**
+ * @typedef {Object} Connection
+ * One connected account, as listed by GET /connections
+ * @property {string} account      Gmail address / Slack team ID (pending_actions.account)
+ * @property {string} name         Display name
+ * @property {string} status       e.g. 'active', 'error', 'needs_reauth'
+ * @property {string|null} last_synced_at
+ * @property {string|null} watch_expiration
+ * @property {string|null} last_error
+ */
+
+/**
+ * @typedef {Object} Connector
+ * @property {string} platform      pending_actions.platform_tag value
+ * @property {string} name          Display name used in pages and logs
+ * @property {string} authPath      OAuth start route; the callback is `${authPath}/callback`
+ * @property {string} webhookPath   Push/event receiver route
+ * @property {() => boolean} isConfigured
+ * @property {(state: string) => string} getAuthUrl
+ * @property {(code: string, user_id: string) => Promise<string>} handleAuthCallback
+ *   Store the credentials, return a line describing the connection
+ * @property {(req) => Object|null} [handshake]  Answer a provider handshake (after verification)
+ * @property {(req) => boolean|Promise<boolean>} verifyWebhook
+ * @property {(req) => WebhookJob[]} parseWebhook  Turn a verified push into jobs, without
+ *   calling the source API (that happens in fetchFromWebhook, on a worker)
+ * @property {(payload: Object) => Promise<Batch[]>} fetchFromWebhook  Fetch what a job points at
+ * @property {(raw, context: Object) => Message|Promise<Message>} normalize
+ * @property {(ref: Object) => string} buildLink
+ * @property {(message: Message) => boolean} [filter]  Return false to drop a message
+ *   before triage rules run (e.g. anything outside the Gmail INBOX)
+ * @property {(user_id: string, options: { limit: number }) => Promise<Message[]>} [fetchRecent]
+ *   Latest messages for a user, used by the rule dry-run
+ * @property {(action: string, item: Object, params: Object) => Promise<{ performed: boolean, detail?: string }>} [performAction]
+ *   Mirror 'complete' | 'archive' | 'snooze' | 'reply' on the source message;
+ *   `item` is the pending_actions row (with source_ref), `params` e.g. { text }
+ * @property {(user_id: string, rendered: { subject: string, html: string, text: string, mrkdwn: string }) => Promise<{ detail?: string }>} [sendDigest]
+ *   Deliver the user's daily digest (see lib/digest.js renderDigest) to them
+ * @property {(user_id: string) => Promise<Connection[]>} [listConnections]
+ * @property {(user_id: string, account: string) => Promise<boolean>} [disconnect]
+ *   Revoke the account's token at the source, stop push notifications and delete
+ *   the stored credentials; false if the user has no such connection
+ * @property {(app) => void} [registerRoutes]  Source-specific extra routes
+ * @property {() => ConnectorHealth} [health]  Configuration problems, reported by GET /health/ready
+ * @property {() => void} [start]  Background work started once the server listens
+ */
+
+/**
+ * @typedef {Object} ConnectorHealth
+ * @property {'ok'|'degraded'|'disabled'} status  'disabled' when the connector isn't configured
+ * @property {string[]} [problems]  What is missing when 'degraded'
+ */
+
+/** @type {Connector[]} */
+export const connectors = [gmailConnector, slackConnector];
+
+export function getConnector(platform) {
+  return connectors.find(c => c.platform === platform);
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The page the OAuth callback leaves the user on. Everything interpolated is
+ * escaped: the error and account names come from the provider or the request.
+ */
+function renderResultPage({ title, lines = [], error }) {
+  const body = error
+    ? `<p style="color: #ff6b6b;">${escapeHtml(error)}</p>\n          <p style="color: #888;">Please try again from the extension.</p>`
+    : `${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n          ')}\n          <p style="color: #888;">You can close this window and go back to the extension.</p>`;
+
+  return `
+      <html>
+      <body style="font-family: -apple-system, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #1a1a2e; color: white;">
+        <div style="text-align: center;">
+          <h1>${escapeHtml(title)}</h1>
+          ${body}
+        </div>
+      </body>
+      </html>
+    `;
+}
+
+/**
+ * Worker side of a webhook: fetch and ingest what a queued push points at.
+ * Throwing makes the job retry, and the connector's cursor only advances
+ * once a batch is fully ingested, so nothing is lost in between.
+ */
+registerJobHandler('webhook', async ({ platform, payload }) => {
+  const connector = getConnector(platform);
+  if (!connector) throw new Error(`Unknown connector ${platform}`);
+
+  const batches = await connector.fetchFromWebhook(payload);
+  for (const batch of batches) {
+    const { results } = await ingestBatch(connector, batch);
+    const saved = results.filter(r => !r.skipped).length;
+    if (saved > 0) log.info('Webhook saved new items', { count: saved });
+  }
+});
+
+/**
+ * Mount the OAuth start/callback and webhook routes for one connector
+ */
+export function mountConnector(app, connector) {
+  /**
+   * GET <authPath>  (authenticated)
+   * Start OAuth flow — the user is carried in a signed, single-use state.
+   * `?format=json` returns { url } for the extension to open instead of redirecting.
+   */
+  app.get(connector.authPath, requireUser, async (req, res) => {
+    try {
+      const state = await createOAuthState({ user_id: req.user_id, platform: connector.platform });
+      const url = connector.getAuthUrl(state);
+
+      if (req.query.format === 'json') return res.json({ url });
+      res.redirect(url);
+    } catch (error) {
+      log.error(`${connector.name} OAuth start error`, error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET <authPath>/callback
+   * Handle OAuth callback — verify the state, then the connector stores its
+   * credentials for the user the state was issued to
+   */
+  app.get(`${connector.authPath}/callback`, async (req, res) => {
+    const { code, state } = req.query;
+
+    try {
+      const { user_id } = await consumeOAuthState(state, connector.platform);
+      const description = await connector.handleAuthCallback(code, user_id);
+
+      res.send(renderResultPage({ title: `${connector.name} Connected!`, lines: [description] }));
+    } catch (error) {
+      log.error(`${connector.name} OAuth error`, error);
+      res.status(500).send(renderResultPage({ title: 'Connection Failed', error: error.message }));
+    }
+  });
+
+  /**
+   * POST <webhookPath>
+   * Receive pushes from the source, verify them and enqueue a job per push.
+   * The 200 is only sent once the jobs are stored; if that fails the source
+   * gets a 500 and redelivers.
+   */
+  app.post(connector.webhookPath, async (req, res) => {
+    addLogContext({ connector: connector.platform });
+    const count = outcome => webhookRequests.inc({ connector: connector.platform, outcome });
+
+    if (!(await connector.verifyWebhook(req))) {
+      count('rejected');
+      log.warn(`Invalid ${connector.name} webhook signature`);
+      return res.status(401).send('Invalid signature');
+    }
+
+    const handshake = connector.handshake?.(req);
+    if (handshake) {
+      count('handshake');
+      return res.json(handshake);
+    }
+
+    try {
+      for (const { payload, concurrencyKey, dedupKey } of connector.parseWebhook(req)) {
+        const job = await enqueueJob('webhook', { platform: connector.platform, payload }, { concurrencyKey, dedupKey });
+        count(job ? 'queued' : 'duplicate');
+        if (!job) log.info(`Duplicate ${connector.name} delivery, skipping`, { dedup_key: dedupKey });
+      }
+    } catch (error) {
+      count('error');
+      log.error(`${connector.name} webhook enqueue error`, error);
+      return res.status(500).send('Could not queue');
+    }
+
+    res.status(200).send('OK');
+  });
+
+  connector.registerRoutes?.(app);
+}
+
+export function mountConnectors(app) {
+  for (const connector of connectors) {
+    mountConnector(app, connector);
+  }
+}
+
+/**
+ * Health of every connector, keyed by platform
+ */
+export function connectorHealth() {
+  return Object.fromEntries(connectors.map(connector => [
+    connector.platform,
+    connector.health?.() || { status: connector.isConfigured() ? 'ok' : 'disabled' }
+  ]));
+}
+
+export function startConnectors() {
+  for (const connector of connectors) {
+    connector.start?.();
+  }
+}
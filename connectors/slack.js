@@ -0,0 +1,722 @@
+/**
+ * Slack connector
+ *
+ * - Per-user Slack OAuth: a bot token plus a user token for the installing
+ *   person (both stored encrypted in user_slack_tokens, one row per user and
+ *   workspace, so many of our users can share a workspace)
+ * - Events API webhook for DMs, group DMs, @-mentions and thread replies,
+ *   plus edits/deletes of captured messages (per-user toggles in settings)
+ */
+
+import crypto from 'crypto';
+import { PORT, SLACK_API_URL } from '../lib/config.js';
+import { storage } from '../lib/storage/index.js';
+import { hasUrgentKeyword } from '../lib/scoring.js';
+import { requireUser } from '../lib/auth.js';
+import { createOAuthState } from '../lib/oauth-state.js';
+import { getUserSettings } from '../lib/user-settings.js';
+import { refreshMessage } from '../lib/ingest.js';
+import { deleteSourceMessage } from '../lib/pending-actions.js';
+import { encryptToken, decryptToken } from '../lib/token-crypto.js';
+import { publishEvent, publishConnectionChange } from '../lib/events.js';
+import { log } from '../lib/logger.js';
+import { trackUpstream } from '../lib/metrics.js';
+
+const REDIRECT_URI = process.env.SLACK_REDIRECT_URI || `http://localhost:${PORT}/auth/slack/callback`;
+// reactions:write and chat:write let completing/replying in the extension show up in Slack;
+// app_mentions:read and the *:history scopes cover mentions, group DMs and threads
+const SLACK_SCOPES = [
+  'channels:read', 'im:history', 'im:read', 'users:read', 'reactions:write', 'chat:write',
+  'app_mentions:read', 'channels:history', 'groups:history', 'mpim:history', 'mpim:read'
+].join(',');
+// Requested for the installing person, so their own DMs (not just the bot's) reach us
+const SLACK_USER_SCOPES = [
+  'im:history', 'im:read', 'mpim:history', 'mpim:read',
+  'channels:history', 'groups:history', 'reactions:write', 'chat:write'
+].join(',');
+// last_synced_at is only rewritten this often, not on every event
+const SYNC_STAMP_INTERVAL_MS = 60 * 1000;
+// Whether a connected user can see a DM channel, cached per token and channel
+const CHANNEL_ACCESS_TTL_MS = 60 * 60 * 1000;
+const channelAccessCache = new Map();
+// Message subtypes that are still someone writing to you
+const CAPTURED_SUBTYPES = new Set(['thread_broadcast', 'file_share']);
+const EDIT_SUBTYPES = new Set(['message_changed', 'message_deleted']);
+// Events telling us a token stopped working
+const REVOKE_EVENTS = new Set(['tokens_revoked', 'app_uninstalled']);
+// Reaction added to a message when its item is completed
+const SLACK_DONE_REACTION = process.env.SLACK_DONE_REACTION || 'white_check_mark';
+// Slack's recommended window for X-Slack-Request-Timestamp
+const SLACK_MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function createSlackLink(teamId, channelId, messageTs) {
+  return `https://slack.com/app_redirect?team=${teamId}&channel=${channelId}&message_ts=${messageTs}`;
+}
+
+function buildSlackAuthUrl(state) {
+  const params = new URLSearchParams({
+    client_id: process.env.SLACK_CLIENT_ID,
+    scope: SLACK_SCOPES,
+    user_scope: SLACK_USER_SCOPES,
+    redirect_uri: REDIRECT_URI,
+    state: state
+  });
+
+  return `https://slack.com/oauth/v2/authorize?${params.toString()}`;
+}
+
+/**
+ * Verify Slack's request signature over the raw body (req.rawBody, kept by
+ * the JSON parser in server.js). Fails closed: a missing secret, header or
+ * body, or a stale timestamp, is treated as invalid.
+ */
+function verifySlackSignature(req) {
+  const slackSigningSecret = process.env.SLACK_SIGNING_SECRET;
+  if (!slackSigningSecret) {
+    log.warn('SLACK_SIGNING_SECRET not set, rejecting Slack webhook');
+    return false;
+  }
+
+  const timestamp = req.headers['x-slack-request-timestamp'];
+  const signature = req.headers['x-slack-signature'];
+  if (!timestamp || !signature || !req.rawBody) return false;
+
+  // Reject replays of old (or far-future) requests
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > SLACK_MAX_REQUEST_AGE_SECONDS) return false;
+
+  const expected = Buffer.from('v0=' + crypto
+    .createHmac('sha256', slackSigningSecret)
+    .update(`v0:${timestamp}:`)
+    .update(req.rawBody)
+    .digest('hex'));
+  const actual = Buffer.from(String(signature));
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Resolve a Slack user ID to a display name using the workspace's bot token
+ */
+async function fetchSlackUserName(botToken, slackUserId) {
+  try {
+    const userData = await callSlackApi(botToken, 'users.info', { user: slackUserId });
+    return userData.user?.real_name || userData.user?.name || slackUserId;
+  } catch (e) {
+    log.warn('Could not fetch Slack user info', e);
+  }
+  return slackUserId;
+}
+
+/**
+ * One Web API request, timed and counted in the upstream metrics. A reply
+ * with `ok: false` throws, with Slack's error string as `code`.
+ */
+function requestSlackApi(method, url, options) {
+  return trackUpstream('slack', method, async () => {
+    const response = await fetch(url, options);
+    const data = await response.json();
+    if (!data.ok) {
+      const error = new Error(`Slack ${method} failed: ${data.error}`);
+      error.code = data.error;
+      throw error;
+    }
+    return data;
+  });
+}
+
+async function callSlackApi(botToken, method, params) {
+  return requestSlackApi(method, `${SLACK_API_URL}/${method}?${new URLSearchParams(params)}`, {
+    headers: { 'Authorization': `Bearer ${botToken}` }
+  });
+}
+
+async function postSlackApi(botToken, method, body) {
+  return requestSlackApi(method, `${SLACK_API_URL}/${method}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${botToken}`,
+      'Content-Type': 'application/json; charset=utf-8'
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * The token that acts for a connection: the person's user token when they
+ * granted one, the workspace bot token otherwise
+ */
+function slackTokenFor(tokenRecord) {
+  return decryptToken(tokenRecord.user_token || tokenRecord.bot_token);
+}
+
+/**
+ * Whether a connection's token can open a channel — for DMs and group DMs
+ * that means the person (or, for bot-only connections, the bot) is in it.
+ * `authorizations` from the event short-circuits the API call when it
+ * names this person. With `asBot`, checks the bot instead.
+ */
+async function canSeeChannel(tokenRecord, channelId, { authorizations = [], asBot = false } = {}) {
+  if (!asBot && tokenRecord.authed_user_id &&
+      authorizations.some(a => !a.is_bot && a.user_id === tokenRecord.authed_user_id)) {
+    return true;
+  }
+
+  const key = `${tokenRecord.user_id}:${tokenRecord.team_id}:${asBot ? 'bot' : 'user'}:${channelId}`;
+  const cached = channelAccessCache.get(key);
+  if (cached && Date.now() - cached.at < CHANNEL_ACCESS_TTL_MS) return cached.ok;
+
+  const token = asBot ? decryptToken(tokenRecord.bot_token) : slackTokenFor(tokenRecord);
+  let ok;
+  try {
+    await callSlackApi(token, 'conversations.info', { channel: channelId });
+    ok = true;
+  } catch (error) {
+    if (!/channel_not_found|not_in_channel|missing_scope/.test(error.message)) throw error;
+    ok = false;
+  }
+
+  channelAccessCache.set(key, { ok, at: Date.now() });
+  return ok;
+}
+
+/**
+ * Which kind of capture a message event is for the connected user, or null
+ * if it isn't one: 'dm' | 'mpim' | 'app_mention' | 'channel_mention' | 'thread_reply'
+ * (the keys of the user's slack_capture settings)
+ */
+function classifySlackEvent(event, { authedUserId, inChannel, toBot, soleConnection }) {
+  if (event.bot_id || (event.subtype && !CAPTURED_SUBTYPES.has(event.subtype))) return null;
+  // Notes you DM the bot are captured; otherwise your own messages are never tasks for you
+  if (event.channel_type === 'im' && toBot) return 'dm';
+  if (authedUserId && event.user === authedUserId) return null;
+
+  if (event.channel_type === 'im') return inChannel ? 'dm' : null;
+  if (event.channel_type === 'mpim') return inChannel ? 'mpim' : null;
+
+  if (authedUserId && event.thread_ts && event.thread_ts !== event.ts && event.parent_user_id === authedUserId) {
+    return 'thread_reply';
+  }
+  if (authedUserId && (event.text || '').includes(`<@${authedUserId}>`)) return 'channel_mention';
+
+  // A bot mention with nobody of ours mentioned is only unambiguous when
+  // one person uses the bot in this workspace
+  if (event.type === 'app_mention' && soleConnection) return 'app_mention';
+
+  return null;
+}
+
+/**
+ * Turn a Slack message event into the common message shape
+ */
+async function normalizeSlackEvent(event, { user_id, teamId, botToken, botUserId, authedUserId, kind }) {
+  const text = event.text || '(No message text)';
+  const sender = await fetchSlackUserName(botToken, event.user);
+  const summary = text.length > 100 ? text.substring(0, 100) + '...' : text;
+  const mentioned = [botUserId, authedUserId].some(id => id && text.includes(`<@${id}>`));
+
+  return {
+    platform: 'slack',
+    user_id,
+    messageId: `${teamId}-${event.channel}-${event.ts}`,
+    // Replies share their parent's thread_ts; a top-level message starts its own thread
+    threadKey: `${teamId}:${event.channel}:${event.thread_ts || event.ts}`,
+    sender,
+    senderAddress: event.user,
+    summary,
+    url: createSlackLink(teamId, event.channel, event.ts),
+    account: teamId,
+    sentAt: Math.round(Number(event.ts) * 1000),
+    ref: { teamId, channelId: event.channel, messageTs: event.ts, threadTs: event.thread_ts || null },
+    meta: {
+      teamId,
+      channelId: event.channel,
+      channelType: event.channel_type,
+      messageTs: event.ts,
+      slackUserId: event.user,
+      kind: kind || null,
+      text
+    },
+    signals: {
+      direct_message: event.channel_type === 'im' || event.channel_type === 'mpim',
+      mention: mentioned,
+      urgent_keyword: hasUrgentKeyword(text)
+    }
+  };
+}
+
+/**
+ * The keys an item of a message is found by, as normalizeSlackEvent sets them
+ */
+function slackMessageKeys(teamId, channelId, { ts, threadTs }) {
+  return {
+    platform: 'slack',
+    messageId: `${teamId}-${channelId}-${ts}`,
+    threadKey: `${teamId}:${channelId}:${threadTs || ts}`,
+    link: createSlackLink(teamId, channelId, ts)
+  };
+}
+
+/**
+ * The link and action reference of a message in a thread, from its messageId
+ */
+function locateSlackMessage(messageId, threadTs) {
+  const [teamId, channelId, messageTs] = messageId.split('-');
+  return {
+    link: createSlackLink(teamId, channelId, messageTs),
+    ref: { teamId, channelId, messageTs, threadTs: messageTs === threadTs ? null : threadTs }
+  };
+}
+
+/**
+ * A workspace as GET /connections shows it. Slack tokens don't expire, so
+ * the status is 'error' only while the last event failed.
+ */
+function slackConnectionView(record) {
+  return {
+    account: record.team_id,
+    name: record.team_name,
+    status: record.last_error ? 'error' : 'active',
+    user_token: !!record.user_token,
+    last_synced_at: record.last_synced_at,
+    watch_expiration: null,
+    last_error: record.last_error
+  };
+}
+
+/**
+ * Record the outcome of handling an event for a connection (shown by
+ * GET /connections): the time of the last success, or the last error.
+ * The user's extension hears about it when the error state changes.
+ */
+async function recordSlackSync(tokenRecord, syncError) {
+  let update;
+  if (syncError) {
+    update = { last_error: syncError.message };
+  } else {
+    const last = Date.parse(tokenRecord.last_synced_at || 0);
+    if (Date.now() - last < SYNC_STAMP_INTERVAL_MS && !tokenRecord.last_error) return;
+    update = { last_synced_at: new Date().toISOString(), last_error: null };
+  }
+
+  try {
+    await storage.slackConnections.update(tokenRecord.user_id, tokenRecord.team_id, update);
+  } catch (error) {
+    log.error('Error saving Slack sync state', error);
+    return;
+  }
+
+  if ((tokenRecord.last_error || null) !== update.last_error) {
+    await publishConnectionChange(tokenRecord.user_id, 'slack', slackConnectionView({ ...tokenRecord, ...update }));
+  }
+}
+
+/**
+ * Mark the connections a tokens_revoked / app_uninstalled event hit. The
+ * stored tokens are kept: connecting again replaces them.
+ */
+async function recordSlackRevocation(tokenRecords, event) {
+  const { oauth = [], bot = [] } = event.tokens || {};
+
+  for (const tokenRecord of tokenRecords) {
+    let reason;
+    if (event.type === 'app_uninstalled' || bot.includes(tokenRecord.bot_user_id)) {
+      reason = 'Slack app was uninstalled from the workspace, reconnect Slack';
+    } else if (tokenRecord.authed_user_id && oauth.includes(tokenRecord.authed_user_id)) {
+      reason = 'Slack token was revoked, reconnect Slack';
+    }
+    if (!reason) continue;
+
+    log.warn(reason, { team_id: tokenRecord.team_id, user_id: tokenRecord.user_id });
+    await recordSlackSync(tokenRecord, new Error(reason));
+  }
+}
+
+/**
+ * A message the connected user wrote in a thread or DM, as auto-resolve
+ * activity: a thread reply covers that thread's item, a top-level DM every
+ * item of the conversation. Null for anything else.
+ */
+function slackReplyActivity(event, { user_id, teamId, authedUserId }) {
+  if (!authedUserId || event.user !== authedUserId || event.bot_id) return null;
+  if (event.subtype && !CAPTURED_SUBTYPES.has(event.subtype)) return null;
+
+  const activity = { user_id, platform: 'slack', reason: 'slack_reply', at: Math.round(Number(event.ts) * 1000) };
+  if (event.thread_ts) return { ...activity, threadKey: `${teamId}:${event.channel}:${event.thread_ts}` };
+  if (event.channel_type === 'im' || event.channel_type === 'mpim') {
+    return { ...activity, threadKeyPrefix: `${teamId}:${event.channel}:` };
+  }
+  return null;
+}
+
+/**
+ * What one connected user gets from an event: edits/deletes are applied to
+ * their items directly, a message they want captured is returned in
+ * `messages`, and a message they wrote themselves in `activity` (for
+ * auto-resolve)
+ */
+async function routeSlackEvent(event, tokenRecord, { authorizations, soleConnection }) {
+  const { user_id, team_id: teamId, bot_user_id: botUserId, authed_user_id: authedUserId } = tokenRecord;
+  const { slack_capture: capture } = await getUserSettings(user_id);
+  const context = { user_id, teamId, botToken: decryptToken(tokenRecord.bot_token), botUserId, authedUserId };
+
+  // A parent with replies isn't deleted but replaced by a tombstone
+  const deleted = event.subtype === 'message_deleted'
+    ? { ts: event.deleted_ts, threadTs: event.previous_message?.thread_ts }
+    : event.subtype === 'message_changed' && event.message?.subtype === 'tombstone'
+      ? { ts: event.message.ts, threadTs: event.message.thread_ts }
+      : null;
+  if (deleted) {
+    if (!capture.edits) return { messages: [] };
+    const removed = await deleteSourceMessage(
+      { user_id, ...slackMessageKeys(teamId, event.channel, deleted) },
+      messageId => locateSlackMessage(messageId, deleted.threadTs || deleted.ts)
+    );
+    if (removed) log.info('Removed deleted Slack message from its item', { message_ts: deleted.ts, user_id });
+    return { messages: [] };
+  }
+
+  const edit = event.subtype === 'message_changed';
+  if (edit) {
+    const edited = { ...event.message, channel: event.channel, channel_type: event.channel_type };
+    // Slack also sends message_changed for unfurls and thread metadata; only act on text edits
+    if (!capture.edits || edited.text === event.previous_message?.text) return { messages: [] };
+
+    if (await refreshMessage(await normalizeSlackEvent(edited, context))) return { messages: [] };
+
+    // An edit can add a mention to a message that wasn't captured before
+    event = edited;
+  }
+
+  const isDirect = event.channel_type === 'im' || event.channel_type === 'mpim';
+  const inChannel = isDirect && await canSeeChannel(tokenRecord, event.channel, { authorizations });
+  // A DM of yours the bot can open is one with the bot (DMs have two members)
+  const toBot = event.channel_type === 'im' && event.user === authedUserId &&
+    await canSeeChannel(tokenRecord, event.channel, { asBot: true });
+
+  const activity = !edit && !toBot && slackReplyActivity(event, { user_id, teamId, authedUserId });
+  if (activity) return { messages: [], activity: [activity] };
+
+  const kind = classifySlackEvent(event, { authedUserId, inChannel, toBot, soleConnection });
+  if (!kind || !capture[kind]) return { messages: [] };
+
+  const message = await normalizeSlackEvent(event, { ...context, kind });
+  log.info('Slack message captured', { kind, user_id, team_id: teamId, channel: event.channel });
+  return { messages: [message] };
+}
+
+/**
+ * Revoke a connection's tokens at Slack and delete the stored credentials.
+ * The bot token is shared by everyone connected to the workspace, so it is
+ * only revoked (uninstalling the bot) when this was the last connection.
+ * Returns false if the user hasn't connected that workspace.
+ */
+async function disconnectSlackWorkspace(user_id, teamId) {
+  const tokenRecords = await storage.slackConnections.listByTeam(teamId);
+  const tokenRecord = tokenRecords.find(record => record.user_id === user_id);
+  if (!tokenRecord) return false;
+
+  const revoke = [tokenRecord.user_token];
+  if (tokenRecords.length === 1) revoke.push(tokenRecord.bot_token);
+
+  for (const token of revoke.filter(Boolean)) {
+    try {
+      await callSlackApi(decryptToken(token), 'auth.revoke', {});
+    } catch (revokeError) {
+      // Already revoked or uninstalled
+      log.warn('Could not revoke Slack token', revokeError, { team_id: teamId });
+    }
+  }
+
+  await storage.slackConnections.delete(user_id, teamId);
+  await publishEvent(user_id, 'connection.removed', { id: `slack:${teamId}`, platform: 'slack', account: teamId });
+
+  log.info('Slack disconnected', { team_id: teamId, user_id });
+  return true;
+}
+
+// ============================================
+// SOURCE ACTIONS (complete / reply)
+// ============================================
+
+/**
+ * Mirror an action taken in the extension on the Slack message
+ */
+async function performSlackAction(action, item, params = {}) {
+  const ref = item.source_ref;
+  if (!ref?.channelId || !ref?.messageTs) throw new Error('Item has no Slack message reference');
+
+  const tokenRecord = await storage.slackConnections.get(item.user_id, ref.teamId);
+
+  if (!tokenRecord) throw new Error('Slack not connected for this workspace');
+  // As the person when possible: the bot isn't in their DMs with others
+  const token = slackTokenFor(tokenRecord);
+
+  switch (action) {
+    case 'complete':
+      try {
+        await postSlackApi(token, 'reactions.add', {
+          channel: ref.channelId,
+          timestamp: ref.messageTs,
+          name: SLACK_DONE_REACTION
+        });
+      } catch (error) {
+        if (!/already_reacted/.test(error.message)) throw error;
+      }
+      return { performed: true, detail: `Reacted :${SLACK_DONE_REACTION}:` };
+    case 'reply': {
+      const posted = await postSlackApi(token, 'chat.postMessage', {
+        channel: ref.channelId,
+        thread_ts: ref.threadTs || ref.messageTs,
+        text: params.text
+      });
+      return { performed: true, detail: 'Threaded reply posted', ts: posted.ts };
+    }
+    default:
+      // DMs can't be archived and Slack has no snooze API
+      return { performed: false };
+  }
+}
+
+/**
+ * DM the daily digest from the bot, in the first workspace where we know
+ * the user's Slack ID (the app's Messages tab)
+ */
+async function sendSlackDigest(user_id, { mrkdwn }) {
+  const tokenRecords = await storage.slackConnections.listByUser(user_id);
+  const tokenRecord = tokenRecords.find(record => record.authed_user_id);
+  if (!tokenRecord) throw new Error('Slack not connected for this user');
+
+  const posted = await postSlackApi(decryptToken(tokenRecord.bot_token), 'chat.postMessage', {
+    channel: tokenRecord.authed_user_id,
+    text: mrkdwn,
+    unfurl_links: false,
+    unfurl_media: false
+  });
+  return { detail: `Sent in ${tokenRecord.team_name}`, ts: posted.ts };
+}
+
+// ============================================
+// SLACK-SPECIFIC ROUTES
+// ============================================
+
+function registerRoutes(app) {
+  /**
+   * GET /auth/slack/test  (authenticated)
+   * Debug endpoint — shows the Slack OAuth URL instead of redirecting
+   */
+  app.get('/auth/slack/test', requireUser, async (req, res) => {
+    try {
+      const state = await createOAuthState({ user_id: req.user_id, platform: 'slack' });
+
+      res.json({
+        url: buildSlackAuthUrl(state),
+        client_id: process.env.SLACK_CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        scopes: SLACK_SCOPES,
+        user_scopes: SLACK_USER_SCOPES,
+        state: state
+      });
+    } catch (error) {
+      log.error('Slack OAuth test error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+// ============================================
+// CONNECTOR
+// ============================================
+
+const slackConnector = {
+  platform: 'slack',
+  name: 'Slack',
+  authPath: '/auth/slack',
+  webhookPath: '/slack/webhook',
+
+  isConfigured() {
+    return !!process.env.SLACK_CLIENT_ID;
+  },
+
+  health() {
+    if (!slackConnector.isConfigured()) return { status: 'disabled' };
+    if (!process.env.SLACK_SIGNING_SECRET) {
+      return { status: 'degraded', problems: ['SLACK_SIGNING_SECRET not set, events are rejected'] };
+    }
+    return { status: 'ok' };
+  },
+
+  getAuthUrl(state) {
+    return buildSlackAuthUrl(state);
+  },
+
+  /**
+   * Exchange the code and store the bot token per user
+   */
+  async handleAuthCallback(code, user_id) {
+    const data = await requestSlackApi('oauth.v2.access', `${SLACK_API_URL}/oauth.v2.access`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: process.env.SLACK_CLIENT_ID,
+        client_secret: process.env.SLACK_CLIENT_SECRET,
+        code: code,
+        redirect_uri: REDIRECT_URI
+      })
+    });
+
+    const record = {
+      user_id,
+      team_id: data.team.id,
+      team_name: data.team.name,
+      bot_token: encryptToken(data.access_token),
+      bot_user_id: data.bot_user_id,
+      // The installing person's Slack ID and token, to route events to them
+      authed_user_id: data.authed_user?.id || null,
+      user_token: encryptToken(data.authed_user?.access_token || null),
+      last_error: null
+    };
+    try {
+      await storage.slackConnections.upsert(record);
+    } catch (error) {
+      log.error('Error storing Slack token', error);
+      throw error;
+    }
+    await publishConnectionChange(user_id, 'slack', slackConnectionView(record));
+
+    log.info('Slack connected', { team_id: data.team.id, team_name: data.team.name, user_id, with_user_token: !!data.authed_user?.access_token });
+    return `Workspace: ${data.team.name}`;
+  },
+
+  // Slack's one-time URL verification handshake
+  handshake(req) {
+    if (req.body.type === 'url_verification') {
+      return { challenge: req.body.challenge };
+    }
+    return null;
+  },
+
+  verifyWebhook: verifySlackSignature,
+
+  /**
+   * One job per message event (DMs, group DMs, channel and thread messages,
+   * app mentions, edits and deletes) or token revocation. Whether it
+   * concerns the user is decided on the worker. Slack's event_id is the
+   * dedup key, so its retries (X-Slack-Retry-Num) don't create a second job.
+   */
+  parseWebhook(req) {
+    const event = req.body.event;
+    const job = {
+      payload: { teamId: req.body.team_id, event, authorizations: req.body.authorizations || [] },
+      concurrencyKey: `slack:${req.body.team_id}`,
+      dedupKey: req.body.event_id ? `slack-event:${req.body.event_id}` : null
+    };
+
+    if (REVOKE_EVENTS.has(event?.type)) return [job];
+    if (event?.type !== 'message' && event?.type !== 'app_mention') return [];
+    if (event.bot_id) return [];
+    if (event.subtype && !CAPTURED_SUBTYPES.has(event.subtype) && !EDIT_SUBTYPES.has(event.subtype)) return [];
+
+    const retry = req.headers['x-slack-retry-num'];
+    if (retry) log.info('Slack retry', { retry, reason: req.headers['x-slack-retry-reason'], event_id: req.body.event_id });
+
+    return [job];
+  },
+
+  /**
+   * Route the event to every connected user in the workspace it concerns:
+   * apply edits/deletes to their items, normalize messages they want
+   * captured and report their own replies for auto-resolve. One batch per user.
+   */
+  async fetchFromWebhook({ teamId, event, authorizations = [] }) {
+    const tokenRecords = await storage.slackConnections.listByTeam(teamId);
+    if (!tokenRecords.length) {
+      log.info('No user found for Slack team', { team_id: teamId });
+      return [];
+    }
+
+    if (REVOKE_EVENTS.has(event.type)) {
+      await recordSlackRevocation(tokenRecords, event);
+      return [];
+    }
+
+    const batches = [];
+    for (const tokenRecord of tokenRecords) {
+      let routed;
+      try {
+        routed = await routeSlackEvent(event, tokenRecord, {
+          authorizations,
+          soleConnection: tokenRecords.length === 1
+        });
+      } catch (error) {
+        await recordSlackSync(tokenRecord, error);
+        throw error;
+      }
+
+      await recordSlackSync(tokenRecord);
+      if (routed.messages.length || routed.activity) batches.push(routed);
+    }
+    return batches;
+  },
+
+  normalize: normalizeSlackEvent,
+
+  /**
+   * Latest DMs in each connected workspace, used by the rule dry-run
+   */
+  async fetchRecent(user_id, { limit = 25 } = {}) {
+    const tokenRecords = await storage.slackConnections.listByUser(user_id);
+    const messages = [];
+
+    for (const tokenRecord of tokenRecords) {
+      const teamId = tokenRecord.team_id;
+      const botToken = decryptToken(tokenRecord.bot_token);
+      // The person's own DMs when they granted a user token, the bot's otherwise
+      const token = slackTokenFor(tokenRecord);
+      const { channels = [] } = await callSlackApi(token, 'conversations.list', { types: 'im', limit: 5 });
+
+      for (const channel of channels) {
+        const { messages: history = [] } = await callSlackApi(token, 'conversations.history', { channel: channel.id, limit: 10 });
+
+        for (const event of history) {
+          if (event.bot_id || event.subtype) continue;
+          const message = await normalizeSlackEvent(
+            { ...event, channel: channel.id, channel_type: 'im' },
+            { user_id, teamId, botToken }
+          );
+          messages.push(message);
+        }
+      }
+    }
+
+    return messages
+      .sort((a, b) => Number(b.meta.messageTs) - Number(a.meta.messageTs))
+      .slice(0, limit);
+  },
+
+  buildLink({ teamId, channelId, messageTs }) {
+    return createSlackLink(teamId, channelId, messageTs);
+  },
+
+  performAction: performSlackAction,
+
+  sendDigest: sendSlackDigest,
+
+  /**
+   * One connection per workspace (see slackConnectionView)
+   */
+  async listConnections(user_id) {
+    const tokenRecords = await storage.slackConnections.listByUser(user_id);
+    return tokenRecords.map(slackConnectionView);
+  },
+
+  disconnect: disconnectSlackWorkspace,
+
+  registerRoutes
+};
+
+export default slackConnector;
@@ -1,28 +1,28 @@
-import 'dotenv/config';
-import { createClient } from '@supabase/supabase-js';
+import './lib/config.js';
 import { v4 as uuidv4 } from 'uuid';
+import { storage, getStorage } from './lib/storage/index.js';
 
 
 console.log("🚀 STARTING THE ENGINE...");
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
-
 async function simpleTest() {
-  console.log("📡 Sending test data to Supabase...");
-  
+  console.log(`📡 Sending test data to ${storage.name}...`);
+
   const testData = {
     id: uuidv4(),
-    sender: "Test Pilot",
-    summary: "The engine is officially working!",
-    url: "https://apple.com/" + Math.random()
+    task_text: "Test Pilot: The engine is officially working!",
+    platform_tag: "manual",
+    sender_name: "Test Pilot",
+    message_link: "https://apple.com/" + Math.random()
   };
 
-  const { error } = await supabase.from('pending_actions').insert([testData]);
-
-  if (error) {
+  try {
+    await storage.items.insert(testData);
+    console.log("✅ SUCCESS! Check your pending_actions table now.");
+  } catch (error) {
     console.log("❌ DB Error:", error.message);
-  } else {
-    console.log("✅ SUCCESS! Check your Supabase dashboard now.");
+  } finally {
+    await getStorage().close();
   }
 }
 
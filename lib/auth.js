@@ -0,0 +1,135 @@
+/**
+ * Authentication for extension-facing endpoints
+ *
+ * The extension sends the signed-in user's Supabase access token as
+ * `Authorization: Bearer <jwt>`. With SUPABASE_JWT_SECRET set the token is
+ * verified locally (HS256); otherwise it is checked with Supabase Auth.
+ * Without Supabase (STORAGE_BACKEND=postgres) the secret is required.
+ */
+
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+import { log, addLogContext } from './logger.js';
+
+const EXPECTED_AUDIENCE = 'authenticated';
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify an HS256 Supabase JWT with the project's JWT secret, return its claims
+ */
+function verifyHs256(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = JSON.parse(base64UrlDecode(headerPart).toString());
+  if (header.alg !== 'HS256') throw new Error(`Unsupported token algorithm ${header.alg}`);
+
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const actual = base64UrlDecode(signaturePart);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = JSON.parse(base64UrlDecode(payloadPart).toString());
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.exp || claims.exp < now) throw new Error('Token expired');
+  if (claims.aud !== EXPECTED_AUDIENCE && !(Array.isArray(claims.aud) && claims.aud.includes(EXPECTED_AUDIENCE))) {
+    throw new Error('Invalid token audience');
+  }
+  if (!claims.sub) throw new Error('Token has no subject');
+
+  return claims;
+}
+
+/**
+ * Resolve a Supabase access token to { id, email }, throwing if it is not valid
+ */
+export async function verifySupabaseToken(token) {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+
+  if (secret) {
+    const claims = verifyHs256(token, secret);
+    return { id: claims.sub, email: claims.email };
+  }
+
+  if (!supabase) throw new Error('SUPABASE_JWT_SECRET is required without SUPABASE_URL');
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) throw new Error(error?.message || 'Invalid token');
+  return { id: data.user.id, email: data.user.email };
+}
+
+/**
+ * Express middleware — requires a valid Supabase token and sets req.user_id.
+ * A `user_id` in the query or body is still accepted for compatibility,
+ * but must match the token's user.
+ */
+export async function requireUser(req, res, next) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return res.status(401).json({ error: 'Missing Authorization bearer token' });
+  }
+
+  let user;
+  try {
+    user = await verifySupabaseToken(match[1]);
+  } catch (error) {
+    log.warn('Rejected token', { method: req.method, path: req.path, reason: error.message });
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  const claimed = req.body?.user_id ?? req.query?.user_id;
+  if (claimed && claimed !== user.id) {
+    return res.status(403).json({ error: 'user_id does not match the authenticated user' });
+  }
+
+  req.user_id = user.id;
+  req.user = user;
+  addLogContext({ user_id: user.id });
+  next();
+}
+
+/**
+ * Express middleware for operator endpoints — requires
+ * `Authorization: Bearer <ADMIN_API_KEY>`. Without the key configured the
+ * endpoints are disabled.
+ */
+export function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(404).json({ error: 'Admin API is disabled (ADMIN_API_KEY not set)' });
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const actual = crypto.createHash('sha256').update(match?.[1] || '').digest();
+
+  if (!match || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+
+  next();
+}
+
+/**
+ * Express middleware for GET /metrics — open unless METRICS_TOKEN is set,
+ * then it requires `Authorization: Bearer <METRICS_TOKEN>`
+ */
+export function requireMetricsToken(req, res, next) {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (!metricsToken) return next();
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  const expected = crypto.createHash('sha256').update(metricsToken).digest();
+  const actual = crypto.createHash('sha256').update(match?.[1] || '').digest();
+
+  if (!match || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  next();
+}
@@ -0,0 +1,77 @@
+/**
+ * Auto-resolve — close items the user already dealt with at the source
+ *
+ * Connectors report outbound activity alongside the messages of a batch
+ * (Batch.activity): a Gmail reply or archive/read in a thread, a Slack
+ * message the connected user wrote in a DM or thread. Each open item of
+ * that conversation whose latest message is older than the activity is
+ * marked completed with `resolved_reason` set to the activity's reason,
+ * if the user's auto_resolve setting for that reason is on.
+ */
+
+import { storage } from './storage/index.js';
+import { getUserSettings } from './user-settings.js';
+import { publishEvent } from './events.js';
+import { log } from './logger.js';
+
+const OPEN_STATUSES = ['pending', 'snoozed'];
+
+/**
+ * @typedef {Object} SourceActivity
+ * @property {string} user_id
+ * @property {string} platform
+ * @property {'gmail_sent'|'gmail_archived'|'gmail_read'|'slack_reply'} reason
+ *   Also the key of the user's auto_resolve toggle
+ * @property {string} [threadKey]        Resolve items of exactly this thread
+ * @property {string} [threadKeyPrefix]  ...or of every thread starting with it (a Slack DM)
+ * @property {number} at                 When it happened (ms since epoch)
+ */
+
+/**
+ * Resolve the open items each activity covers. Returns how many were resolved.
+ *
+ * @param {SourceActivity[]} activity
+ */
+export async function resolveFromActivity(activity) {
+  const settingsByUser = new Map();
+  let resolved = 0;
+
+  for (const event of activity) {
+    if (!settingsByUser.has(event.user_id)) {
+      settingsByUser.set(event.user_id, await getUserSettings(event.user_id));
+    }
+    if (!settingsByUser.get(event.user_id).auto_resolve[event.reason]) continue;
+
+    let items;
+    try {
+      items = await storage.items.resolveThreads({
+        user_id: event.user_id,
+        platform: event.platform,
+        threadKey: event.threadKey,
+        threadKeyPrefix: event.threadKeyPrefix,
+        statuses: OPEN_STATUSES,
+        // A message that arrived after the activity still needs an answer
+        before: new Date(event.at).toISOString(),
+        patch: {
+          status: 'completed',
+          resolved_at: new Date(event.at).toISOString(),
+          resolved_reason: event.reason,
+          snoozed_until: null
+        }
+      });
+    } catch (error) {
+      log.error('Error auto-resolving items', error);
+      throw error;
+    }
+
+    if (items.length) {
+      log.info('Auto-resolved items', { count: items.length, user_id: event.user_id, reason: event.reason });
+      resolved += items.length;
+    }
+    for (const item of items) {
+      await publishEvent(item.user_id, 'item.resolved', { item });
+    }
+  }
+
+  return resolved;
+}
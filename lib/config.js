@@ -0,0 +1,16 @@
+/**
+ * Shared configuration read from the environment
+ */
+
+import 'dotenv/config';
+
+export const PORT = process.env.PORT || 3000;
+
+// Where data lives: 'supabase' (SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY),
+// 'postgres' (DATABASE_URL) or 'memory' (tests) — see lib/storage
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'supabase';
+
+// Upstream APIs — only overridden to point the server at local stand-ins (see test/)
+export const GMAIL_API_URL = process.env.GMAIL_API_URL || 'https://gmail.googleapis.com/';
+export const GOOGLE_OAUTH_URL = process.env.GOOGLE_OAUTH_URL || 'https://oauth2.googleapis.com';
+export const SLACK_API_URL = process.env.SLACK_API_URL || 'https://slack.com/api';
@@ -0,0 +1,301 @@
+/**
+ * Daily digest — a summary of the user's open items, delivered by email
+ * (through their connected Gmail account) and/or as a Slack DM from the bot
+ *
+ * Each user picks a local time and timezone in their `digest` settings. A
+ * scheduler checks every DIGEST_CHECK_INTERVAL_MS for users whose time has
+ * come and records one digest_deliveries row per user and local date, so a
+ * digest goes out once a day even with several server instances.
+ *
+ * Delivery goes through the connectors' `sendDigest(user_id, rendered)`:
+ * the email channel uses Gmail, the slack channel uses Slack.
+ */
+
+import { storage } from './storage/index.js';
+import { getUserSettings } from './user-settings.js';
+import { PRIORITIES } from './triage-rules.js';
+import { getConnector } from '../connectors/index.js';
+import { log } from './logger.js';
+
+const DIGEST_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// A digest whose time passed longer ago than this (server down, digest just
+// enabled in the evening) waits for the next day instead of arriving late
+const DIGEST_SEND_WINDOW_MINUTES = 3 * 60;
+const DIGEST_MAX_ITEMS = 200;
+// Per platform and priority, so a Slack message stays readable
+const DIGEST_ITEMS_PER_GROUP = 15;
+const DIGEST_MAX_ATTEMPTS = 3;
+
+// Digest channel → the connector that delivers it
+const CHANNEL_PLATFORMS = { email: 'gmail', slack: 'slack' };
+
+/**
+ * Calendar date (YYYY-MM-DD) and HH:MM of an instant in a timezone
+ */
+export function localDateTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeSlack(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatDigestDate(date) {
+  // Noon UTC, so the weekday is right whatever the server's timezone
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+/**
+ * Open items for a user on a date (YYYY-MM-DD in `timezone`), grouped by
+ * platform and priority. Items due that day or earlier are also listed
+ * under `due`.
+ */
+export async function compileDigest(user_id, { date, timezone }) {
+  let items;
+  try {
+    items = await storage.items.listByStatus(user_id, 'pending', {
+      limit: DIGEST_MAX_ITEMS,
+      orderBy: 'priority_score',
+      ascending: false
+    });
+  } catch (error) {
+    log.error('Error loading digest items', error);
+    throw error;
+  }
+
+  const groups = new Map();
+  const due = [];
+
+  for (const item of items) {
+    if (item.due_at && localDateTime(new Date(item.due_at), timezone).date <= date) due.push(item);
+
+    if (!groups.has(item.platform_tag)) {
+      groups.set(item.platform_tag, {
+        platform: item.platform_tag,
+        name: getConnector(item.platform_tag)?.name || item.platform_tag,
+        total: 0,
+        priorities: new Map()
+      });
+    }
+    const group = groups.get(item.platform_tag);
+    const priority = PRIORITIES.includes(item.priority) ? item.priority : 'normal';
+    if (!group.priorities.has(priority)) group.priorities.set(priority, []);
+    group.priorities.get(priority).push(item);
+    group.total++;
+  }
+
+  return {
+    user_id,
+    date,
+    timezone,
+    total: items.length,
+    due,
+    groups: [...groups.values()].map(group => ({
+      ...group,
+      priorities: PRIORITIES
+        .filter(priority => group.priorities.has(priority))
+        .map(priority => ({ priority, items: group.priorities.get(priority) }))
+    }))
+  };
+}
+
+/**
+ * The digest as an email ({ subject, html, text }) and a Slack message ({ mrkdwn })
+ */
+export function renderDigest(digest) {
+  const title = `Your triage digest for ${formatDigestDate(digest.date)}`;
+  const subject = digest.total
+    ? `${digest.total} open item${digest.total === 1 ? '' : 's'} — ${formatDigestDate(digest.date)}`
+    : `Nothing pending — ${formatDigestDate(digest.date)}`;
+
+  const label = (item) => `${item.task_text}${item.message_count > 1 ? ` (${item.message_count} messages)` : ''}`;
+  const sections = [];
+  if (digest.due.length) sections.push({ heading: 'Due today or overdue', lists: [{ items: digest.due }] });
+  for (const group of digest.groups) {
+    sections.push({
+      heading: `${group.name} (${group.total})`,
+      lists: group.priorities.map(({ priority, items }) => ({ name: priority, items }))
+    });
+  }
+
+  const html = [
+    '<div style="font-family: -apple-system, sans-serif; max-width: 640px; color: #1a1a2e;">',
+    `<h2>${escapeHtml(title)}</h2>`,
+    digest.total ? '' : '<p>Nothing pending. Enjoy your day!</p>',
+    ...sections.map(section => [
+      `<h3>${escapeHtml(section.heading)}</h3>`,
+      ...section.lists.map(list => [
+        list.name ? `<p style="margin: 8px 0 4px; color: #888; text-transform: uppercase; font-size: 12px;">${escapeHtml(list.name)}</p>` : '',
+        '<ul style="margin-top: 0;">',
+        ...list.items.slice(0, DIGEST_ITEMS_PER_GROUP).map(item =>
+          `<li><a href="${escapeHtml(item.message_link)}">${escapeHtml(label(item))}</a>` +
+          `${item.sender_name ? ` <span style="color: #888;">— ${escapeHtml(item.sender_name)}</span>` : ''}</li>`
+        ),
+        list.items.length > DIGEST_ITEMS_PER_GROUP ? `<li style="color: #888;">…and ${list.items.length - DIGEST_ITEMS_PER_GROUP} more</li>` : '',
+        '</ul>'
+      ].filter(Boolean).join('\n'))
+    ].join('\n')),
+    '</div>'
+  ].filter(Boolean).join('\n');
+
+  const text = [
+    title,
+    '',
+    digest.total ? null : 'Nothing pending. Enjoy your day!',
+    ...sections.flatMap(section => [
+      section.heading,
+      ...section.lists.flatMap(list => [
+        list.name ? `  ${list.name.toUpperCase()}` : null,
+        ...list.items.slice(0, DIGEST_ITEMS_PER_GROUP).map(item => `  - ${label(item)}${item.sender_name ? ` (${item.sender_name})` : ''}: ${item.message_link}`),
+        list.items.length > DIGEST_ITEMS_PER_GROUP ? `  ...and ${list.items.length - DIGEST_ITEMS_PER_GROUP} more` : null
+      ]),
+      ''
+    ])
+  ].filter(line => line !== null).join('\n');
+
+  const mrkdwn = [
+    `*${escapeSlack(title)}*`,
+    digest.total ? null : 'Nothing pending. Enjoy your day! :palm_tree:',
+    ...sections.flatMap(section => [
+      '',
+      `*${escapeSlack(section.heading)}*`,
+      ...section.lists.flatMap(list => [
+        list.name ? `_${list.name}_` : null,
+        ...list.items.slice(0, DIGEST_ITEMS_PER_GROUP).map(item =>
+          `• <${item.message_link}|${escapeSlack(label(item))}>${item.sender_name ? ` — ${escapeSlack(item.sender_name)}` : ''}`
+        ),
+        list.items.length > DIGEST_ITEMS_PER_GROUP ? `…and ${list.items.length - DIGEST_ITEMS_PER_GROUP} more` : null
+      ])
+    ])
+  ].filter(line => line !== null).join('\n');
+
+  return { subject, html, text, mrkdwn };
+}
+
+/**
+ * Compile and send a user's digest for a date over the given channels
+ * ('email', 'slack'). Never throws for one failing channel; returns
+ * { total, channels: { email: { sent, detail? , error? }, ... } }.
+ */
+export async function deliverDigest(user_id, { date, timezone, channels }) {
+  const digest = await compileDigest(user_id, { date, timezone });
+  const rendered = renderDigest(digest);
+  const results = {};
+
+  for (const channel of channels) {
+    const connector = getConnector(CHANNEL_PLATFORMS[channel]);
+    if (!connector?.sendDigest) {
+      results[channel] = { sent: false, error: `No ${channel} delivery available` };
+      continue;
+    }
+
+    try {
+      results[channel] = { sent: true, ...await connector.sendDigest(user_id, rendered) };
+    } catch (error) {
+      log.error('Digest delivery failed', error, { channel, user_id });
+      results[channel] = { sent: false, error: error.message };
+    }
+  }
+
+  return { total: digest.total, channels: results };
+}
+
+export function digestChannels(settings) {
+  return Object.keys(CHANNEL_PLATFORMS).filter(channel => settings[channel]);
+}
+
+/**
+ * Send one user's digest if their time has come today and it hasn't gone out
+ */
+async function runUserDigest(user_id, settings, now) {
+  const { date, time } = localDateTime(now, settings.timezone);
+  const lateBy = minutesOf(time) - minutesOf(settings.time);
+  if (lateBy < 0 || lateBy > DIGEST_SEND_WINDOW_MINUTES) return;
+
+  const channels = digestChannels(settings);
+  if (!channels.length) return;
+
+  // Today's delivery: a new one, or a failed one with attempts left
+  const delivery = await storage.digestDeliveries.claim(user_id, date, { maxAttempts: DIGEST_MAX_ATTEMPTS });
+  if (!delivery) return;
+
+  let result;
+  try {
+    result = await deliverDigest(user_id, { date, timezone: settings.timezone, channels });
+  } catch (error) {
+    // Release the claim, so a later scan retries while attempts are left
+    await storage.digestDeliveries.finish(delivery.id, { status: 'failed', results: { error: error.message } })
+      .catch(finishError => log.error('Error releasing digest delivery', finishError, { user_id }));
+    throw error;
+  }
+  const failed = Object.values(result.channels).filter(channel => !channel.sent);
+
+  await storage.digestDeliveries.finish(delivery.id, {
+    status: failed.length === channels.length ? 'failed' : 'sent',
+    results: result.channels,
+    sent_at: new Date().toISOString()
+  });
+
+  log.info('Digest delivered', { user_id, date, items: result.total, channels, failed: failed.length });
+}
+
+let digestScanRunning = false;
+
+export async function runDueDigests() {
+  if (digestScanRunning) return;
+  digestScanRunning = true;
+
+  try {
+    let userIds;
+    try {
+      userIds = await storage.settings.listDigestUsers();
+    } catch (error) {
+      log.error('Error loading digest schedules', error);
+      return;
+    }
+
+    const now = new Date();
+    for (const user_id of userIds) {
+      try {
+        const { digest } = await getUserSettings(user_id);
+        await runUserDigest(user_id, digest, now);
+      } catch (userError) {
+        log.error('Digest error', userError, { user_id });
+      }
+    }
+  } finally {
+    digestScanRunning = false;
+  }
+}
+
+export function startDigestScheduler() {
+  runDueDigests();
+  setInterval(runDueDigests, DIGEST_CHECK_INTERVAL_MS);
+  log.info('Digest scheduler started');
+}
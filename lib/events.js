@@ -0,0 +1,183 @@
+/**
+ * Per-user events for the extension, streamed by GET /events (routes/events.js)
+ *
+ * publishEvent() appends to the user_events log (storage.events). Every
+ * server instance tails that log and hands new events to the SSE clients
+ * connected to it, so an event reaches the user whichever instance they
+ * are connected to. The log is kept for EVENTS_RETENTION_MS (startEventPurge),
+ * which is how far back a client can resume with Last-Event-ID.
+ *
+ * Types:
+ *   item.created        a new item was saved
+ *   item.updated        an item changed (thread reply, snooze, edit, reminder)
+ *   item.resolved       an item was completed or archived (here or at the source)
+ *   item.deleted        the source message was deleted
+ *   connection.updated  a connection's status or last error changed
+ *                       (watch expired, token revoked, sync failing, ...)
+ *   connection.removed  a connection was disconnected
+ */
+
+import { storage } from './storage/index.js';
+import { log, runWithLogContext } from './logger.js';
+
+// How often each instance checks the log for events from other instances
+const EVENTS_POLL_INTERVAL_MS = 1000;
+const EVENTS_BATCH_LIMIT = 500;
+// Ids are handed out before an insert commits, so one can show up after a
+// higher one. The tail only moves past events older than this.
+const EVENTS_SETTLE_MS = 5000;
+const EVENTS_RETENTION_MS = 10 * 60 * 1000;
+const EVENTS_PURGE_INTERVAL_MS = 60 * 1000;
+
+const RESOLVED_STATUSES = ['completed', 'archived'];
+
+// user_id -> Set of listeners connected to this instance
+const subscribers = new Map();
+let tailTimer = null;
+let tailing = false;
+// Every event up to this id has been dispatched; ids above it in `dispatched` too
+let cursor = null;
+const dispatched = new Set();
+
+/**
+ * Record an event for a user. Best effort: the change it describes has
+ * already happened, so a failure is logged rather than thrown (clients
+ * catch up on their next full refresh).
+ */
+export async function publishEvent(user_id, type, data = {}) {
+  if (!user_id) return null;
+
+  try {
+    const event = await storage.events.append({ user_id, type, data });
+    if (subscribers.size) setImmediate(tail);
+    return event;
+  } catch (error) {
+    log.error('Error publishing event', error, { type });
+    return null;
+  }
+}
+
+/**
+ * item.resolved when the item was just completed or archived, item.updated otherwise
+ */
+export function publishItemChange(item, patch = {}) {
+  const type = patch.status && RESOLVED_STATUSES.includes(item.status) ? 'item.resolved' : 'item.updated';
+  return publishEvent(item.user_id, type, { item });
+}
+
+/**
+ * A connection's state as GET /connections shows it, after it changed
+ */
+export function publishConnectionChange(user_id, platform, connection) {
+  return publishEvent(user_id, 'connection.updated', { id: `${platform}:${connection.account}`, platform, ...connection });
+}
+
+function dispatch(event) {
+  for (const listener of subscribers.get(event.user_id) || []) {
+    try {
+      listener(event);
+    } catch (error) {
+      log.error('Event listener error', error);
+    }
+  }
+}
+
+/**
+ * Dispatch what was appended since the cursor, then move the cursor past
+ * the events that have settled
+ */
+async function tail() {
+  if (tailing || !subscribers.size) return;
+  tailing = true;
+
+  try {
+    cursor ??= (await storage.events.bounds()).latest || 0;
+
+    const events = await storage.events.listSince(cursor, { limit: EVENTS_BATCH_LIMIT });
+    const settled = Date.now() - EVENTS_SETTLE_MS;
+
+    for (const event of events) {
+      if (!dispatched.has(event.id)) {
+        dispatched.add(event.id);
+        dispatch(event);
+      }
+      if (Date.parse(event.created_at) <= settled) cursor = event.id;
+    }
+    for (const id of dispatched) {
+      if (id <= cursor) dispatched.delete(id);
+    }
+  } catch (error) {
+    log.error('Event tail error', error);
+  } finally {
+    tailing = false;
+  }
+}
+
+/**
+ * Delete the events older than EVENTS_RETENTION_MS. Runs on its own timer
+ * (startEventPurge) since the log grows whether or not anyone is connected.
+ */
+export async function purgeEvents(now = Date.now()) {
+  try {
+    await storage.events.purge(new Date(now - EVENTS_RETENTION_MS).toISOString());
+  } catch (error) {
+    log.error('Error purging events', error);
+  }
+}
+
+export function startEventPurge() {
+  purgeEvents();
+  setInterval(purgeEvents, EVENTS_PURGE_INTERVAL_MS);
+  log.info('Event purge started');
+}
+
+/**
+ * Call `listener(event)` for each new event of a user on this instance.
+ * Returns the function that unsubscribes.
+ */
+export function subscribe(user_id, listener) {
+  if (!subscribers.has(user_id)) subscribers.set(user_id, new Set());
+  subscribers.get(user_id).add(listener);
+
+  if (!tailTimer) {
+    // Started by the first subscriber's request, but not part of it
+    runWithLogContext({}, () => {
+      tailTimer = setInterval(tail, EVENTS_POLL_INTERVAL_MS);
+      tail();
+    });
+  }
+
+  return () => {
+    const listeners = subscribers.get(user_id);
+    listeners?.delete(listener);
+    if (listeners?.size === 0) subscribers.delete(user_id);
+
+    // Stop tailing while nobody is connected; the cursor restarts at the end
+    if (!subscribers.size && tailTimer) {
+      clearInterval(tailTimer);
+      tailTimer = null;
+      cursor = null;
+      dispatched.clear();
+    }
+  };
+}
+
+/**
+ * A user's events after `lastEventId`, for a client resuming its stream.
+ * `reset` is true when the log no longer reaches back that far, so the
+ * client should reload everything instead.
+ */
+export async function eventsSince(user_id, lastEventId) {
+  const { oldest } = await storage.events.bounds();
+  if (oldest === null || lastEventId < oldest - 1) return { reset: true, events: [] };
+
+  const events = [];
+  let after = lastEventId;
+  for (;;) {
+    const page = await storage.events.listSince(after, { user_id, limit: EVENTS_BATCH_LIMIT });
+    events.push(...page);
+    if (page.length < EVENTS_BATCH_LIMIT) break;
+    after = page.at(-1).id;
+  }
+  return { reset: false, events };
+}
@@ -0,0 +1,115 @@
+/**
+ * Body cleanup — turn raw email/Slack bodies into the text a person
+ * actually wrote: no HTML, no quoted replies, no signatures.
+ */
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', '#39': '\'' };
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z0-9]+);/gi, (match, name) => {
+    const lower = name.toLowerCase();
+    if (lower in ENTITIES) return ENTITIES[lower];
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return match;
+  });
+}
+
+export function htmlToText(html) {
+  const text = html
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Gmail/Outlook wrap the quoted thread in a container we can drop outright
+    .replace(/<(div|blockquote)[^>]*class="[^"]*(gmail_quote|OutlookMessageHeader)[^"]*"[^>]*>[\s\S]*$/i, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text);
+}
+
+/**
+ * Slack mrkdwn → plain text (`<@U123>`, `<url|label>`, `<!here>`)
+ */
+export function slackToText(text) {
+  return text
+    .replace(/<@([A-Z0-9]+)(\|[^>]+)?>/g, (m, id, label) => label ? `@${label.slice(1)}` : `@${id}`)
+    .replace(/<!(here|channel|everyone)[^>]*>/g, '@$1')
+    .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+    .replace(/<([^|>]+)\|([^>]+)>/g, '$2')
+    .replace(/<([^>]+)>/g, '$1');
+}
+
+const QUOTE_HEADERS = [
+  /^On\b.{0,200}\bwrote:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^_{10,}\s*$/
+];
+
+/**
+ * Drop everything from the first quoted-reply marker on, plus `>` lines
+ */
+export function stripQuotedReply(text) {
+  const lines = text.split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // "On Mon, Jan 1, 2024 at 9:00 AM Someone <a@b.c>" is often wrapped onto two lines
+    const joined = `${line} ${(lines[i + 1] || '').trim()}`;
+
+    if (QUOTE_HEADERS.some(re => re.test(line)) || (/^On\b/i.test(line) && QUOTE_HEADERS[0].test(joined))) break;
+    // Outlook-style header block: "From: ..." followed by "Sent:"/"Date:"
+    if (/^From:\s/i.test(line) && lines.slice(i + 1, i + 4).some(l => /^(Sent|Date):\s/i.test(l.trim()))) break;
+    if (line.startsWith('>')) continue;
+
+    kept.push(lines[i]);
+  }
+
+  return kept.join('\n');
+}
+
+const SIGNATURE_STARTS = [
+  /^--\s*$/,
+  /^(sent from my|get outlook for)\b/i
+];
+
+const SIGN_OFFS = /^(best|thanks|thank you|many thanks|cheers|regards|best regards|kind regards|warm regards|sincerely|thx|ty)[,.!]?\s*$/i;
+
+/**
+ * Cut the signature: a "-- " delimiter, a mobile footer, or a sign-off line
+ * that follows at least one line of real content
+ */
+export function stripSignature(text) {
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (SIGNATURE_STARTS.some(re => re.test(line))) return lines.slice(0, i).join('\n');
+    if (i > 0 && SIGN_OFFS.test(line) && lines.slice(0, i).some(l => l.trim())) {
+      return lines.slice(0, i).join('\n');
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Full cleanup for a body in the given format ('text' | 'html' | 'slack')
+ */
+export function cleanBody(body, format = 'text') {
+  if (!body) return '';
+
+  let text = body.replace(/\r\n?/g, '\n');
+  if (format === 'html') text = htmlToText(text);
+  if (format === 'slack') text = slackToText(text);
+
+  text = stripSignature(stripQuotedReply(text));
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,143 @@
+/**
+ * Due-date detection
+ *
+ * Finds date expressions ("tomorrow", "by Friday", "EOD", "March 5",
+ * "3/14", "in 2 days", ...) and resolves them against the time the message
+ * was sent. Dates resolve to the end of that day in the server's timezone.
+ * An expression counts as a due date when it is preceded by "by", "before",
+ * "due", "until", "deadline" or "no later than", or is EOD/COB itself.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY_NUM = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+const DUE_CONTEXT = /\b(by|before|due|until|till|deadline|no later than)\b[\s:,]*(?:the\s+|this\s+|next\s+|on\s+)?$/i;
+
+function endOfDay(date) {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 0);
+  return d;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * A month/day without a year means the next such date on or after the reference
+ */
+function resolveMonthDay(ref, month, day, year) {
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  if (year !== undefined) return new Date(year < 100 ? 2000 + year : year, month, day);
+
+  let date = new Date(ref.getFullYear(), month, day);
+  if (endOfDay(date) < ref) date = new Date(ref.getFullYear() + 1, month, day);
+  return date;
+}
+
+// Each pattern returns the resolved day (or null) for its match
+const PATTERNS = [
+  {
+    re: /\b(today|tonight|eod|cob|end of (?:the )?day|close of business)\b/gi,
+    resolve: (m, ref) => ref,
+    alwaysDue: m => /eod|cob|end of|close of/i.test(m[1])
+  },
+  {
+    re: /\btomorrow\b/gi,
+    resolve: (m, ref) => addDays(ref, 1)
+  },
+  {
+    re: /\b(end of (?:the |this )?week|eow)\b/gi,
+    resolve: (m, ref) => addDays(ref, (5 - ref.getDay() + 7) % 7),
+    alwaysDue: () => true
+  },
+  {
+    re: /\bnext week\b/gi,
+    resolve: (m, ref) => addDays(ref, ((1 - ref.getDay() + 7) % 7) || 7)
+  },
+  {
+    re: /\b(end of (?:the |this )?month|eom)\b/gi,
+    resolve: (m, ref) => new Date(ref.getFullYear(), ref.getMonth() + 1, 0),
+    alwaysDue: () => true
+  },
+  {
+    re: /\bin (\d{1,2}|a|an|one|two|three) (day|days|week|weeks)\b/gi,
+    resolve: (m, ref) => {
+      const words = { a: 1, an: 1, one: 1, two: 2, three: 3 };
+      const n = words[m[1].toLowerCase()] ?? Number(m[1]);
+      return addDays(ref, m[2].toLowerCase().startsWith('week') ? n * 7 : n);
+    }
+  },
+  {
+    re: /\b(next )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/gi,
+    resolve: (m, ref) => {
+      const diff = (WEEKDAYS.indexOf(m[2].toLowerCase()) - ref.getDay() + 7) % 7;
+      // "next Friday" is the coming Friday, never today
+      return addDays(ref, m[1] ? diff || 7 : diff);
+    }
+  },
+  {
+    re: new RegExp(`\\b${MONTH_NAME}\\s+${DAY_NUM}(?:,?\\s+(\\d{4}))?\\b`, 'gi'),
+    resolve: (m, ref) => resolveMonthDay(ref, MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()), Number(m[2]), m[3] && Number(m[3]))
+  },
+  {
+    re: new RegExp(`\\b${DAY_NUM}\\s+(?:of\\s+)?${MONTH_NAME}(?:,?\\s+(\\d{4}))?\\b`, 'gi'),
+    resolve: (m, ref) => resolveMonthDay(ref, MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()), Number(m[1]), m[3] && Number(m[3]))
+  },
+  {
+    re: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    resolve: (m) => resolveMonthDay(null, Number(m[2]) - 1, Number(m[3]), Number(m[1]))
+  },
+  {
+    // US-style month/day[/year]
+    re: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/g,
+    resolve: (m, ref) => resolveMonthDay(ref, Number(m[1]) - 1, Number(m[2]), m[3] && Number(m[3]))
+  }
+];
+
+/**
+ * Find date expressions in `text`, resolved relative to `referenceDate`.
+ * Returns [{ text, date (ISO), due }] in order of appearance, one per span.
+ */
+export function detectDates(text, referenceDate = new Date()) {
+  const ref = new Date(referenceDate);
+  const found = [];
+
+  for (const pattern of PATTERNS) {
+    for (const match of text.matchAll(pattern.re)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // Earlier patterns win overlapping spans ("next Friday" vs "Friday")
+      if (found.some(f => start < f.end && end > f.start)) continue;
+
+      const day = pattern.resolve(match, ref);
+      if (!day || isNaN(day)) continue;
+
+      const before = text.slice(Math.max(0, start - 25), start);
+      found.push({
+        start,
+        end,
+        text: match[0],
+        date: endOfDay(day).toISOString(),
+        due: DUE_CONTEXT.test(before) || !!pattern.alwaysDue?.(match)
+      });
+    }
+  }
+
+  return found
+    .sort((a, b) => a.start - b.start)
+    .map(({ text: t, date, due }) => ({ text: t, date, due }));
+}
+
+/**
+ * Earliest due date in the text, or null
+ */
+export function earliestDueDate(dates) {
+  const due = dates.filter(d => d.due).map(d => d.date).sort();
+  return due[0] || null;
+}
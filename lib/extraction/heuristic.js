@@ -0,0 +1,120 @@
+/**
+ * Deterministic extraction provider — finds requests addressed to the
+ * reader and builds a short task sentence from the first one. Runs fully
+ * locally and is always available as the fallback for other providers.
+ */
+
+import { detectDates } from './dates.js';
+
+const MAX_TASK_LENGTH = 140;
+const MAX_ACTIONS = 5;
+
+// Sentences that ask the reader to do something
+const REQUEST_PATTERNS = [
+  /^(please|pls|kindly)\b/i,
+  /\b(can|could|would|will) you\b/i,
+  /\b(please|pls)\b/i,
+  /\blet (me|us) know\b/i,
+  /\b(need|needs|want|wanted) you to\b/i,
+  /\b(make sure|don't forget|do not forget|remember) to\b/i,
+  /\bare you able to\b/i,
+  /\bwhen can you\b/i,
+  /\b(action required|action item|todo|to-do)\b/i
+];
+
+// Politeness and filler stripped from the front of an action
+const LEADING_FILLER = [
+  /^(hey|hi|hello|dear)\b[^,!.\n]*[,!.]\s*/i,
+  /^(hey|hi|hello)\s+(?=@)/i,
+  /^@\S+[,:]?\s+/,
+  /^(so|also|and|but|ok|okay|btw|quick question)[,:]?\s+/i,
+  /^(i was wondering if|i wonder if)\s+/i,
+  /^(can|could|would|will) you (please |kindly )?/i,
+  /^are you able to\s+/i,
+  /^(please|pls|kindly)[,:]?\s+/i,
+  /^(i|we) (need|want|wanted) you to\s+/i,
+  /^(just )?(make sure|remember) to\s+/i,
+  /^(don't|do not) forget to\s+/i
+];
+
+export function splitSentences(text) {
+  return text
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+    .map(s => s.trim())
+    .filter(s => s.length > 2);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.substring(0, max - 3).trimEnd() + '...' : text;
+}
+
+/**
+ * Reduce a request sentence to an imperative-ish action
+ * ("Hi Sam, could you please send the deck?" → "Send the deck")
+ */
+export function toAction(sentence) {
+  let action = sentence;
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const re of LEADING_FILLER) {
+      const next = action.replace(re, '');
+      if (next !== action) {
+        action = next;
+        changed = true;
+      }
+    }
+  }
+
+  action = action
+    .replace(/[,\s]*(please|pls|thanks|thank you)?[.!?\s]*$/i, '')
+    .trim();
+
+  return action ? capitalize(action) : null;
+}
+
+export function detectRequestedActions(text) {
+  const actions = [];
+
+  for (const sentence of splitSentences(text)) {
+    const isRequest = REQUEST_PATTERNS.some(re => re.test(sentence)) ||
+      (sentence.endsWith('?') && /\byou\b/i.test(sentence));
+    if (!isRequest) continue;
+
+    const action = toAction(sentence);
+    if (action && !actions.includes(action)) actions.push(action);
+    if (actions.length >= MAX_ACTIONS) break;
+  }
+
+  return actions;
+}
+
+export const heuristicProvider = {
+  name: 'heuristic',
+
+  /**
+   * @param {{ platform, sender, subject, body, sentAt }} input
+   */
+  async extract({ sender, subject, body, sentAt }) {
+    const actions = detectRequestedActions(body);
+    const dueDates = detectDates(`${subject || ''}\n${body}`, sentAt);
+
+    let task;
+    if (actions.length) {
+      task = actions[0];
+    } else if (subject) {
+      task = subject;
+    } else {
+      task = splitSentences(body)[0] || '';
+    }
+
+    return {
+      task: task ? truncate(`${sender}: ${task}`, MAX_TASK_LENGTH) : null,
+      actions,
+      dueDates
+    };
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Extraction stage — turn a message body into a concise task sentence,
+ * requested actions and a due date.
+ *
+ * The deterministic heuristic provider always runs. An additional provider
+ * (the env-configured LLM, or anything registered with
+ * setExtractionProvider) can refine its result; if it fails, the heuristic
+ * result is used as-is.
+ *
+ * A provider is { name, extract(input) → { task, actions, dueDates } } where
+ * input is { platform, sender, subject, body, sentAt }.
+ */
+
+import { cleanBody } from './clean.js';
+import { earliestDueDate } from './dates.js';
+import { heuristicProvider } from './heuristic.js';
+import { llmProviderFromEnv } from './llm.js';
+import { log } from '../logger.js';
+
+let extraProvider = llmProviderFromEnv();
+
+/**
+ * Replace the optional provider that runs after the heuristic one (null to disable)
+ */
+export function setExtractionProvider(provider) {
+  extraProvider = provider;
+}
+
+/**
+ * Run extraction for one normalized message.
+ * `body` is { body, format } as returned by message.loadBody(); without it
+ * the message's own text is used.
+ * Returns { task, actions, dueDates, dueAt, provider }.
+ */
+export async function extractTask(message, body) {
+  const format = body?.format || (message.platform === 'slack' ? 'slack' : 'text');
+  const raw = body?.body ?? message.meta?.text ?? '';
+
+  const input = {
+    platform: message.platform,
+    sender: message.sender,
+    subject: message.platform === 'gmail' ? message.summary : null,
+    body: cleanBody(raw, format),
+    sentAt: message.sentAt || Date.now()
+  };
+
+  let result = await heuristicProvider.extract(input);
+  let provider = heuristicProvider.name;
+
+  if (extraProvider && input.body) {
+    try {
+      const refined = await extraProvider.extract(input);
+      result = {
+        task: refined.task || result.task,
+        actions: refined.actions.length ? refined.actions : result.actions,
+        dueDates: refined.dueDates.length ? refined.dueDates : result.dueDates
+      };
+      provider = extraProvider.name;
+    } catch (error) {
+      log.warn('Extraction provider failed, using heuristic result', error, { provider: extraProvider.name });
+    }
+  }
+
+  return { ...result, dueAt: earliestDueDate(result.dueDates), provider };
+}
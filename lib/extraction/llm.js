@@ -0,0 +1,88 @@
+/**
+ * Optional LLM extraction provider for any OpenAI-compatible
+ * chat-completions endpoint (hosted or local, e.g. Ollama / llama.cpp).
+ *
+ * Only used when EXTRACTION_LLM_URL is set — otherwise message bodies
+ * never leave the server.
+ */
+
+import { trackUpstream } from '../metrics.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_BODY_CHARS = 4000;
+
+const SYSTEM_PROMPT = `You turn one incoming message into a to-do item for its recipient.
+Reply with JSON only: {"task": string, "actions": string[], "due_dates": [{"text": string, "date": "YYYY-MM-DD"}]}
+- task: one short imperative sentence (max 15 words) saying what the recipient should do
+- actions: each distinct thing the sender asks the recipient to do
+- due_dates: deadlines mentioned in the message, resolved relative to the sent date`;
+
+export function createLlmProvider({ url, apiKey, model }) {
+  return {
+    name: 'llm',
+
+    async extract({ platform, sender, subject, body, sentAt }) {
+      const data = await trackUpstream('llm', 'chat.completions', async () => {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify({
+            model,
+            temperature: 0,
+            response_format: { type: 'json_object' },
+            messages: [
+              { role: 'system', content: SYSTEM_PROMPT },
+              {
+                role: 'user',
+                content: [
+                  `Platform: ${platform}`,
+                  `From: ${sender}`,
+                  `Sent: ${new Date(sentAt).toISOString()}`,
+                  subject ? `Subject: ${subject}` : null,
+                  '',
+                  body.substring(0, MAX_BODY_CHARS)
+                ].filter(line => line !== null).join('\n')
+              }
+            ]
+          }),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+          const error = new Error(`LLM provider returned ${response.status}`);
+          error.code = response.status;
+          throw error;
+        }
+        return response.json();
+      });
+
+      const parsed = JSON.parse(data.choices?.[0]?.message?.content || '{}');
+
+      return {
+        task: typeof parsed.task === 'string' && parsed.task.trim() ? `${sender}: ${parsed.task.trim()}` : null,
+        actions: Array.isArray(parsed.actions) ? parsed.actions.filter(a => typeof a === 'string') : [],
+        dueDates: Array.isArray(parsed.due_dates)
+          ? parsed.due_dates
+            .filter(d => d && !isNaN(Date.parse(d.date)))
+            .map(d => ({ text: String(d.text || d.date), date: new Date(`${d.date}T23:59:59`).toISOString(), due: true }))
+          : []
+      };
+    }
+  };
+}
+
+/**
+ * Provider from env, or null when no LLM is configured
+ */
+export function llmProviderFromEnv() {
+  if (!process.env.EXTRACTION_LLM_URL) return null;
+
+  return createLlmProvider({
+    url: process.env.EXTRACTION_LLM_URL,
+    apiKey: process.env.EXTRACTION_LLM_API_KEY,
+    model: process.env.EXTRACTION_LLM_MODEL || 'gpt-4o-mini'
+  });
+}
@@ -0,0 +1,342 @@
+/**
+ * Gmail API client with quota and rate-limit handling
+ *
+ * Wraps the googleapis Gmail client the connector uses so that every call:
+ *  - draws its cost from a per-mailbox quota bucket first. Gmail allows
+ *    each user GMAIL_QUOTA_UNITS_PER_SECOND units (a moving average), and
+ *    going over it is what produces 429 / rateLimitExceeded.
+ *  - is retried with jittered exponential backoff on 429, 403
+ *    rateLimitExceeded / userRateLimitExceeded and 5xx (honoring
+ *    Retry-After). A rate-limit answer also pauses the mailbox's other calls.
+ *
+ * It adds two calls googleapis doesn't have: getMessages() fetches up to
+ * GMAIL_BATCH_SIZE messages per HTTP batch request instead of one request
+ * each, and listMessages() pages through users.messages.list up to a capped
+ * maxResults.
+ */
+
+import crypto from 'crypto';
+import { google } from 'googleapis';
+import { GMAIL_API_URL } from './config.js';
+import { log } from './logger.js';
+import { trackUpstream } from './metrics.js';
+
+// Gmail's per-user limit; lower it to leave headroom for other apps on the account
+const GMAIL_QUOTA_UNITS_PER_SECOND = Number(process.env.GMAIL_QUOTA_UNITS_PER_SECOND) || 250;
+
+// Cost of each method we call, in quota units (Gmail API "Usage limits" page)
+const GMAIL_QUOTA_UNITS = {
+  'users.getProfile': 1,
+  'users.watch': 100,
+  'users.stop': 50,
+  'users.history.list': 2,
+  'users.labels.list': 1,
+  'users.labels.create': 5,
+  'users.messages.list': 5,
+  'users.messages.get': 5,
+  'users.messages.modify': 5,
+  'users.messages.send': 100
+};
+
+// Google allows 100 calls per batch but recommends at most 50 for Gmail
+const GMAIL_BATCH_SIZE = 50;
+// users.messages.list returns at most this many per page
+const GMAIL_LIST_PAGE_SIZE = 500;
+// Hard cap on how many messages listMessages() returns, whatever is asked for
+const GMAIL_LIST_MAX_RESULTS = 500;
+
+const GMAIL_MAX_RETRIES = 4;
+const GMAIL_RETRY_BASE_MS = 500;
+const GMAIL_RETRY_MAX_MS = 30 * 1000;
+
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN']);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// QUOTA (per mailbox)
+// ============================================
+
+// email -> { available, refilledAt, pausedUntil }
+const quotaBuckets = new Map();
+
+function quotaBucket(account) {
+  if (!quotaBuckets.has(account)) {
+    quotaBuckets.set(account, { available: GMAIL_QUOTA_UNITS_PER_SECOND, refilledAt: Date.now(), pausedUntil: 0 });
+  }
+
+  const bucket = quotaBuckets.get(account);
+  const now = Date.now();
+  bucket.available = Math.min(
+    GMAIL_QUOTA_UNITS_PER_SECOND,
+    bucket.available + (now - bucket.refilledAt) / 1000 * GMAIL_QUOTA_UNITS_PER_SECOND
+  );
+  bucket.refilledAt = now;
+  return bucket;
+}
+
+/**
+ * Wait until the mailbox has `units` to spend, then spend them
+ */
+async function takeQuota(account, units) {
+  if (!account) return;
+  const cost = Math.min(units, GMAIL_QUOTA_UNITS_PER_SECOND);
+
+  for (;;) {
+    const bucket = quotaBucket(account);
+    const wait = Math.max(
+      bucket.pausedUntil - Date.now(),
+      (cost - bucket.available) / GMAIL_QUOTA_UNITS_PER_SECOND * 1000
+    );
+    if (wait <= 0) {
+      bucket.available -= cost;
+      return;
+    }
+    await sleep(Math.ceil(wait));
+  }
+}
+
+/**
+ * Hold back every call for the mailbox after Gmail said it is over its limit
+ */
+function pauseQuota(account, ms) {
+  if (!account) return;
+  const bucket = quotaBucket(account);
+  bucket.available = Math.min(bucket.available, 0);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+}
+
+// ============================================
+// RETRIES
+// ============================================
+
+function errorStatus(error) {
+  return Number(error?.response?.status ?? error?.status ?? error?.code) || null;
+}
+
+function errorReasons(error) {
+  const errors = error?.errors || error?.response?.data?.error?.errors || [];
+  return errors.map(e => e.reason);
+}
+
+function isRateLimited(error) {
+  const status = errorStatus(error);
+  return status === 429 || (status === 403 && errorReasons(error).some(reason => RATE_LIMIT_REASONS.has(reason)));
+}
+
+function isRetryable(error) {
+  return isRateLimited(error) || errorStatus(error) >= 500 || NETWORK_ERROR_CODES.has(error?.code);
+}
+
+/**
+ * Exponential backoff with jitter (half fixed, half random), or Retry-After
+ * when Gmail sent a longer one
+ */
+function backoffDelay(attempt, error) {
+  const ceiling = Math.min(GMAIL_RETRY_MAX_MS, GMAIL_RETRY_BASE_MS * 2 ** attempt);
+  const jittered = ceiling / 2 + Math.random() * ceiling / 2;
+  const retryAfter = Number(error?.response?.headers?.['retry-after']) * 1000 || 0;
+  return Math.round(Math.min(GMAIL_RETRY_MAX_MS, Math.max(jittered, retryAfter)));
+}
+
+/**
+ * Wait before retry `attempt` of a failed call, pausing the mailbox if it
+ * was rate limited
+ */
+async function backOff(account, label, attempt, error) {
+  const delay = backoffDelay(attempt, error);
+  if (isRateLimited(error)) pauseQuota(account, delay);
+  log.warn('Gmail call failed, retrying', error, { account, method: label, attempt: attempt + 1, retry_in_ms: delay });
+  await sleep(delay);
+}
+
+/**
+ * Run `request` after taking `units` of quota, retrying transient failures
+ */
+async function callWithRetry(account, label, units, request) {
+  for (let attempt = 0; ; attempt++) {
+    await takeQuota(account, units);
+    try {
+      return await trackUpstream('gmail', label, request);
+    } catch (error) {
+      if (attempt >= GMAIL_MAX_RETRIES || !isRetryable(error)) throw error;
+      await backOff(account, label, attempt, error);
+    }
+  }
+}
+
+// ============================================
+// BATCH REQUESTS
+// ============================================
+
+/**
+ * An error for one failed part of a batch, shaped like the googleapis
+ * error for the same failure (`code`, `errors`, `response`)
+ */
+function batchPartError({ status, headers, body }) {
+  const message = body?.error?.message || `Gmail batch part failed with HTTP ${status}`;
+  const error = new Error(message);
+  error.code = status;
+  error.errors = body?.error?.errors || [];
+  error.response = { status, headers, data: body };
+  return error;
+}
+
+function buildBatchBody(boundary, paths) {
+  const parts = paths.map((path, index) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <item-${index}>`,
+    '',
+    `GET ${path} HTTP/1.1`,
+    '',
+    ''
+  ].join('\r\n'));
+  return `${parts.join('')}--${boundary}--\r\n`;
+}
+
+/**
+ * Split a multipart/mixed batch response into { status, headers, body }
+ * per request, in request order (matched by Content-ID)
+ */
+function parseBatchResponse(text, contentType, count) {
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType || '')?.[1];
+  if (!boundary) throw new Error('Gmail batch response has no multipart boundary');
+
+  const parts = [];
+  for (const chunk of text.split(`--${boundary}`)) {
+    const index = /Content-ID:\s*<response-item-(\d+)>/i.exec(chunk)?.[1];
+    const statusLine = /HTTP\/[\d.]+ (\d{3})[^\r\n]*\r?\n/.exec(chunk);
+    if (index === undefined || !statusLine) continue;
+
+    const response = chunk.slice(statusLine.index + statusLine[0].length);
+    // Headers end at the first blank line (straight away when there are none)
+    const split = /^\r?\n|\r?\n\r?\n/.exec(response);
+    const head = split ? response.slice(0, split.index) : response;
+    const raw = split ? response.slice(split.index + split[0].length).trim() : '';
+
+    const headers = {};
+    for (const line of head.split(/\r?\n/)) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    parts[Number(index)] = { status: Number(statusLine[1]), headers, body: raw ? JSON.parse(raw) : null };
+  }
+
+  // A part Gmail left out is retried like a server error
+  return Array.from({ length: count }, (_, index) => parts[index] || {
+    status: 500,
+    headers: {},
+    body: { error: { message: 'Missing from Gmail batch response' } }
+  });
+}
+
+async function sendBatch(auth, paths) {
+  const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+  const response = await auth.request({
+    url: `${GMAIL_API_URL}batch/gmail/v1`,
+    method: 'POST',
+    headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+    data: buildBatchBody(boundary, paths),
+    responseType: 'text',
+    retry: false
+  });
+  return parseBatchResponse(response.data, response.headers['content-type'], paths.length);
+}
+
+function messagePath(id, params) {
+  const query = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    [].concat(value).forEach(v => query.append(name, v));
+  }
+  return `/gmail/v1/users/me/messages/${encodeURIComponent(id)}?${query}`;
+}
+
+// ============================================
+// CLIENT
+// ============================================
+
+/**
+ * Gmail client for one mailbox. `auth` is its OAuth2Client; `account` (the
+ * email address) keys the quota bucket and is omitted only before the
+ * address is known (OAuth callback). The usual `users.*` methods keep their
+ * googleapis signatures.
+ */
+export function createGmailClient(auth, account = null) {
+  // Retries are ours, so googleapis must not retry underneath them
+  const api = google.gmail({ version: 'v1', auth, rootUrl: GMAIL_API_URL, retry: false });
+  const client = {};
+
+  for (const [method, units] of Object.entries(GMAIL_QUOTA_UNITS)) {
+    const path = method.split('.');
+    const name = path.pop();
+    const resource = path.reduce((parent, key) => parent[key], api);
+    const target = path.reduce((parent, key) => (parent[key] ||= {}), client);
+
+    target[name] = (params) => callWithRetry(account, method, units, () => resource[name](params));
+  }
+
+  /**
+   * users.messages.get for many IDs, GMAIL_BATCH_SIZE per batch request.
+   * Resolves to the message resources in `ids` order; messages that no
+   * longer exist (404) are left out. Other failures throw.
+   */
+  client.getMessages = async (ids, params = {}) => {
+    const found = new Map();
+    const units = GMAIL_QUOTA_UNITS['users.messages.get'];
+
+    for (let start = 0; start < ids.length; start += GMAIL_BATCH_SIZE) {
+      let pending = ids.slice(start, start + GMAIL_BATCH_SIZE);
+
+      for (let attempt = 0; pending.length; attempt++) {
+        const paths = pending.map(id => messagePath(id, params));
+        const parts = await callWithRetry(account, 'batch', units * pending.length, () => sendBatch(auth, paths));
+
+        const retry = [];
+        let retryError = null;
+        parts.forEach((part, index) => {
+          if (part.status < 300) return found.set(pending[index], part.body);
+          if (part.status === 404) return;
+
+          const error = batchPartError(part);
+          if (attempt >= GMAIL_MAX_RETRIES || !isRetryable(error)) throw error;
+          retry.push(pending[index]);
+          retryError = error;
+        });
+
+        if (retry.length) await backOff(account, `batch (${retry.length} of ${pending.length})`, attempt, retryError);
+        pending = retry;
+      }
+    }
+
+    return ids.filter(id => found.has(id)).map(id => found.get(id));
+  };
+
+  /**
+   * users.messages.list, following pages until `maxResults` messages
+   * (capped at GMAIL_LIST_MAX_RESULTS) or the end of the listing
+   */
+  client.listMessages = async ({ maxResults, ...params } = {}) => {
+    const limit = Math.min(Math.max(Number(maxResults) || GMAIL_LIST_PAGE_SIZE, 1), GMAIL_LIST_MAX_RESULTS);
+    const messages = [];
+    let pageToken;
+
+    do {
+      const response = await client.users.messages.list({
+        ...params,
+        userId: 'me',
+        maxResults: Math.min(limit - messages.length, GMAIL_LIST_PAGE_SIZE),
+        pageToken
+      });
+      messages.push(...(response.data.messages || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && messages.length < limit);
+
+    return messages.slice(0, limit);
+  };
+
+  return client;
+}
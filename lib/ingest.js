@@ -0,0 +1,138 @@
+/**
+ * Shared ingestion pipeline — every connector hands its normalized
+ * messages to this module instead of writing pending_actions itself
+ */
+
+import { saveItem, isDuplicate, updateItem, updateItemByLink, findThreadItem, appendToThread } from './pending-actions.js';
+import { loadRules, evaluateRules } from './triage-rules.js';
+import { getUserSettings } from './user-settings.js';
+import { scoreMessage } from './scoring.js';
+import { extractTask } from './extraction/index.js';
+import { resolveFromActivity } from './auto-resolve.js';
+import { scheduleSentFollowUps, markFollowUpsReplied } from './reminders.js';
+import { log } from './logger.js';
+import { ingestedItems } from './metrics.js';
+
+/**
+ * Fetch the body (if the connector can) and run the extraction stage.
+ * Failures fall back to the plain `sender: summary` task.
+ */
+async function extractMessage(message) {
+  try {
+    const body = message.loadBody ? await message.loadBody() : null;
+    return await extractTask(message, body);
+  } catch (error) {
+    log.warn('Extraction failed', error, { platform: message.platform });
+    return null;
+  }
+}
+
+/**
+ * Filter, triage, score, extract and save a list of normalized messages from one connector
+ */
+export async function ingestMessages(connector, messages) {
+  const results = [];
+  const rulesByUser = new Map();
+  const settingsByUser = new Map();
+  let filtered = 0;
+  const count = outcome => ingestedItems.inc({ connector: connector.platform, outcome });
+
+  for (const message of messages) {
+    // Any new message in a conversation answers the follow-ups waiting on it
+    await markFollowUpsReplied(message);
+
+    if (connector.filter && !connector.filter(message)) {
+      count('filtered');
+      filtered++;
+      continue;
+    }
+
+    if (!rulesByUser.has(message.user_id)) {
+      rulesByUser.set(message.user_id, await loadRules(message.user_id));
+    }
+    const triage = evaluateRules(rulesByUser.get(message.user_id), message);
+
+    if (triage.skip) {
+      log.info('Filtered out by triage rule', { rule: triage.matchedRules.at(-1), user_id: message.user_id });
+      count('filtered');
+      filtered++;
+      continue;
+    }
+
+    if (!settingsByUser.has(message.user_id)) {
+      settingsByUser.set(message.user_id, await getUserSettings(message.user_id));
+    }
+    const scoring = scoreMessage(message, settingsByUser.get(message.user_id));
+
+    // Skip known messages before spending an API call on their body
+    if (await isDuplicate(message.url, message.platform, message.user_id, message.messageId)) {
+      log.info('Skipping duplicate', { platform: message.platform, user_id: message.user_id });
+      count('skipped');
+      results.push({ sender: message.sender, summary: message.summary, skipped: true, reason: 'duplicate' });
+      continue;
+    }
+
+    // Replies in a thread that already has an item update that item
+    const threadItem = await findThreadItem(message.user_id, message.platform, message.threadKey);
+    if (threadItem) {
+      const data = await appendToThread(threadItem, message);
+      count('threaded');
+      results.push({ sender: message.sender, summary: message.summary, data: [data], skipped: false, threaded: true });
+      continue;
+    }
+    const extraction = await extractMessage(message);
+
+    // Try to save - duplicate protection will prevent re-adding existing messages
+    const result = await saveItem({ ...message, triage, scoring, extraction });
+    count(result.skipped ? 'skipped' : 'saved');
+    results.push({ sender: message.sender, summary: message.summary, ...result });
+  }
+
+  return { results, filtered };
+}
+
+/**
+ * Ingest a batch returned by a connector, resolve items the user already
+ * answered at the source, then let the connector commit whatever cursor it
+ * advanced (only once every message has been saved). Sent messages are
+ * watched for a reply first, so a reply in the same batch counts.
+ */
+export async function ingestBatch(connector, batch) {
+  if (batch.sent?.length) await scheduleSentFollowUps(batch.sent);
+  const outcome = await ingestMessages(connector, batch.messages);
+  outcome.resolved = batch.activity?.length ? await resolveFromActivity(batch.activity) : 0;
+  if (batch.afterIngest) await batch.afterIngest();
+  return outcome;
+}
+
+/**
+ * Apply an edited message to the item it is part of: a reply merged into a
+ * thread item only shows as that item's snippet, while the item's own
+ * message is extracted again. Returns the item, or null when the message
+ * was never captured.
+ */
+export async function refreshMessage(message) {
+  const threadItem = await findThreadItem(message.user_id, message.platform, message.threadKey);
+  const ids = threadItem?.thread_message_ids || [];
+  const latest = ids.at(-1) === message.messageId;
+  const snippet = message.meta?.text || message.summary;
+
+  if (ids.includes(message.messageId) && threadItem.message_link !== message.url) {
+    if (!latest) return threadItem;
+    const updated = await updateItem(threadItem.id, message.user_id, { latest_snippet: snippet });
+    log.info('Updated thread item for edited reply', { item_id: updated.id, user_id: message.user_id });
+    return updated;
+  }
+
+  const extraction = await extractMessage(message);
+
+  const updated = await updateItemByLink(message.url, message.platform, message.user_id, {
+    task_text: extraction?.task || `${message.sender}: ${message.summary}`,
+    requested_actions: extraction?.actions?.length ? extraction.actions : null,
+    due_at: extraction?.dueAt || null,
+    ...(latest && { latest_snippet: snippet })
+  });
+
+  if (updated) log.info('Updated item for edited message', { item_id: updated.id, user_id: message.user_id });
+  return updated;
+}
@@ -0,0 +1,229 @@
+/**
+ * Durable background jobs
+ *
+ * Webhooks only enqueue; workers claim due jobs, run the handler registered
+ * for the job's type and retry failures with exponential backoff. A job
+ * that fails `max_attempts` times moves to the dead-letter table, where it
+ * can be inspected and replayed (see routes/admin.js).
+ *
+ * Jobs with the same `concurrency_key` (e.g. one Gmail account) run at most
+ * JOB_PER_ACCOUNT_CONCURRENCY at a time across all workers, so a mailbox's
+ * history cursor is never advanced by two jobs at once. A `dedup_key` makes
+ * enqueueing idempotent while the job (or its finished or dead row) is kept.
+ *
+ * A store is { name, enqueue, claim, complete, retry, deadLetter, purge,
+ * stats, listDead, markReplayed, setReplayJob, releaseReplay } — the storage
+ * backend's (Supabase or Postgres, see lib/storage) unless JOB_STORE picks another:
+ * memory for local development, or anything set with setJobStore.
+ */
+
+import crypto from 'crypto';
+import { STORAGE_BACKEND } from '../config.js';
+import { getPostgresPool } from '../postgres.js';
+import { supabaseJobStore } from './supabase-store.js';
+import { createPostgresJobStore } from './postgres-store.js';
+import { createMemoryJobStore } from './memory-store.js';
+import { log, runWithLogContext } from '../logger.js';
+import { jobRuns } from '../metrics.js';
+
+const WORKER_ID = `${process.env.HOSTNAME || 'worker'}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const WORKER_CONCURRENCY = Number(process.env.JOB_WORKER_CONCURRENCY) || 4;
+const PER_ACCOUNT_CONCURRENCY = Number(process.env.JOB_PER_ACCOUNT_CONCURRENCY) || 1;
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 8;
+
+const POLL_INTERVAL_MS = 2000;
+// A running job whose worker hasn't finished it by then is claimed again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = 15 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+// Finished and dead jobs are kept this long so their dedup_key keeps catching redeliveries
+const SUCCEEDED_RETENTION_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+function createJobStore(name) {
+  switch (name) {
+    case 'memory':
+      return createMemoryJobStore();
+    case 'postgres':
+      return createPostgresJobStore(getPostgresPool());
+    case 'supabase':
+      return supabaseJobStore;
+    default:
+      throw new Error(`Unknown job store "${name}" from JOB_STORE / STORAGE_BACKEND (expected supabase, postgres or memory)`);
+  }
+}
+
+let store = createJobStore(process.env.JOB_STORE || STORAGE_BACKEND);
+const handlers = new Map();
+
+let started = false;
+let polling = false;
+let active = 0;
+let pollTimer = null;
+let lastPurge = 0;
+
+/**
+ * Replace the job store (e.g. the in-memory one in tests)
+ */
+export function setJobStore(newStore) {
+  store = newStore;
+}
+
+export function getJobStore() {
+  return store;
+}
+
+/**
+ * Register the function that runs jobs of a type: handler(payload, job)
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job. Returns the job, or null when `dedupKey` was already enqueued.
+ */
+export async function enqueueJob(type, payload, { concurrencyKey, dedupKey, maxAttempts, runAt } = {}) {
+  const job = await store.enqueue({
+    type,
+    payload,
+    concurrency_key: concurrencyKey || null,
+    dedup_key: dedupKey || null,
+    max_attempts: maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    run_at: (runAt || new Date()).toISOString()
+  });
+
+  if (job) setImmediate(poll);
+  return job;
+}
+
+/**
+ * Delay before attempt n + 1: 15s, 30s, 1m, ... capped at 30m, with ±20% jitter
+ */
+export function backoffMs(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Run one claimed job in its own log context (so everything the handler
+ * logs carries the job id and connector)
+ */
+function runJob(job) {
+  return runWithLogContext(
+    { job_id: job.id, job_type: job.type, connector: job.payload?.platform },
+    () => executeJob(job)
+  );
+}
+
+async function executeJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+    await handler(job.payload, job);
+    await store.complete(job);
+    jobRuns.inc({ type: job.type, outcome: 'succeeded' });
+  } catch (error) {
+    const message = error.message || String(error);
+
+    try {
+      if (!handler || job.attempts >= job.max_attempts) {
+        await store.deadLetter(job, message);
+        jobRuns.inc({ type: job.type, outcome: 'dead' });
+        log.error('Job dead-lettered', { attempts: job.attempts, error: message });
+      } else {
+        const delay = backoffMs(job.attempts);
+        await store.retry(job, { runAt: new Date(Date.now() + delay), error: message });
+        jobRuns.inc({ type: job.type, outcome: 'retried' });
+        log.warn('Job failed, retrying', { attempt: job.attempts, max_attempts: job.max_attempts, retry_in_ms: delay, error: message });
+      }
+    } catch (storeError) {
+      // The lock times out and the job is claimed again
+      log.error('Could not record job failure', storeError);
+    }
+  }
+}
+
+/**
+ * Claim as many due jobs as there are free worker slots and start them
+ */
+async function poll() {
+  if (!started || polling) return;
+  polling = true;
+
+  try {
+    while (active < WORKER_CONCURRENCY) {
+      const jobs = await store.claim({
+        workerId: WORKER_ID,
+        limit: WORKER_CONCURRENCY - active,
+        perKeyLimit: PER_ACCOUNT_CONCURRENCY,
+        lockTimeoutMs: LOCK_TIMEOUT_MS
+      });
+      if (!jobs.length) break;
+
+      for (const job of jobs) {
+        active++;
+        runJob(job).finally(() => {
+          active--;
+          setImmediate(poll);
+        });
+      }
+    }
+
+    if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+      lastPurge = Date.now();
+      await store.purge(new Date(Date.now() - SUCCEEDED_RETENTION_MS));
+    }
+  } catch (error) {
+    log.error('Job worker poll error', error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start processing jobs in this process
+ */
+export function startJobWorker() {
+  if (started) return;
+  started = true;
+
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+  log.info('Job worker started', { store: store.name, slots: WORKER_CONCURRENCY, per_account: PER_ACCOUNT_CONCURRENCY });
+}
+
+export function stopJobWorker() {
+  started = false;
+  clearInterval(pollTimer);
+}
+
+export async function jobStats() {
+  return store.stats();
+}
+
+export async function listDeadJobs({ limit = 50, type, includeReplayed = false } = {}) {
+  return store.listDead({ limit, type, includeReplayed });
+}
+
+/**
+ * Re-enqueue a dead-lettered job with a fresh attempt count.
+ * Returns the new job, or null if there is no such (unreplayed) dead job.
+ */
+export async function replayDeadJob(id) {
+  // Claimed first, so two concurrent replays can't both enqueue it
+  const dead = await store.markReplayed(id);
+  if (!dead) return null;
+
+  let job;
+  try {
+    job = await enqueueJob(dead.type, dead.payload, { concurrencyKey: dead.concurrency_key });
+  } catch (error) {
+    await store.releaseReplay(id).catch(releaseError => log.error('Error releasing dead job replay', releaseError));
+    throw error;
+  }
+  await store.setReplayJob(id, job.id);
+  log.info('Replayed dead job', { job_type: dead.type, dead_job_id: dead.job_id, job_id: job.id });
+  return job;
+}
@@ -0,0 +1,143 @@
+/**
+ * In-process job store for local development (JOB_STORE=memory).
+ * Same behaviour as the Supabase store, but jobs are lost on restart.
+ */
+
+import crypto from 'crypto';
+
+export function createMemoryJobStore() {
+  const jobs = new Map();
+  const deadLetters = new Map();
+
+  const isActive = (job, lockTimeoutMs, now) =>
+    job.status === 'running' && now - Date.parse(job.locked_at) < lockTimeoutMs;
+
+  return {
+    name: 'memory',
+
+    async enqueue(job) {
+      if (job.dedup_key && [...jobs.values()].some(j => j.dedup_key === job.dedup_key)) return null;
+
+      const now = new Date().toISOString();
+      const row = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        attempts: 0,
+        run_at: now,
+        created_at: now,
+        ...job
+      };
+      jobs.set(row.id, row);
+      return { ...row };
+    },
+
+    async claim({ workerId, limit, perKeyLimit, lockTimeoutMs }) {
+      const now = Date.now();
+      const claimed = [];
+      const due = [...jobs.values()]
+        .filter(job => (job.status === 'queued' && Date.parse(job.run_at) <= now) ||
+          (job.status === 'running' && !isActive(job, lockTimeoutMs, now)))
+        .sort((a, b) => Date.parse(a.run_at) - Date.parse(b.run_at));
+
+      for (const job of due) {
+        if (claimed.length >= limit) break;
+        if (job.concurrency_key) {
+          const active = [...jobs.values()]
+            .filter(j => j.concurrency_key === job.concurrency_key && isActive(j, lockTimeoutMs, now)).length;
+          if (active >= perKeyLimit) continue;
+        }
+
+        Object.assign(job, {
+          status: 'running',
+          locked_at: new Date(now).toISOString(),
+          locked_by: workerId,
+          attempts: job.attempts + 1
+        });
+        claimed.push({ ...job });
+      }
+
+      return claimed;
+    },
+
+    async complete(job) {
+      Object.assign(jobs.get(job.id) || {}, {
+        status: 'succeeded',
+        finished_at: new Date().toISOString(),
+        locked_at: null,
+        locked_by: null,
+        last_error: null
+      });
+    },
+
+    async retry(job, { runAt, error }) {
+      Object.assign(jobs.get(job.id) || {}, {
+        status: 'queued',
+        run_at: runAt.toISOString(),
+        locked_at: null,
+        locked_by: null,
+        last_error: error
+      });
+    },
+
+    async deadLetter(job, error) {
+      if (jobs.get(job.id)?.status === 'dead') return;
+      const id = crypto.randomUUID();
+      deadLetters.set(id, {
+        id,
+        job_id: job.id,
+        type: job.type,
+        payload: job.payload,
+        concurrency_key: job.concurrency_key,
+        attempts: job.attempts,
+        last_error: error,
+        enqueued_at: job.created_at,
+        failed_at: new Date().toISOString(),
+        replayed_at: null,
+        replay_job_id: null
+      });
+      // Kept as a tombstone so its dedup_key still catches redeliveries
+      Object.assign(jobs.get(job.id) || {}, {
+        status: 'dead',
+        finished_at: new Date().toISOString(),
+        locked_at: null,
+        locked_by: null,
+        last_error: error
+      });
+    },
+
+    async purge(before) {
+      for (const [id, job] of jobs) {
+        if (['succeeded', 'dead'].includes(job.status) && Date.parse(job.finished_at) < before.getTime()) jobs.delete(id);
+      }
+    },
+
+    async stats() {
+      const counts = { queued: 0, running: 0, succeeded: 0 };
+      for (const job of jobs.values()) if (job.status in counts) counts[job.status]++;
+      counts.dead = [...deadLetters.values()].filter(d => !d.replayed_at).length;
+      return counts;
+    },
+
+    async listDead({ limit, type, includeReplayed }) {
+      return [...deadLetters.values()]
+        .filter(d => (!type || d.type === type) && (includeReplayed || !d.replayed_at))
+        .sort((a, b) => Date.parse(b.failed_at) - Date.parse(a.failed_at))
+        .slice(0, limit);
+    },
+
+    async markReplayed(id) {
+      const dead = deadLetters.get(id);
+      if (!dead || dead.replayed_at) return null;
+      dead.replayed_at = new Date().toISOString();
+      return { ...dead };
+    },
+
+    async setReplayJob(id, jobId) {
+      Object.assign(deadLetters.get(id) || {}, { replay_job_id: jobId });
+    },
+
+    async releaseReplay(id) {
+      Object.assign(deadLetters.get(id) || {}, { replayed_at: null });
+    }
+  };
+}
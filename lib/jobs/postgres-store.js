@@ -0,0 +1,138 @@
+/**
+ * Job store over a Postgres connection pool (STORAGE_BACKEND=postgres or
+ * JOB_STORE=postgres). Same tables and claim_jobs() / dead_letter_job()
+ * functions as the Supabase store, from migrations/009_background_jobs.sql
+ * and migrations/020_dead_letter_job.sql.
+ */
+
+import { log } from '../logger.js';
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded'];
+
+/**
+ * @param {import('pg').Pool} pool
+ */
+export function createPostgresJobStore(pool) {
+  async function query(text, values, action) {
+    try {
+      const { rows } = await pool.query(text, values);
+      return rows;
+    } catch (error) {
+      log.error(`Job store error (${action})`, error);
+      throw error;
+    }
+  }
+
+  return {
+    name: 'postgres',
+
+    async enqueue(job) {
+      // A dedup key that is already queued (or recently done) is ignored
+      const rows = await query(
+        `INSERT INTO jobs (type, payload, concurrency_key, dedup_key, max_attempts, run_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ${job.dedup_key ? 'ON CONFLICT (dedup_key) DO NOTHING' : ''}
+         RETURNING *`,
+        [job.type, JSON.stringify(job.payload ?? {}), job.concurrency_key, job.dedup_key, job.max_attempts, job.run_at],
+        'enqueue'
+      );
+      return rows[0] || null;
+    },
+
+    async claim({ workerId, limit, perKeyLimit, lockTimeoutMs }) {
+      return query(
+        'SELECT * FROM claim_jobs($1, $2, $3, $4)',
+        [workerId, limit, perKeyLimit, Math.ceil(lockTimeoutMs / 1000)],
+        'claim'
+      );
+    },
+
+    async complete(job) {
+      await query(
+        `UPDATE jobs SET status = 'succeeded', finished_at = now(), locked_at = NULL, locked_by = NULL, last_error = NULL
+         WHERE id = $1`,
+        [job.id],
+        'complete'
+      );
+    },
+
+    async retry(job, { runAt, error }) {
+      await query(
+        `UPDATE jobs SET status = 'queued', run_at = $2, locked_at = NULL, locked_by = NULL, last_error = $3
+         WHERE id = $1`,
+        [job.id, runAt.toISOString(), error],
+        'retry'
+      );
+    },
+
+    async deadLetter(job, error) {
+      // The dead letter and the job's 'dead' tombstone are written together
+      await query('SELECT dead_letter_job($1, $2)', [job.id, error], 'dead-letter');
+    },
+
+    async purge(before) {
+      await query(
+        `DELETE FROM jobs WHERE status IN ('succeeded', 'dead') AND finished_at < $1`,
+        [before.toISOString()],
+        'purge'
+      );
+    },
+
+    async stats() {
+      const rows = await query(
+        'SELECT status, count(*)::int AS total FROM jobs GROUP BY status',
+        [],
+        'stats'
+      );
+      const [{ total: dead }] = await query(
+        'SELECT count(*)::int AS total FROM job_dead_letters WHERE replayed_at IS NULL',
+        [],
+        'stats'
+      );
+
+      const counts = {};
+      for (const status of JOB_STATUSES) {
+        counts[status] = rows.find(row => row.status === status)?.total || 0;
+      }
+      counts.dead = dead;
+
+      return counts;
+    },
+
+    async listDead({ limit, type, includeReplayed }) {
+      const conditions = [];
+      const values = [limit];
+      if (type) {
+        values.push(type);
+        conditions.push(`type = $${values.length}`);
+      }
+      if (!includeReplayed) conditions.push('replayed_at IS NULL');
+
+      return query(
+        `SELECT * FROM job_dead_letters
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY failed_at DESC LIMIT $1`,
+        values,
+        'list dead'
+      );
+    },
+
+    async markReplayed(id) {
+      // Conditional, so of two concurrent replays only one gets the row
+      const rows = await query(
+        'UPDATE job_dead_letters SET replayed_at = now() WHERE id = $1 AND replayed_at IS NULL RETURNING *',
+        [id],
+        'mark replayed'
+      );
+      return rows[0] || null;
+    },
+
+    async setReplayJob(id, jobId) {
+      await query('UPDATE job_dead_letters SET replay_job_id = $2 WHERE id = $1', [id, jobId], 'set replay job');
+    },
+
+    async releaseReplay(id) {
+      await query('UPDATE job_dead_letters SET replayed_at = NULL WHERE id = $1', [id], 'release replay');
+    }
+  };
+}
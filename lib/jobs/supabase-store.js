@@ -0,0 +1,119 @@
+/**
+ * Job store backed by the `jobs` and `job_dead_letters` tables.
+ * Claiming goes through the claim_jobs() function (migrations/009_background_jobs.sql),
+ * which locks rows with SKIP LOCKED and applies the per-key limit, and
+ * dead-lettering through dead_letter_job() (migrations/020_dead_letter_job.sql).
+ */
+
+import { supabase } from '../supabase.js';
+import { log } from '../logger.js';
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded'];
+
+function unwrap({ data, error }, action) {
+  if (error) {
+    log.error(`Job store error (${action})`, error);
+    throw error;
+  }
+  return data;
+}
+
+export const supabaseJobStore = {
+  name: 'supabase',
+
+  async enqueue(job) {
+    // A dedup key that is already queued (or recently done) is ignored
+    const query = job.dedup_key
+      ? supabase.from('jobs').upsert([job], { onConflict: 'dedup_key', ignoreDuplicates: true })
+      : supabase.from('jobs').insert([job]);
+
+    const rows = unwrap(await query.select(), 'enqueue');
+    return rows[0] || null;
+  },
+
+  async claim({ workerId, limit, perKeyLimit, lockTimeoutMs }) {
+    return unwrap(await supabase.rpc('claim_jobs', {
+      p_worker: workerId,
+      p_limit: limit,
+      p_per_key: perKeyLimit,
+      p_lock_timeout_seconds: Math.ceil(lockTimeoutMs / 1000)
+    }), 'claim');
+  },
+
+  async complete(job) {
+    unwrap(await supabase
+      .from('jobs')
+      .update({ status: 'succeeded', finished_at: new Date().toISOString(), locked_at: null, locked_by: null, last_error: null })
+      .eq('id', job.id), 'complete');
+  },
+
+  async retry(job, { runAt, error }) {
+    unwrap(await supabase
+      .from('jobs')
+      .update({ status: 'queued', run_at: runAt.toISOString(), locked_at: null, locked_by: null, last_error: error })
+      .eq('id', job.id), 'retry');
+  },
+
+  async deadLetter(job, error) {
+    // One transaction: the dead letter, and the job kept as a 'dead'
+    // tombstone so its dedup_key still catches redeliveries
+    unwrap(await supabase.rpc('dead_letter_job', { p_job_id: job.id, p_error: error }), 'dead-letter');
+  },
+
+  async purge(before) {
+    unwrap(await supabase
+      .from('jobs')
+      .delete()
+      .in('status', ['succeeded', 'dead'])
+      .lt('finished_at', before.toISOString()), 'purge');
+  },
+
+  async stats() {
+    const count = async (table, filter) => {
+      const { count: total, error } = await filter(
+        supabase.from(table).select('id', { count: 'exact', head: true })
+      );
+      if (error) throw error;
+      return total || 0;
+    };
+
+    const counts = {};
+    for (const status of JOB_STATUSES) {
+      counts[status] = await count('jobs', query => query.eq('status', status));
+    }
+    counts.dead = await count('job_dead_letters', query => query.is('replayed_at', null));
+
+    return counts;
+  },
+
+  async listDead({ limit, type, includeReplayed }) {
+    let query = supabase
+      .from('job_dead_letters')
+      .select('*')
+      .order('failed_at', { ascending: false })
+      .limit(limit);
+    if (type) query = query.eq('type', type);
+    if (!includeReplayed) query = query.is('replayed_at', null);
+
+    return unwrap(await query, 'list dead');
+  },
+
+  async markReplayed(id) {
+    // Conditional, so of two concurrent replays only one gets the row
+    return unwrap(await supabase
+      .from('job_dead_letters')
+      .update({ replayed_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('replayed_at', null)
+      .select()
+      .maybeSingle(), 'mark replayed');
+  },
+
+  async setReplayJob(id, jobId) {
+    unwrap(await supabase.from('job_dead_letters').update({ replay_job_id: jobId }).eq('id', id), 'set replay job');
+  },
+
+  async releaseReplay(id) {
+    unwrap(await supabase.from('job_dead_letters').update({ replayed_at: null }).eq('id', id), 'release replay');
+  }
+};
@@ -0,0 +1,139 @@
+/**
+ * Structured logging
+ *
+ * One JSON object per line: time, level, msg, the context of whatever is
+ * running (request_id, user_id, connector, job_id, ... — see
+ * runWithLogContext / addLogContext) and the fields passed to the call.
+ * LOG_FORMAT=pretty prints readable lines instead, for local development.
+ *
+ *   log.info('Gmail watch renewed', { account, expiration });
+ *   log.error('Error saving Gmail watch state', error);
+ *
+ * Secrets and message content never reach the output: fields named like
+ * tokens, secrets or message text are replaced, and token-looking strings
+ * are masked wherever they appear (including in messages and errors).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+export const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+// Fields whose values are credentials
+const SECRET_KEYS = /token|secret|password|authorization|cookie|api_?key|signature/i;
+// Fields whose values are message content
+const CONTENT_KEYS = /^(text|body|html|raw|snippet|summary|subject|task_text|latest_snippet|message_text)$/i;
+// Credentials inside strings: bearer headers, Slack / Google tokens, JWTs, encrypted columns
+const SECRET_PATTERNS = [
+  /\bBearer\s+[\w\-.~+/=]+/gi,
+  /\bxox[abposr]-[\w-]+/g,
+  /\bya29\.[\w\-.]+/g,
+  /\b1\/\/[\w\-.]+/g,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g,
+  /\benc:[\w:+/=]+/g
+];
+const MAX_DEPTH = 4;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a fresh log context (a request, a job, a scheduler tick)
+ */
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...fields }, fn);
+}
+
+/**
+ * Add fields to the current context, e.g. the user once a request is authenticated
+ */
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, '[redacted]'), value);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(error.message || String(error)),
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.response?.status ? { status: error.response.status } : {}),
+    ...(error.stack ? { stack: redactString(error.stack) } : {})
+  };
+}
+
+/**
+ * A copy of `value` that is safe to log
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    if (SECRET_KEYS.test(key) && item !== null && typeof item !== 'boolean') copy[key] = '[redacted]';
+    else if (CONTENT_KEYS.test(key) && typeof item === 'string') copy[key] = `[${item.length} chars]`;
+    else copy[key] = redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+// Errors, including the plain { message, code } objects Supabase returns
+function isError(value) {
+  return value instanceof Error || (typeof value?.message === 'string' && ('code' in value || 'stack' in value));
+}
+
+function write(level, msg, details) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const fields = {};
+  for (const detail of details) {
+    if (isError(detail)) fields.err = detail;
+    else if (detail && typeof detail === 'object') Object.assign(fields, detail);
+    else if (detail !== undefined) fields.detail = detail;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...redact({ ...getLogContext(), ...fields })
+  };
+
+  const line = LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * log.<level>(message, ...details) — each detail is an Error (logged as
+ * `err`) or an object of fields
+ */
+export const log = {
+  debug: (msg, ...details) => write('debug', msg, details),
+  info: (msg, ...details) => write('info', msg, details),
+  warn: (msg, ...details) => write('warn', msg, details),
+  error: (msg, ...details) => write('error', msg, details)
+};
@@ -0,0 +1,161 @@
+/**
+ * Prometheus metrics, served as text by GET /metrics
+ *
+ * A small in-process registry (counters and histograms with labels) and
+ * the metrics the server records. Values are per instance; Prometheus sums
+ * them across instances.
+ *
+ *   triage_http_request_duration_seconds{method,route,status}
+ *   triage_webhook_requests_total{connector,outcome}      queued | duplicate | handshake | rejected | error
+ *   triage_items_total{connector,outcome}                 saved | threaded | skipped | filtered
+ *   triage_upstream_request_duration_seconds{service,method}
+ *   triage_upstream_errors_total{service,method,code}
+ *   triage_jobs_total{type,outcome}                       succeeded | retried | dead
+ */
+
+// Seconds; covers a fast DB call up to a slow upstream API
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * One series per combination of label values, in labelNames order
+ */
+function seriesStore(labelNames, create) {
+  const series = new Map();
+  return {
+    get(labels = {}) {
+      const values = Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+      const key = JSON.stringify(Object.values(values));
+      if (!series.has(key)) series.set(key, { labels: values, ...create() });
+      return series.get(key);
+    },
+    all: () => [...series.values()]
+  };
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = seriesStore(labelNames, () => ({ value: 0 }));
+
+  const metric = {
+    inc(labels, value = 1) {
+      series.get(labels).value += value;
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...series.all().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ];
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = seriesStore(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+  const metric = {
+    observe(labels, value) {
+      const entry = series.get(labels);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    /**
+     * Start timing; call the returned function (optionally with more
+     * labels, e.g. the status) to record the elapsed seconds
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => metric.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.all()) {
+        buckets.forEach((bound, index) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Every metric in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+export const httpRequestDuration = histogram(
+  'triage_http_request_duration_seconds',
+  'HTTP requests handled, by method, route and status',
+  ['method', 'route', 'status']
+);
+
+export const webhookRequests = counter(
+  'triage_webhook_requests_total',
+  'Webhook deliveries received, by connector and outcome',
+  ['connector', 'outcome']
+);
+
+export const ingestedItems = counter(
+  'triage_items_total',
+  'Messages ingested, by connector and outcome',
+  ['connector', 'outcome']
+);
+
+export const upstreamDuration = histogram(
+  'triage_upstream_request_duration_seconds',
+  'Calls to upstream APIs (Gmail, Slack, Google OAuth, extraction LLM), by service and method',
+  ['service', 'method']
+);
+
+export const upstreamErrors = counter(
+  'triage_upstream_errors_total',
+  'Failed calls to upstream APIs, by service, method and error code',
+  ['service', 'method', 'code']
+);
+
+export const jobRuns = counter(
+  'triage_jobs_total',
+  'Background jobs run, by type and outcome',
+  ['type', 'outcome']
+);
+
+/**
+ * Time an upstream call and count its failure. `code` is the HTTP status
+ * or the API's error code.
+ */
+export async function trackUpstream(service, method, request) {
+  const done = upstreamDuration.startTimer({ service, method });
+  try {
+    return await request();
+  } catch (error) {
+    upstreamErrors.inc({ service, method, code: error?.response?.status ?? error?.code ?? 'error' });
+    throw error;
+  } finally {
+    done();
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * OAuth `state` — signed, expiring and single-use
+ *
+ * Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256). The
+ * payload carries user_id, platform, a nonce and an expiry. The nonce is
+ * recorded in oauth_states on creation and marked used on the first
+ * callback, so a state can't be replayed or reused on another instance.
+ */
+
+import crypto from 'crypto';
+import { storage } from './storage/index.js';
+import { log } from './logger.js';
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+let stateSecret = process.env.OAUTH_STATE_SECRET;
+if (!stateSecret) {
+  // Works for a single instance, but states won't survive a restart
+  stateSecret = crypto.randomBytes(32).toString('hex');
+  log.warn('OAUTH_STATE_SECRET not set, using a random per-process secret');
+}
+
+function base64Url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sign(data) {
+  return base64Url(crypto.createHmac('sha256', stateSecret).update(data).digest());
+}
+
+/**
+ * Create and record a state for a user starting OAuth with a platform
+ */
+export async function createOAuthState({ user_id, platform }) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + STATE_TTL_MS;
+
+  try {
+    await storage.oauthStates.create({ nonce, user_id, platform, expires_at: new Date(expiresAt).toISOString() });
+  } catch (error) {
+    log.error('Error recording OAuth state', error);
+    throw error;
+  }
+
+  const payload = base64Url(JSON.stringify({ user_id, platform, nonce, exp: expiresAt }));
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a state from a callback and mark it used. Throws if it is forged,
+ * expired, meant for another platform or already used. Returns { user_id }.
+ */
+export async function consumeOAuthState(state, platform) {
+  const [payload, signature] = String(state || '').split('.');
+  if (!payload || !signature) throw new Error('Missing or malformed state');
+
+  const expected = sign(payload);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid state signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+  if (claims.platform !== platform) throw new Error('State was issued for a different connection');
+  if (!claims.exp || claims.exp < Date.now()) throw new Error('This connection link has expired, please try again');
+
+  // Atomic single-use: only the first callback flips used_at
+  let consumed;
+  try {
+    consumed = await storage.oauthStates.consume(claims.nonce, claims.user_id, new Date().toISOString());
+  } catch (error) {
+    log.error('Error consuming OAuth state', error);
+    throw error;
+  }
+  if (!consumed) throw new Error('This connection link was already used, please try again');
+
+  // Opportunistic cleanup of old states
+  storage.oauthStates
+    .purgeExpired(new Date(Date.now() - STATE_TTL_MS).toISOString())
+    .catch(cleanupError => log.warn('Could not clean up old OAuth states', cleanupError));
+
+  return { user_id: claims.user_id };
+}
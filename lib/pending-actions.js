@@ -0,0 +1,222 @@
+/**
+ * Writes to the pending_actions table (through storage.items), each
+ * published to the user's event stream (lib/events.js)
+ */
+
+import { storage } from './storage/index.js';
+import { publishEvent, publishItemChange } from './events.js';
+import { log } from './logger.js';
+
+// Statuses a new message in the thread puts back in the pending list
+const REOPENED_STATUSES = ['completed', 'archived'];
+
+/**
+ * Check if a message already exists in the database (duplicate protection):
+ * as an item of its own (message_id), merged into a thread item
+ * (thread_message_ids), or — for items saved before message IDs were
+ * stored — by link. Scoped to the user when given: people sharing a Slack
+ * workspace can each have an item for the same message.
+ */
+export async function isDuplicate(messageLink, platform, user_id, messageId) {
+  try {
+    return await storage.items.hasMessage({ user_id, platform, messageId, link: messageLink });
+  } catch (error) {
+    log.error('Error checking for duplicate', error);
+    return false;
+  }
+}
+
+/**
+ * The user's latest item for a conversation thread (Gmail threadId, Slack
+ * thread_ts — see Message.threadKey), whatever its status, or null
+ */
+export async function findThreadItem(user_id, platform, threadKey) {
+  if (!threadKey) return null;
+
+  try {
+    return await storage.items.findByThread(user_id, platform, threadKey);
+  } catch (error) {
+    log.error('Error looking up thread item', error);
+    throw error;
+  }
+}
+
+/**
+ * Fold a new message into its thread's item instead of adding another one:
+ * bump the count, show the latest snippet, point actions at the latest
+ * message and reopen the item if it was completed or archived
+ */
+export async function appendToThread(item, { messageId, summary, meta, sentAt, ref, user_id }) {
+  const patch = {
+    message_count: (item.message_count || 1) + 1,
+    thread_message_ids: [...(item.thread_message_ids || []), messageId].filter(Boolean),
+    latest_snippet: meta?.text || summary,
+    last_message_at: new Date(sentAt || Date.now()).toISOString(),
+    source_ref: ref || null
+  };
+
+  if (REOPENED_STATUSES.includes(item.status)) {
+    Object.assign(patch, { status: 'pending', resolved_at: null });
+  }
+
+  const updated = await updateItem(item.id, user_id, patch);
+  log.info('Thread item updated', { item_id: item.id, message_count: patch.message_count, reopened: !!patch.status });
+  return updated;
+}
+
+/**
+ * Save a message as a new item (multi-user: requires user_id)
+ * `triage` is the outcome of the rule engine (priority, tags, snooze) and
+ * `scoring` the computed score; a priority set by a rule wins over the score's.
+ * `extraction` supplies the task sentence, requested actions and due date.
+ * `account` is the mailbox / workspace the message arrived in.
+ */
+export async function saveItem({ sender, summary, url, platform, messageId, threadKey, user_id, account, ref, meta, sentAt, triage, scoring, extraction }) {
+  if (await isDuplicate(url, platform, user_id, messageId)) {
+    log.info('Skipping duplicate', { platform });
+    return { skipped: true, reason: 'duplicate' };
+  }
+
+  const task_text = extraction?.task || `${sender}: ${summary}`;
+
+  let data;
+  try {
+    data = [await storage.items.insert({
+      task_text,
+      platform_tag: platform,
+      sender_name: sender,
+      message_link: url,
+      message_id: messageId || null,
+      thread_key: threadKey || null,
+      thread_message_ids: messageId ? [messageId] : [],
+      message_count: 1,
+      latest_snippet: meta?.text || summary,
+      last_message_at: new Date(sentAt || Date.now()).toISOString(),
+      user_id: user_id,
+      account: account || null,
+      source_ref: ref || null,
+      priority: triage?.priority || scoring?.priority || null,
+      priority_score: scoring?.score ?? null,
+      priority_reason: scoring?.reason || null,
+      requested_actions: extraction?.actions?.length ? extraction.actions : null,
+      due_at: extraction?.dueAt || null,
+      tags: triage?.tags?.length ? triage.tags : null,
+      snoozed_until: triage?.snoozedUntil || null,
+      status: triage?.snoozedUntil ? 'snoozed' : 'pending'
+    })];
+  } catch (error) {
+    // Lost a race with another worker saving the same message
+    if (error.code === '23505') {
+      log.info('Skipping duplicate', { platform });
+      return { skipped: true, reason: 'duplicate' };
+    }
+    log.error('Insert error', error);
+    throw error;
+  }
+
+  log.info('Saved item', { item_id: data[0].id, user_id, platform });
+  await publishEvent(user_id, 'item.created', { item: data[0] });
+  return { data, skipped: false };
+}
+
+/**
+ * Load one item owned by a user, or null
+ */
+export async function getItem(id, user_id) {
+  try {
+    return await storage.items.get(id, user_id);
+  } catch (error) {
+    log.error('Error loading pending action', error);
+    throw error;
+  }
+}
+
+/**
+ * Update one item owned by a user and return the new row
+ */
+export async function updateItem(id, user_id, patch) {
+  let updated;
+  try {
+    updated = await storage.items.update(id, user_id, patch);
+  } catch (error) {
+    log.error('Error updating pending action', error);
+    throw error;
+  }
+  if (!updated) throw new Error(`Pending action ${id} not found`);
+  await publishItemChange(updated, patch);
+  return updated;
+}
+
+/**
+ * Update the item captured from a source message (matched by its link) and
+ * return the new row, or null if that message was never captured
+ */
+export async function updateItemByLink(messageLink, platform, user_id, patch) {
+  let updated;
+  try {
+    updated = await storage.items.updateByLink(messageLink, platform, user_id, patch);
+  } catch (error) {
+    log.error('Error updating pending action by link', error);
+    throw error;
+  }
+  if (updated) await publishItemChange(updated, patch);
+  return updated;
+}
+
+/**
+ * Delete the item captured from a source message, returning how many rows went
+ */
+export async function deleteItemByLink(messageLink, platform, user_id) {
+  let removed;
+  try {
+    removed = await storage.items.deleteByLink(messageLink, platform, user_id);
+  } catch (error) {
+    log.error('Error deleting pending action by link', error);
+    throw error;
+  }
+  if (removed) await publishEvent(user_id, 'item.deleted', { platform, message_link: messageLink });
+  return removed;
+}
+
+/**
+ * A message deleted at the source. One merged into a thread item with other
+ * messages is taken out of it: the item stays for the rest of the thread,
+ * and moves to the next message (`locate(messageId)` gives its { link, ref })
+ * when the deleted one was the item's own. Any other item of that message
+ * is deleted. Returns the updated item or the number of rows deleted.
+ */
+export async function deleteSourceMessage({ user_id, platform, threadKey, messageId, link }, locate) {
+  const item = await findThreadItem(user_id, platform, threadKey);
+  const ids = item?.thread_message_ids || [];
+  if (!ids.includes(messageId) || ids.length === 1) return deleteItemByLink(link, platform, user_id);
+
+  const remaining = ids.filter(id => id !== messageId);
+  const patch = {
+    thread_message_ids: remaining,
+    message_count: Math.max((item.message_count || ids.length) - 1, 1)
+  };
+  if (item.message_id === messageId || item.message_link === link) {
+    Object.assign(patch, { message_id: remaining[0], message_link: locate(remaining[0]).link });
+  }
+  if (ids.at(-1) === messageId) {
+    // Only the latest message's text is stored, so there is no snippet to fall back to
+    Object.assign(patch, { latest_snippet: null, source_ref: locate(remaining.at(-1)).ref });
+  }
+
+  const updated = await updateItem(item.id, user_id, patch);
+  log.info('Removed deleted message from its thread item', { item_id: item.id, message_count: patch.message_count });
+  return updated;
+}
+
+/**
+ * Delete every item a user captured from one account (a Gmail address or
+ * Slack team ID), returning how many rows went
+ */
+export async function deleteItemsByAccount(user_id, platform, account) {
+  try {
+    return await storage.items.deleteByAccount(user_id, platform, account);
+  } catch (error) {
+    log.error('Error deleting pending actions by account', error);
+    throw error;
+  }
+}
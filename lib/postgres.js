@@ -0,0 +1,24 @@
+/**
+ * Postgres connection pool for STORAGE_BACKEND=postgres and `npm run migrate`,
+ * created on first use from DATABASE_URL
+ */
+
+import pg from 'pg';
+import './config.js';
+import { log } from './logger.js';
+
+let pool = null;
+
+export function getPostgresPool() {
+  if (!pool) {
+    if (!process.env.DATABASE_URL) throw new Error('DATABASE_URL is not set');
+
+    pool = new pg.Pool({
+      connectionString: process.env.DATABASE_URL,
+      max: Number(process.env.DATABASE_POOL_SIZE) || 10
+    });
+    // An idle client losing its connection would otherwise crash the process
+    pool.on('error', (error) => log.error('Postgres pool error', error));
+  }
+  return pool;
+}
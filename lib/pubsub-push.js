@@ -0,0 +1,129 @@
+/**
+ * Authenticating Google Cloud Pub/Sub push requests
+ *
+ * A push subscription configured with "Enable authentication" sends an
+ * OIDC ID token as `Authorization: Bearer <jwt>`, signed by Google and
+ * issued for the subscription's service account. We check the signature
+ * against Google's JWKS (cached per its Cache-Control), the issuer, the
+ * audience and the service-account email, then the subscription name.
+ *
+ * Local test mode: with a test public key configured, tokens are verified
+ * against that key instead of Google's, so pushes can be simulated with
+ * `npm run sign-pubsub-token`. Never enabled when NODE_ENV=production.
+ */
+
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+// Used when Google's response has no max-age
+const JWKS_DEFAULT_TTL_MS = 60 * 60 * 1000;
+// Don't refetch more often than this when a token names an unknown key id
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+let jwks = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+let jwksRequest = null;
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+async function fetchGoogleKeys() {
+  const response = await fetch(GOOGLE_CERTS_URL);
+  if (!response.ok) throw new Error(`Could not fetch Google certs (HTTP ${response.status})`);
+
+  const { keys = [] } = await response.json();
+  const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1]);
+  const now = Date.now();
+
+  return {
+    keys: new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+    expiresAt: now + (maxAge ? maxAge * 1000 : JWKS_DEFAULT_TTL_MS),
+    fetchedAt: now
+  };
+}
+
+/**
+ * Google signing key for a key id, refreshing the cached JWKS when it has
+ * expired or (rate-limited) when the key id is new — Google rotates keys
+ */
+async function getGoogleKey(kid) {
+  const now = Date.now();
+  const expired = now >= jwks.expiresAt;
+  const unknown = !jwks.keys.has(kid) && now - jwks.fetchedAt >= JWKS_MIN_REFETCH_MS;
+
+  if (expired || unknown) {
+    jwksRequest ||= fetchGoogleKeys().finally(() => { jwksRequest = null; });
+    try {
+      jwks = await jwksRequest;
+    } catch (error) {
+      // Keep using the old keys if Google is briefly unreachable
+      if (!jwks.keys.size) throw error;
+      log.warn('Could not refresh Google JWKS, using cached keys', error);
+    }
+  }
+
+  return jwks.keys.get(kid);
+}
+
+function testPublicKey(pem) {
+  if (!pem) return null;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Pub/Sub test key is not allowed when NODE_ENV=production');
+  }
+  return crypto.createPublicKey(pem.replace(/\\n/g, '\n'));
+}
+
+/**
+ * Verify a Pub/Sub push request. Throws with the reason when it is not
+ * authentic; returns the token's claims otherwise.
+ *
+ * @param {import('express').Request} req
+ * @param {{ audience: string, serviceAccount: string, subscription?: string, testKey?: string }} options
+ */
+export async function verifyPubSubPush(req, { audience, serviceAccount, subscription, testKey }) {
+  if (!audience || !serviceAccount) {
+    throw new Error('Pub/Sub push verification is not configured (audience and service account are required)');
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) throw new Error('Missing bearer token');
+
+  const parts = match[1].split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+  const [headerPart, payloadPart, signaturePart] = parts;
+
+  const header = JSON.parse(base64UrlDecode(headerPart).toString());
+  if (header.alg !== 'RS256') throw new Error(`Unsupported token algorithm ${header.alg}`);
+
+  const key = testPublicKey(testKey) || await getGoogleKey(header.kid);
+  if (!key) throw new Error(`Unknown signing key ${header.kid}`);
+
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerPart}.${payloadPart}`),
+    key,
+    base64UrlDecode(signaturePart)
+  );
+  if (!valid) throw new Error('Invalid token signature');
+
+  const claims = JSON.parse(base64UrlDecode(payloadPart).toString());
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!GOOGLE_ISSUERS.includes(claims.iss)) throw new Error(`Unexpected issuer ${claims.iss}`);
+  if (claims.aud !== audience) throw new Error(`Unexpected audience ${claims.aud}`);
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) throw new Error('Token expired');
+  if (claims.iat && claims.iat - CLOCK_SKEW_SECONDS > now) throw new Error('Token issued in the future');
+  if (claims.email !== serviceAccount || claims.email_verified !== true) {
+    throw new Error(`Unexpected service account ${claims.email}`);
+  }
+
+  if (subscription && req.body?.subscription !== subscription) {
+    throw new Error(`Unexpected subscription ${req.body?.subscription}`);
+  }
+
+  return claims;
+}
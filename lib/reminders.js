@@ -0,0 +1,274 @@
+/**
+ * Snoozes and follow-up reminders
+ *
+ * A scheduler in the server process (every REMINDER_CHECK_INTERVAL_MS):
+ * - resurfaces snoozed items once `snoozed_until` has passed
+ * - fires due follow-ups from the follow_ups table: "remind me if no reply
+ *   by X" on an item, and sent Gmail messages that got no reply within the
+ *   user's `follow_up_sent_hours` window
+ *
+ * A follow-up waits for a new message in its conversation (thread_key); the
+ * ingestion pipeline marks it replied when one arrives. Claims are
+ * conditional updates, so several instances never fire the same reminder.
+ */
+
+import { storage } from './storage/index.js';
+import { getUserSettings } from './user-settings.js';
+import { findThreadItem, updateItem } from './pending-actions.js';
+import { publishEvent, publishItemChange } from './events.js';
+import { log } from './logger.js';
+
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+// Reminders fired per scan; the rest wait for the next one
+const REMINDER_BATCH_SIZE = 100;
+
+/**
+ * Schedule a reminder on an item: unless a new message arrives in its
+ * conversation before `dueAt`, the item comes back as pending then
+ */
+export async function createItemFollowUp(item, dueAt) {
+  try {
+    return await storage.followUps.create({
+      user_id: item.user_id,
+      platform: item.platform_tag,
+      item_id: item.id,
+      thread_key: item.thread_key || null,
+      account: item.account || null,
+      subject: item.task_text,
+      message_link: item.message_link,
+      since: new Date().toISOString(),
+      due_at: dueAt
+    });
+  } catch (error) {
+    log.error('Error saving follow-up', error);
+    throw error;
+  }
+}
+
+/**
+ * Watch sent messages for a reply, for users with a follow_up_sent_hours window.
+ * Each entry: { user_id, platform, account, threadKey, messageId, subject,
+ * recipient, url, ref, sentAt }. A message already watched is ignored.
+ */
+export async function scheduleSentFollowUps(sentMessages) {
+  const settingsByUser = new Map();
+  const rows = [];
+
+  for (const sent of sentMessages) {
+    if (!settingsByUser.has(sent.user_id)) {
+      settingsByUser.set(sent.user_id, await getUserSettings(sent.user_id));
+    }
+    const hours = settingsByUser.get(sent.user_id).follow_up_sent_hours;
+    if (!hours) continue;
+
+    rows.push({
+      user_id: sent.user_id,
+      platform: sent.platform,
+      thread_key: sent.threadKey,
+      message_id: sent.messageId,
+      account: sent.account || null,
+      subject: sent.subject,
+      recipient: sent.recipient,
+      message_link: sent.url,
+      source_ref: sent.ref || null,
+      since: new Date(sent.sentAt).toISOString(),
+      due_at: new Date(sent.sentAt + hours * 60 * 60 * 1000).toISOString()
+    });
+  }
+
+  if (!rows.length) return 0;
+
+  let watched;
+  try {
+    watched = await storage.followUps.watchSent(rows);
+  } catch (error) {
+    log.error('Error scheduling follow-ups', error);
+    throw error;
+  }
+  if (watched) log.info('Watching sent messages for a reply', { count: watched });
+  return watched;
+}
+
+/**
+ * A message arrived in a conversation: follow-ups waiting on it since
+ * before the message was sent are answered
+ */
+export async function markFollowUpsReplied({ user_id, platform, threadKey, sentAt }) {
+  if (!threadKey) return 0;
+
+  try {
+    return await storage.followUps.markReplied({
+      user_id,
+      platform,
+      threadKey,
+      before: new Date(sentAt || Date.now()).toISOString()
+    });
+  } catch (error) {
+    log.error('Error marking follow-ups replied', error);
+    throw error;
+  }
+}
+
+/**
+ * Upcoming reminders for a user, soonest first: snoozed items and waiting
+ * follow-ups
+ */
+export async function listUpcomingReminders(user_id, { limit = 50 } = {}) {
+  const [snoozed, followUps] = await Promise.all([
+    storage.items.listByStatus(user_id, 'snoozed', { limit, orderBy: 'snoozed_until' }),
+    storage.followUps.listWaiting(user_id, { limit })
+  ]);
+
+  const reminders = [
+    // Snoozed without a time: only a triage rule or the extension brings those back
+    ...snoozed.filter(item => item.snoozed_until).map(item => ({
+      type: 'snooze',
+      id: item.id,
+      item_id: item.id,
+      platform: item.platform_tag,
+      title: item.task_text,
+      message_link: item.message_link,
+      due_at: item.snoozed_until
+    })),
+    ...followUps.map(followUp => ({
+      type: 'follow_up',
+      id: followUp.id,
+      item_id: followUp.item_id,
+      platform: followUp.platform,
+      title: followUp.subject,
+      recipient: followUp.recipient,
+      message_link: followUp.message_link,
+      waiting_since: followUp.since,
+      due_at: followUp.due_at
+    }))
+  ];
+
+  return reminders
+    .sort((a, b) => Date.parse(a.due_at) - Date.parse(b.due_at))
+    .slice(0, limit);
+}
+
+/**
+ * Cancel a user's waiting follow-up. Returns false if there is none.
+ */
+export async function cancelFollowUp(user_id, id) {
+  return storage.followUps.cancel(user_id, id);
+}
+
+/**
+ * Put snoozed items whose time has come back in the pending list
+ */
+async function resurfaceSnoozedItems(now) {
+  let items;
+  try {
+    items = await storage.items.wakeSnoozed(now, {
+      status: 'pending',
+      snoozed_until: null,
+      reminded_at: now,
+      reminder_reason: 'snooze_ended'
+    });
+  } catch (error) {
+    log.error('Error resurfacing snoozed items', error);
+    return;
+  }
+  if (items.length) log.info('Snoozed items back in the pending list', { count: items.length });
+  for (const item of items) {
+    await publishItemChange(item);
+  }
+}
+
+/**
+ * Fire one due follow-up: bring back its item, or the item of its
+ * conversation, or create a "Follow up" item for a sent message
+ */
+async function fireFollowUp(followUp, now) {
+  const resurfaced = {
+    status: 'pending',
+    resolved_at: null,
+    snoozed_until: null,
+    reminded_at: now,
+    reminder_reason: 'no_reply'
+  };
+
+  if (followUp.item_id) {
+    // Nothing to do if the item was deleted meanwhile
+    const item = await storage.items.update(followUp.item_id, followUp.user_id, resurfaced);
+    if (item) await publishItemChange(item);
+    return;
+  }
+
+  const threadItem = await findThreadItem(followUp.user_id, followUp.platform, followUp.thread_key);
+  if (threadItem) {
+    await updateItem(threadItem.id, followUp.user_id, resurfaced);
+    return;
+  }
+
+  let item;
+  try {
+    item = await storage.items.insert({
+      ...resurfaced,
+      task_text: `Follow up: ${followUp.subject || '(No Subject)'}${followUp.recipient ? ` (no reply from ${followUp.recipient})` : ''}`,
+      platform_tag: followUp.platform,
+      sender_name: followUp.recipient,
+      message_link: followUp.message_link,
+      message_id: `follow-up:${followUp.message_id}`,
+      thread_key: followUp.thread_key,
+      thread_message_ids: [],
+      account: followUp.account,
+      source_ref: followUp.source_ref,
+      user_id: followUp.user_id,
+      last_message_at: followUp.since
+    });
+  } catch (error) {
+    // A retry after a crash finds the item it already created
+    if (error.code !== '23505') throw error;
+    return;
+  }
+  await publishEvent(item.user_id, 'item.created', { item });
+}
+
+async function fireDueFollowUps(now) {
+  let due;
+  try {
+    due = await storage.followUps.listDue(now, { limit: REMINDER_BATCH_SIZE });
+  } catch (error) {
+    log.error('Error loading due follow-ups', error);
+    return;
+  }
+
+  for (const followUp of due) {
+    // Claim it, so another instance (or a reply racing in) doesn't also act on it
+    const claimed = await storage.followUps.claim(followUp.id, now).catch(() => false);
+    if (!claimed) continue;
+
+    try {
+      await fireFollowUp(followUp, now);
+      log.info('Follow-up due', { follow_up_id: followUp.id, user_id: followUp.user_id });
+    } catch (fireError) {
+      log.error('Error firing follow-up', fireError, { follow_up_id: followUp.id });
+      // Back to waiting so the next scan retries it
+      await storage.followUps.release(followUp.id).catch(() => {});
+    }
+  }
+}
+
+let reminderScanRunning = false;
+
+export async function runDueReminders() {
+  if (reminderScanRunning) return;
+  reminderScanRunning = true;
+
+  try {
+    const now = new Date().toISOString();
+    await resurfaceSnoozedItems(now);
+    await fireDueFollowUps(now);
+  } finally {
+    reminderScanRunning = false;
+  }
+}
+
+export function startReminderScheduler() {
+  runDueReminders();
+  setInterval(runDueReminders, REMINDER_CHECK_INTERVAL_MS);
+  log.info('Reminder scheduler started');
+}
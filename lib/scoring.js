@@ -0,0 +1,98 @@
+/**
+ * Priority scoring
+ *
+ * Turns the signals a connector attached to a message (plus the user's VIP
+ * list) into a 0-100 score, a priority label and a human-readable reason.
+ * Weights can be overridden per user via user_settings.score_weights.
+ */
+
+// Score every item starts from before signals are applied
+const BASE_SCORE = 20;
+
+export const DEFAULT_WEIGHTS = {
+  vip: 40,             // sender is on the user's VIP list
+  replied_before: 20,  // the user has written to this sender before
+  important: 15,       // Gmail IMPORTANT label
+  starred: 20,         // Gmail STARRED label
+  direct: 10,          // user is in To:
+  cc: -10,             // user is only in Cc:
+  direct_message: 10,  // Slack DM
+  mention: 25,         // user (or bot) @-mentioned
+  urgent_keyword: 20   // "urgent", "asap", ... in the text
+};
+
+const REASONS = {
+  vip: 'VIP sender',
+  replied_before: 'You have replied to this sender before',
+  important: 'Marked important by Gmail',
+  starred: 'Starred',
+  direct: 'Sent directly to you',
+  cc: 'You were only CC\'d',
+  direct_message: 'Direct message',
+  mention: 'You were mentioned',
+  urgent_keyword: 'Urgent wording'
+};
+
+// Priority label thresholds, checked top to bottom
+const PRIORITY_THRESHOLDS = [
+  ['urgent', 80],
+  ['high', 50],
+  ['normal', 20],
+  ['low', -Infinity]
+];
+
+const URGENT_KEYWORDS = /\b(urgent|asap|emergency|immediately|critical|blocker|blocking|deadline|eod|time[- ]sensitive)\b/i;
+
+export function hasUrgentKeyword(text) {
+  return URGENT_KEYWORDS.test(text || '');
+}
+
+/**
+ * Is this sender on the VIP list? Entries can be a full address,
+ * a domain ("@example.com") or part of the display name.
+ */
+export function isVipSender(message, vipSenders = []) {
+  const address = (message.senderAddress || '').toLowerCase();
+  const name = (message.sender || '').toLowerCase();
+
+  return vipSenders.some(entry => {
+    const vip = entry.trim().toLowerCase();
+    if (!vip) return false;
+    if (vip.startsWith('@')) return address.endsWith(vip);
+    if (vip.includes('@')) return address === vip;
+    return address === vip || name.includes(vip);
+  });
+}
+
+export function priorityFromScore(score) {
+  return PRIORITY_THRESHOLDS.find(([, min]) => score >= min)[0];
+}
+
+/**
+ * Score one message. `message.signals` holds booleans keyed like
+ * DEFAULT_WEIGHTS (set by the connector); VIP is checked here.
+ * Returns { score, priority, reason }.
+ */
+export function scoreMessage(message, { vip_senders = [], score_weights = {} } = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...score_weights };
+  const signals = { ...message.signals, vip: isVipSender(message, vip_senders) };
+
+  let score = BASE_SCORE;
+  const applied = [];
+
+  for (const [signal, weight] of Object.entries(weights)) {
+    if (!signals[signal] || !weight) continue;
+    score += weight;
+    applied.push({ signal, weight });
+  }
+
+  score = Math.max(0, Math.min(100, Math.round(score)));
+
+  // Strongest positive signals first, so the reason leads with why it matters
+  const reason = applied
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ signal }) => REASONS[signal] || signal)
+    .join('; ');
+
+  return { score, priority: priorityFromScore(score), reason: reason || null };
+}
@@ -0,0 +1,79 @@
+/**
+ * Storage — the repositories the server reads and writes through
+ *
+ *   items             pending_actions
+ *   gmailConnections  user_gmail_tokens
+ *   slackConnections  user_slack_tokens
+ *   settings          user_settings
+ *   rules             triage_rules
+ *   followUps         follow_ups
+ *   digestDeliveries  digest_deliveries
+ *   oauthStates       oauth_states
+ *   events            user_events
+ *
+ * A backend implements all of them over the schema in migrations/:
+ * Supabase by default, or any Postgres database with
+ * STORAGE_BACKEND=postgres and DATABASE_URL (e.g. a local one),
+ * STORAGE_BACKEND=memory for tests, or anything set with setStorage.
+ * Background jobs follow the same switch unless JOB_STORE is set (see lib/jobs).
+ *
+ * Methods throw the backend's error; a unique violation carries
+ * `code: '23505'` on both. Besides the repositories a backend has
+ * `ping()` (a cheap round trip, for GET /health/ready) and `close()`.
+ */
+
+import { STORAGE_BACKEND } from '../config.js';
+import { supabase } from '../supabase.js';
+import { getPostgresPool } from '../postgres.js';
+import { supabaseStorage } from './supabase-store.js';
+import { createPostgresStorage } from './postgres-store.js';
+import { createMemoryStorage } from './memory-store.js';
+
+const REPOSITORIES = [
+  'items',
+  'gmailConnections',
+  'slackConnections',
+  'settings',
+  'rules',
+  'followUps',
+  'digestDeliveries',
+  'oauthStates',
+  'events'
+];
+
+function createStorage(name) {
+  switch (name) {
+    case 'supabase':
+      if (!supabase) throw new Error('SUPABASE_URL is not set (or set STORAGE_BACKEND=postgres and DATABASE_URL)');
+      return supabaseStorage;
+    case 'postgres':
+      return createPostgresStorage(getPostgresPool());
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected supabase, postgres or memory)`);
+  }
+}
+
+// Created on first use, so tests can setStorage without any configuration
+let backend = null;
+
+export function getStorage() {
+  backend ||= createStorage(STORAGE_BACKEND);
+  return backend;
+}
+
+/**
+ * Replace the storage backend (e.g. with one over a test database)
+ */
+export function setStorage(newBackend) {
+  backend = newBackend;
+}
+
+/**
+ * The current backend's repositories, e.g. `storage.items.get(id, user_id)`.
+ * Stays valid across setStorage.
+ */
+export const storage = Object.defineProperties({}, Object.fromEntries(
+  ['name', ...REPOSITORIES].map(key => [key, { get: () => getStorage()[key], enumerable: true }])
+));
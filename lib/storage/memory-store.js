@@ -0,0 +1,464 @@
+/**
+ * In-process storage (STORAGE_BACKEND=memory) for tests and trying the
+ * server out without a database. Same behaviour as the SQL backends,
+ * including column defaults and unique violations, but nothing survives a
+ * restart.
+ */
+
+import crypto from 'crypto';
+
+function uniqueViolation(constraint) {
+  return Object.assign(new Error(`duplicate key value violates unique constraint "${constraint}"`), { code: '23505' });
+}
+
+const copy = (row) => (row ? structuredClone(row) : null);
+const time = (value) => (value ? Date.parse(value) : NaN);
+
+/**
+ * Compare two rows on a column the way Postgres orders it, nulls last
+ */
+function byColumn(name, ascending = true) {
+  return (a, b) => {
+    const x = a[name];
+    const y = b[name];
+    if (x === y) return 0;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+  };
+}
+
+export function createMemoryStorage() {
+  const tables = {
+    pending_actions: new Map(),
+    user_gmail_tokens: new Map(),
+    user_slack_tokens: new Map(),
+    user_settings: new Map(),
+    triage_rules: new Map(),
+    follow_ups: new Map(),
+    digest_deliveries: new Map(),
+    oauth_states: new Map(),
+    user_events: new Map()
+  };
+
+  const rowsOf = (table) => [...tables[table].values()];
+  const now = () => new Date().toISOString();
+
+  const items = {
+    async hasMessage({ user_id, platform, messageId, link }) {
+      return rowsOf('pending_actions').some(row =>
+        row.platform_tag === platform &&
+        (!user_id || row.user_id === user_id) &&
+        ((messageId && (row.message_id === messageId || row.thread_message_ids.includes(messageId))) ||
+          (link && row.message_link === link)));
+    },
+
+    async findByThread(user_id, platform, threadKey) {
+      const [row] = rowsOf('pending_actions')
+        .filter(r => r.user_id === user_id && r.platform_tag === platform && r.thread_key === threadKey)
+        .sort(byColumn('last_message_at', false));
+      return copy(row);
+    },
+
+    async insert(row) {
+      const duplicate = row.message_id && rowsOf('pending_actions').some(r =>
+        r.user_id === (row.user_id ?? null) && r.platform_tag === row.platform_tag && r.message_id === row.message_id);
+      if (duplicate) throw uniqueViolation('idx_pending_actions_user_message_unique');
+
+      const inserted = {
+        id: crypto.randomUUID(),
+        user_id: null,
+        platform_tag: 'manual',
+        message_id: null,
+        thread_key: null,
+        thread_message_ids: [],
+        message_count: 1,
+        status: 'pending',
+        created_at: now(),
+        ...structuredClone(row)
+      };
+      tables.pending_actions.set(inserted.id, inserted);
+      return copy(inserted);
+    },
+
+    async get(id, user_id) {
+      const row = tables.pending_actions.get(id);
+      return row?.user_id === user_id ? copy(row) : null;
+    },
+
+    async update(id, user_id, patch) {
+      const row = tables.pending_actions.get(id);
+      if (row?.user_id !== user_id) return null;
+      return copy(Object.assign(row, structuredClone(patch)));
+    },
+
+    async updateByLink(link, platform, user_id, patch) {
+      const matches = rowsOf('pending_actions')
+        .filter(r => r.message_link === link && r.platform_tag === platform && r.user_id === user_id);
+      matches.forEach(row => Object.assign(row, structuredClone(patch)));
+      return copy(matches[0]);
+    },
+
+    async deleteByLink(link, platform, user_id) {
+      const matches = rowsOf('pending_actions')
+        .filter(r => r.message_link === link && r.platform_tag === platform && r.user_id === user_id);
+      matches.forEach(row => tables.pending_actions.delete(row.id));
+      return matches.length;
+    },
+
+    async deleteByAccount(user_id, platform, account) {
+      const matches = rowsOf('pending_actions')
+        .filter(r => r.user_id === user_id && r.platform_tag === platform && r.account === account);
+      matches.forEach(row => tables.pending_actions.delete(row.id));
+      return matches.length;
+    },
+
+    async resolveThreads({ user_id, platform, threadKey, threadKeyPrefix, statuses, before, patch }) {
+      const matches = rowsOf('pending_actions').filter(r =>
+        r.user_id === user_id &&
+        r.platform_tag === platform &&
+        statuses.includes(r.status) &&
+        time(r.last_message_at) <= time(before) &&
+        (threadKey ? r.thread_key === threadKey : r.thread_key?.startsWith(threadKeyPrefix)));
+      matches.forEach(row => Object.assign(row, structuredClone(patch)));
+      return matches.map(copy);
+    },
+
+    async listByStatus(user_id, status, { limit, orderBy, ascending = true }) {
+      return rowsOf('pending_actions')
+        .filter(r => r.user_id === user_id && r.status === status)
+        .sort(byColumn(orderBy, ascending))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async wakeSnoozed(at, patch) {
+      const matches = rowsOf('pending_actions')
+        .filter(r => r.status === 'snoozed' && time(r.snoozed_until) <= time(at));
+      matches.forEach(row => Object.assign(row, structuredClone(patch)));
+      return matches.map(copy);
+    }
+  };
+
+  function tokenTable(table, keys, defaults = {}) {
+    const keyOf = (row) => keys.map(key => row[key]).join('\u0000');
+
+    return {
+      keyOf,
+
+      async listPage({ offset, limit }) {
+        return rowsOf(table)
+          .sort((a, b) => (keyOf(a) < keyOf(b) ? -1 : 1))
+          .slice(offset, offset + limit)
+          .map(copy);
+      },
+
+      async replaceToken(row, column, stored, value) {
+        const current = tables[table].get(keyOf(row));
+        if (!current || current[column] !== stored) return false;
+        current[column] = value;
+        return true;
+      },
+
+      upsert(row) {
+        const existing = tables[table].get(keyOf(row));
+        if (existing) {
+          Object.assign(existing, structuredClone(row));
+        } else {
+          tables[table].set(keyOf(row), { created_at: now(), ...defaults, ...structuredClone(row) });
+        }
+      },
+
+      update(row, patch) {
+        const existing = tables[table].get(keyOf(row));
+        if (existing) Object.assign(existing, structuredClone(patch));
+      }
+    };
+  }
+
+  const gmailTokens = tokenTable('user_gmail_tokens', ['email_address'], { watch_failures: 0 });
+  const slackTokens = tokenTable('user_slack_tokens', ['user_id', 'team_id']);
+
+  const gmailConnections = {
+    keys: ['email_address'],
+    listPage: gmailTokens.listPage,
+    replaceToken: gmailTokens.replaceToken,
+
+    async get(emailAddress) {
+      return copy(tables.user_gmail_tokens.get(emailAddress));
+    },
+
+    async list() {
+      return rowsOf('user_gmail_tokens').map(copy);
+    },
+
+    async listByUser(user_id, { account } = {}) {
+      return rowsOf('user_gmail_tokens')
+        .filter(r => r.user_id === user_id && (!account || r.email_address === account))
+        .sort(byColumn('email_address'))
+        .map(copy);
+    },
+
+    async upsert(row) {
+      gmailTokens.upsert(row);
+    },
+
+    async update(emailAddress, patch) {
+      gmailTokens.update({ email_address: emailAddress }, patch);
+    },
+
+    async delete(user_id, emailAddress) {
+      if (tables.user_gmail_tokens.get(emailAddress)?.user_id === user_id) {
+        tables.user_gmail_tokens.delete(emailAddress);
+      }
+    }
+  };
+
+  const slackConnections = {
+    keys: ['user_id', 'team_id'],
+    listPage: slackTokens.listPage,
+    replaceToken: slackTokens.replaceToken,
+
+    async get(user_id, teamId) {
+      return copy(tables.user_slack_tokens.get(slackTokens.keyOf({ user_id, team_id: teamId })));
+    },
+
+    async listByTeam(teamId) {
+      return rowsOf('user_slack_tokens').filter(r => r.team_id === teamId).map(copy);
+    },
+
+    async listByUser(user_id) {
+      return rowsOf('user_slack_tokens')
+        .filter(r => r.user_id === user_id)
+        .sort(byColumn('team_name'))
+        .map(copy);
+    },
+
+    async upsert(row) {
+      slackTokens.upsert(row);
+    },
+
+    async update(user_id, teamId, patch) {
+      slackTokens.update({ user_id, team_id: teamId }, patch);
+    },
+
+    async delete(user_id, teamId) {
+      tables.user_slack_tokens.delete(slackTokens.keyOf({ user_id, team_id: teamId }));
+    }
+  };
+
+  const settings = {
+    async get(user_id) {
+      return copy(tables.user_settings.get(user_id));
+    },
+
+    async upsert(user_id, patch) {
+      const existing = tables.user_settings.get(user_id) || {
+        user_id,
+        vip_senders: [],
+        score_weights: {},
+        slack_capture: {},
+        auto_resolve: {},
+        digest: {}
+      };
+      tables.user_settings.set(user_id, Object.assign(existing, structuredClone(patch), { updated_at: now() }));
+    },
+
+    async listDigestUsers() {
+      return rowsOf('user_settings').filter(r => r.digest?.enabled === true).map(r => r.user_id);
+    }
+  };
+
+  const rules = {
+    async list(user_id, { enabledOnly = false } = {}) {
+      return rowsOf('triage_rules')
+        .filter(r => r.user_id === user_id && (!enabledOnly || r.enabled))
+        .sort((a, b) => a.position - b.position || a.created_at.localeCompare(b.created_at))
+        .map(copy);
+    },
+
+    async get(id, user_id) {
+      const row = tables.triage_rules.get(id);
+      return row?.user_id === user_id ? copy(row) : null;
+    },
+
+    async create(row) {
+      const created = {
+        id: crypto.randomUUID(),
+        enabled: true,
+        position: 0,
+        conditions: {},
+        actions: {},
+        created_at: now(),
+        updated_at: now(),
+        ...structuredClone(row)
+      };
+      tables.triage_rules.set(created.id, created);
+      return copy(created);
+    },
+
+    async update(id, user_id, patch) {
+      const row = tables.triage_rules.get(id);
+      if (row?.user_id !== user_id) return null;
+      return copy(Object.assign(row, structuredClone(patch)));
+    },
+
+    async delete(id, user_id) {
+      if (tables.triage_rules.get(id)?.user_id !== user_id) return false;
+      return tables.triage_rules.delete(id);
+    }
+  };
+
+  function insertFollowUp(row) {
+    if (row.message_id && rowsOf('follow_ups').some(r => r.message_id === row.message_id)) {
+      throw uniqueViolation('follow_ups_message_id_key');
+    }
+    const created = { id: crypto.randomUUID(), status: 'waiting', created_at: now(), ...structuredClone(row) };
+    tables.follow_ups.set(created.id, created);
+    return created;
+  }
+
+  const followUps = {
+    async create(row) {
+      return copy(insertFollowUp(row));
+    },
+
+    async watchSent(rows) {
+      let inserted = 0;
+      for (const row of rows) {
+        if (row.message_id && rowsOf('follow_ups').some(r => r.message_id === row.message_id)) continue;
+        insertFollowUp(row);
+        inserted++;
+      }
+      return inserted;
+    },
+
+    async markReplied({ user_id, platform, threadKey, before }) {
+      const matches = rowsOf('follow_ups').filter(r =>
+        r.user_id === user_id && r.platform === platform && r.thread_key === threadKey &&
+        r.status === 'waiting' && time(r.since) < time(before));
+      matches.forEach(row => { row.status = 'replied'; });
+      return matches.length;
+    },
+
+    async listWaiting(user_id, { limit }) {
+      return rowsOf('follow_ups')
+        .filter(r => r.user_id === user_id && r.status === 'waiting')
+        .sort(byColumn('due_at'))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async cancel(user_id, id) {
+      const row = tables.follow_ups.get(id);
+      if (row?.user_id !== user_id || row.status !== 'waiting') return false;
+      row.status = 'cancelled';
+      return true;
+    },
+
+    async listDue(at, { limit }) {
+      return rowsOf('follow_ups')
+        .filter(r => r.status === 'waiting' && time(r.due_at) <= time(at))
+        .sort(byColumn('due_at'))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async claim(id, at) {
+      const row = tables.follow_ups.get(id);
+      if (row?.status !== 'waiting') return false;
+      Object.assign(row, { status: 'done', fired_at: at });
+      return true;
+    },
+
+    async release(id) {
+      const row = tables.follow_ups.get(id);
+      if (row) Object.assign(row, { status: 'waiting', fired_at: null });
+    }
+  };
+
+  const digestDeliveries = {
+    async claim(user_id, date, { maxAttempts }) {
+      const key = `${user_id}:${date}`;
+      const existing = tables.digest_deliveries.get(key);
+
+      if (!existing) {
+        const row = { id: crypto.randomUUID(), user_id, digest_date: date, status: 'sending', attempts: 1, created_at: now() };
+        tables.digest_deliveries.set(key, row);
+        return { id: row.id, status: row.status, attempts: row.attempts };
+      }
+
+      if (existing.status !== 'failed' || existing.attempts >= maxAttempts) return null;
+      Object.assign(existing, { status: 'sending', attempts: existing.attempts + 1 });
+      return { id: existing.id, status: existing.status, attempts: existing.attempts };
+    },
+
+    async finish(id, patch) {
+      const row = rowsOf('digest_deliveries').find(r => r.id === id);
+      if (row) Object.assign(row, structuredClone(patch));
+    }
+  };
+
+  const oauthStates = {
+    async create(row) {
+      if (tables.oauth_states.has(row.nonce)) throw uniqueViolation('oauth_states_pkey');
+      tables.oauth_states.set(row.nonce, { used_at: null, created_at: now(), ...row });
+    },
+
+    async consume(nonce, user_id, usedAt) {
+      const row = tables.oauth_states.get(nonce);
+      if (row?.user_id !== user_id || row.used_at) return false;
+      row.used_at = usedAt;
+      return true;
+    },
+
+    async purgeExpired(before) {
+      for (const row of rowsOf('oauth_states')) {
+        if (time(row.expires_at) < time(before)) tables.oauth_states.delete(row.nonce);
+      }
+    }
+  };
+
+  let lastEventId = 0;
+
+  const events = {
+    async append(row) {
+      const event = { id: ++lastEventId, data: {}, created_at: now(), ...structuredClone(row) };
+      tables.user_events.set(event.id, event);
+      return copy(event);
+    },
+
+    async listSince(afterId, { user_id, limit }) {
+      return rowsOf('user_events')
+        .filter(r => r.id > afterId && (!user_id || r.user_id === user_id))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async bounds() {
+      const ids = [...tables.user_events.keys()];
+      return ids.length ? { oldest: Math.min(...ids), latest: Math.max(...ids) } : { oldest: null, latest: null };
+    },
+
+    async purge(before) {
+      for (const row of rowsOf('user_events')) {
+        if (time(row.created_at) < time(before)) tables.user_events.delete(row.id);
+      }
+    }
+  };
+
+  return {
+    name: 'memory',
+    items,
+    gmailConnections,
+    slackConnections,
+    settings,
+    rules,
+    followUps,
+    digestDeliveries,
+    oauthStates,
+    events,
+    async ping() {},
+    async close() {}
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Versioned schema migrations
+ *
+ * migrations/NNN_name.sql files run in order, each in its own transaction,
+ * and are recorded in schema_migrations so they run once per database. They
+ * are plain Postgres SQL, so the same files set up a Supabase project and a
+ * local database. Every file is also safe to run again, which lets a
+ * project set up from the old single migration script adopt them as is.
+ */
+
+import fs from 'fs/promises';
+
+const MIGRATIONS_DIR = new URL('../../migrations/', import.meta.url);
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+/**
+ * Migration files in order: [{ version, name, file }]
+ */
+export async function listMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  return files
+    .map(file => MIGRATION_FILE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function appliedVersions(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  const { rows } = await pool.query('SELECT version FROM schema_migrations');
+  return new Set(rows.map(row => row.version));
+}
+
+/**
+ * Every migration with whether it has been applied: [{ version, name, file, applied }]
+ */
+export async function migrationStatus(pool) {
+  const applied = await appliedVersions(pool);
+  return (await listMigrations()).map(migration => ({ ...migration, applied: applied.has(migration.version) }));
+}
+
+/**
+ * Apply the pending migrations. Returns the ones applied.
+ *
+ * @param {import('pg').Pool} pool
+ */
+export async function runMigrations(pool, { log = console.log } = {}) {
+  const pending = (await migrationStatus(pool)).filter(migration => !migration.applied);
+  const applied = [];
+
+  for (const migration of pending) {
+    const sql = await fs.readFile(new URL(migration.file, MIGRATIONS_DIR), 'utf8');
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    } finally {
+      client.release();
+    }
+
+    log(`  ✅ ${migration.file}`);
+    applied.push(migration);
+  }
+
+  return applied;
+}
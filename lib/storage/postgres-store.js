@@ -0,0 +1,480 @@
+/**
+ * Storage backed by any Postgres database (STORAGE_BACKEND=postgres), e.g.
+ * a local one for development. Same schema as Supabase, from migrations/.
+ * Rows come back like PostgREST returns them: timestamps as ISO strings.
+ */
+
+// JSONB columns: serialized explicitly, since pg would send a JS array as a Postgres array
+const JSON_COLUMNS = new Set([
+  'source_ref', 'conditions', 'actions', 'score_weights', 'slack_capture', 'auto_resolve', 'digest', 'results', 'data'
+]);
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+function column(name) {
+  if (!IDENTIFIER.test(name)) throw new Error(`Invalid column name: ${name}`);
+  return name;
+}
+
+function toParam(name, value) {
+  return JSON_COLUMNS.has(name) && value !== null && value !== undefined ? JSON.stringify(value) : value;
+}
+
+function toRow(row) {
+  for (const [key, value] of Object.entries(row)) {
+    if (value instanceof Date) row[key] = value.toISOString();
+  }
+  return row;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Collects query parameters: `p(value)` adds one and returns its placeholder
+ */
+function params() {
+  const values = [];
+  return {
+    values,
+    p: (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    }
+  };
+}
+
+function insertSql(table, rows, p) {
+  const columns = Object.keys(rows[0]).map(column);
+  const tuples = rows.map(row => `(${columns.map(name => p(toParam(name, row[name]))).join(', ')})`);
+  return `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')}`;
+}
+
+function setSql(patch, p) {
+  return Object.entries(patch).map(([name, value]) => `${column(name)} = ${p(toParam(name, value))}`).join(', ');
+}
+
+/**
+ * INSERT ... ON CONFLICT (keys) DO UPDATE every other given column
+ */
+function upsertSql(table, row, keys, p) {
+  const updates = Object.keys(row).filter(name => !keys.includes(name)).map(name => `${column(name)} = EXCLUDED.${name}`);
+  return `${insertSql(table, [row], p)} ON CONFLICT (${keys.join(', ')}) ` +
+    (updates.length ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING');
+}
+
+/**
+ * @param {import('pg').Pool} pool
+ */
+export function createPostgresStorage(pool) {
+  async function query(text, values = []) {
+    const { rows } = await pool.query(text, values);
+    return rows.map(toRow);
+  }
+
+  const items = {
+    async hasMessage({ user_id, platform, messageId, link }) {
+      const { values, p } = params();
+      const matches = [
+        messageId && `message_id = ${p(messageId)}`,
+        messageId && `${p(messageId)} = ANY(thread_message_ids)`,
+        link && `message_link = ${p(link)}`
+      ].filter(Boolean);
+      if (!matches.length) return false;
+
+      const rows = await query(
+        `SELECT id FROM pending_actions
+         WHERE platform_tag = ${p(platform)} ${user_id ? `AND user_id = ${p(user_id)}` : ''}
+           AND (${matches.join(' OR ')})
+         LIMIT 1`,
+        values
+      );
+      return rows.length > 0;
+    },
+
+    async findByThread(user_id, platform, threadKey) {
+      const rows = await query(
+        `SELECT * FROM pending_actions
+         WHERE user_id = $1 AND platform_tag = $2 AND thread_key = $3
+         ORDER BY last_message_at DESC NULLS LAST
+         LIMIT 1`,
+        [user_id, platform, threadKey]
+      );
+      return rows[0] || null;
+    },
+
+    async insert(row) {
+      const { values, p } = params();
+      const [inserted] = await query(`${insertSql('pending_actions', [row], p)} RETURNING *`, values);
+      return inserted;
+    },
+
+    async get(id, user_id) {
+      const rows = await query('SELECT * FROM pending_actions WHERE id = $1 AND user_id = $2', [id, user_id]);
+      return rows[0] || null;
+    },
+
+    async update(id, user_id, patch) {
+      const { values, p } = params();
+      const rows = await query(
+        `UPDATE pending_actions SET ${setSql(patch, p)}
+         WHERE id = ${p(id)} AND user_id = ${p(user_id)}
+         RETURNING *`,
+        values
+      );
+      return rows[0] || null;
+    },
+
+    async updateByLink(link, platform, user_id, patch) {
+      const { values, p } = params();
+      const rows = await query(
+        `UPDATE pending_actions SET ${setSql(patch, p)}
+         WHERE message_link = ${p(link)} AND platform_tag = ${p(platform)} AND user_id = ${p(user_id)}
+         RETURNING *`,
+        values
+      );
+      return rows[0] || null;
+    },
+
+    async deleteByLink(link, platform, user_id) {
+      const rows = await query(
+        'DELETE FROM pending_actions WHERE message_link = $1 AND platform_tag = $2 AND user_id = $3 RETURNING id',
+        [link, platform, user_id]
+      );
+      return rows.length;
+    },
+
+    async deleteByAccount(user_id, platform, account) {
+      const rows = await query(
+        'DELETE FROM pending_actions WHERE user_id = $1 AND platform_tag = $2 AND account = $3 RETURNING id',
+        [user_id, platform, account]
+      );
+      return rows.length;
+    },
+
+    async resolveThreads({ user_id, platform, threadKey, threadKeyPrefix, statuses, before, patch }) {
+      const { values, p } = params();
+      const thread = threadKey
+        ? `thread_key = ${p(threadKey)}`
+        : `thread_key LIKE ${p(`${escapeLike(threadKeyPrefix)}%`)}`;
+
+      return query(
+        `UPDATE pending_actions SET ${setSql(patch, p)}
+         WHERE user_id = ${p(user_id)} AND platform_tag = ${p(platform)}
+           AND status = ANY(${p(statuses)}) AND last_message_at <= ${p(before)} AND ${thread}
+         RETURNING *`,
+        values
+      );
+    },
+
+    async listByStatus(user_id, status, { limit, orderBy, ascending = true }) {
+      return query(
+        `SELECT * FROM pending_actions
+         WHERE user_id = $1 AND status = $2
+         ORDER BY ${column(orderBy)} ${ascending ? 'ASC' : 'DESC'} NULLS LAST
+         LIMIT $3`,
+        [user_id, status, limit]
+      );
+    },
+
+    async wakeSnoozed(now, patch) {
+      const { values, p } = params();
+      return query(
+        `UPDATE pending_actions SET ${setSql(patch, p)}
+         WHERE status = 'snoozed' AND snoozed_until <= ${p(now)}
+         RETURNING *`,
+        values
+      );
+    }
+  };
+
+  function tokenTable(table, keys) {
+    return {
+      async listPage({ offset, limit }) {
+        return query(`SELECT * FROM ${table} ORDER BY ${keys.join(', ')} LIMIT $1 OFFSET $2`, [limit, offset]);
+      },
+
+      async replaceToken(row, name, stored, value) {
+        const { values, p } = params();
+        const rows = await query(
+          `UPDATE ${table} SET ${column(name)} = ${p(value)}
+           WHERE ${column(name)} = ${p(stored)} AND ${keys.map(key => `${key} = ${p(row[key])}`).join(' AND ')}
+           RETURNING ${keys[0]}`,
+          values
+        );
+        return rows.length > 0;
+      }
+    };
+  }
+
+  const gmailConnections = {
+    keys: ['email_address'],
+    ...tokenTable('user_gmail_tokens', ['email_address']),
+
+    async get(emailAddress) {
+      const rows = await query('SELECT * FROM user_gmail_tokens WHERE email_address = $1', [emailAddress]);
+      return rows[0] || null;
+    },
+
+    async list() {
+      return query('SELECT * FROM user_gmail_tokens');
+    },
+
+    async listByUser(user_id, { account } = {}) {
+      return account
+        ? query('SELECT * FROM user_gmail_tokens WHERE user_id = $1 AND email_address = $2', [user_id, account])
+        : query('SELECT * FROM user_gmail_tokens WHERE user_id = $1 ORDER BY email_address', [user_id]);
+    },
+
+    async upsert(row) {
+      const { values, p } = params();
+      await query(upsertSql('user_gmail_tokens', row, ['email_address'], p), values);
+    },
+
+    async update(emailAddress, patch) {
+      const { values, p } = params();
+      await query(`UPDATE user_gmail_tokens SET ${setSql(patch, p)} WHERE email_address = ${p(emailAddress)}`, values);
+    },
+
+    async delete(user_id, emailAddress) {
+      await query('DELETE FROM user_gmail_tokens WHERE user_id = $1 AND email_address = $2', [user_id, emailAddress]);
+    }
+  };
+
+  const slackConnections = {
+    keys: ['user_id', 'team_id'],
+    ...tokenTable('user_slack_tokens', ['user_id', 'team_id']),
+
+    async get(user_id, teamId) {
+      const rows = await query('SELECT * FROM user_slack_tokens WHERE user_id = $1 AND team_id = $2', [user_id, teamId]);
+      return rows[0] || null;
+    },
+
+    async listByTeam(teamId) {
+      return query('SELECT * FROM user_slack_tokens WHERE team_id = $1', [teamId]);
+    },
+
+    async listByUser(user_id) {
+      return query('SELECT * FROM user_slack_tokens WHERE user_id = $1 ORDER BY team_name', [user_id]);
+    },
+
+    async upsert(row) {
+      const { values, p } = params();
+      await query(upsertSql('user_slack_tokens', row, ['user_id', 'team_id'], p), values);
+    },
+
+    async update(user_id, teamId, patch) {
+      const { values, p } = params();
+      await query(
+        `UPDATE user_slack_tokens SET ${setSql(patch, p)} WHERE user_id = ${p(user_id)} AND team_id = ${p(teamId)}`,
+        values
+      );
+    },
+
+    async delete(user_id, teamId) {
+      await query('DELETE FROM user_slack_tokens WHERE user_id = $1 AND team_id = $2', [user_id, teamId]);
+    }
+  };
+
+  const settings = {
+    async get(user_id) {
+      const rows = await query('SELECT * FROM user_settings WHERE user_id = $1', [user_id]);
+      return rows[0] || null;
+    },
+
+    async upsert(user_id, patch) {
+      const { values, p } = params();
+      await query(upsertSql('user_settings', { user_id, ...patch, updated_at: new Date().toISOString() }, ['user_id'], p), values);
+    },
+
+    async listDigestUsers() {
+      const rows = await query("SELECT user_id FROM user_settings WHERE digest->>'enabled' = 'true'");
+      return rows.map(row => row.user_id);
+    }
+  };
+
+  const rules = {
+    async list(user_id, { enabledOnly = false } = {}) {
+      return query(
+        `SELECT * FROM triage_rules
+         WHERE user_id = $1 ${enabledOnly ? 'AND enabled' : ''}
+         ORDER BY position, created_at`,
+        [user_id]
+      );
+    },
+
+    async get(id, user_id) {
+      const rows = await query('SELECT * FROM triage_rules WHERE id = $1 AND user_id = $2', [id, user_id]);
+      return rows[0] || null;
+    },
+
+    async create(row) {
+      const { values, p } = params();
+      const [created] = await query(`${insertSql('triage_rules', [row], p)} RETURNING *`, values);
+      return created;
+    },
+
+    async update(id, user_id, patch) {
+      const { values, p } = params();
+      const rows = await query(
+        `UPDATE triage_rules SET ${setSql(patch, p)} WHERE id = ${p(id)} AND user_id = ${p(user_id)} RETURNING *`,
+        values
+      );
+      return rows[0] || null;
+    },
+
+    async delete(id, user_id) {
+      const rows = await query('DELETE FROM triage_rules WHERE id = $1 AND user_id = $2 RETURNING id', [id, user_id]);
+      return rows.length > 0;
+    }
+  };
+
+  const followUps = {
+    async create(row) {
+      const { values, p } = params();
+      const [created] = await query(`${insertSql('follow_ups', [row], p)} RETURNING *`, values);
+      return created;
+    },
+
+    async watchSent(rows) {
+      const { values, p } = params();
+      const inserted = await query(`${insertSql('follow_ups', rows, p)} ON CONFLICT (message_id) DO NOTHING RETURNING id`, values);
+      return inserted.length;
+    },
+
+    async markReplied({ user_id, platform, threadKey, before }) {
+      const rows = await query(
+        `UPDATE follow_ups SET status = 'replied'
+         WHERE user_id = $1 AND platform = $2 AND thread_key = $3 AND status = 'waiting' AND since < $4
+         RETURNING id`,
+        [user_id, platform, threadKey, before]
+      );
+      return rows.length;
+    },
+
+    async listWaiting(user_id, { limit }) {
+      return query(
+        "SELECT * FROM follow_ups WHERE user_id = $1 AND status = 'waiting' ORDER BY due_at LIMIT $2",
+        [user_id, limit]
+      );
+    },
+
+    async cancel(user_id, id) {
+      const rows = await query(
+        "UPDATE follow_ups SET status = 'cancelled' WHERE id = $1 AND user_id = $2 AND status = 'waiting' RETURNING id",
+        [id, user_id]
+      );
+      return rows.length > 0;
+    },
+
+    async listDue(now, { limit }) {
+      return query(
+        "SELECT * FROM follow_ups WHERE status = 'waiting' AND due_at <= $1 ORDER BY due_at LIMIT $2",
+        [now, limit]
+      );
+    },
+
+    async claim(id, now) {
+      const rows = await query(
+        "UPDATE follow_ups SET status = 'done', fired_at = $2 WHERE id = $1 AND status = 'waiting' RETURNING id",
+        [id, now]
+      );
+      return rows.length > 0;
+    },
+
+    async release(id) {
+      await query("UPDATE follow_ups SET status = 'waiting', fired_at = NULL WHERE id = $1", [id]);
+    }
+  };
+
+  const digestDeliveries = {
+    async claim(user_id, date, { maxAttempts }) {
+      const [inserted] = await query(
+        `INSERT INTO digest_deliveries (user_id, digest_date, status, attempts)
+         VALUES ($1, $2, 'sending', 1)
+         ON CONFLICT (user_id, digest_date) DO NOTHING
+         RETURNING id, status, attempts`,
+        [user_id, date]
+      );
+      if (inserted) return inserted;
+
+      const [retried] = await query(
+        `UPDATE digest_deliveries SET status = 'sending', attempts = attempts + 1
+         WHERE user_id = $1 AND digest_date = $2 AND status = 'failed' AND attempts < $3
+         RETURNING id, status, attempts`,
+        [user_id, date, maxAttempts]
+      );
+      return retried || null;
+    },
+
+    async finish(id, patch) {
+      const { values, p } = params();
+      await query(`UPDATE digest_deliveries SET ${setSql(patch, p)} WHERE id = ${p(id)}`, values);
+    }
+  };
+
+  const oauthStates = {
+    async create(row) {
+      const { values, p } = params();
+      await query(insertSql('oauth_states', [row], p), values);
+    },
+
+    async consume(nonce, user_id, usedAt) {
+      const rows = await query(
+        'UPDATE oauth_states SET used_at = $3 WHERE nonce = $1 AND user_id = $2 AND used_at IS NULL RETURNING nonce',
+        [nonce, user_id, usedAt]
+      );
+      return rows.length > 0;
+    },
+
+    async purgeExpired(before) {
+      await query('DELETE FROM oauth_states WHERE expires_at < $1', [before]);
+    }
+  };
+
+  // BIGSERIAL ids come back from pg as strings
+  const eventRow = (row) => ({ ...row, id: Number(row.id) });
+
+  const events = {
+    async append(row) {
+      const { values, p } = params();
+      const [appended] = await query(`${insertSql('user_events', [row], p)} RETURNING *`, values);
+      return eventRow(appended);
+    },
+
+    async listSince(afterId, { user_id, limit }) {
+      const rows = user_id
+        ? await query('SELECT * FROM user_events WHERE id > $1 AND user_id = $2 ORDER BY id LIMIT $3', [afterId, user_id, limit])
+        : await query('SELECT * FROM user_events WHERE id > $1 ORDER BY id LIMIT $2', [afterId, limit]);
+      return rows.map(eventRow);
+    },
+
+    async bounds() {
+      const [{ oldest, latest }] = await query('SELECT min(id) AS oldest, max(id) AS latest FROM user_events');
+      return { oldest: oldest === null ? null : Number(oldest), latest: latest === null ? null : Number(latest) };
+    },
+
+    async purge(before) {
+      await query('DELETE FROM user_events WHERE created_at < $1', [before]);
+    }
+  };
+
+  return {
+    name: 'postgres',
+    items,
+    gmailConnections,
+    slackConnections,
+    settings,
+    rules,
+    followUps,
+    digestDeliveries,
+    oauthStates,
+    events,
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+    async close() {
+      await pool.end();
+    }
+  };
+}
@@ -0,0 +1,494 @@
+/**
+ * Storage backed by a Supabase project (PostgREST through supabase-js).
+ * The schema comes from migrations/ (see lib/storage/migrations.js).
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * Return a query's rows, throwing its error (with the Postgres `code`,
+ * e.g. '23505' for a unique violation) if it failed
+ */
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+const items = {
+  async hasMessage({ user_id, platform, messageId, link }) {
+    const filters = [
+      messageId && (query => query.eq('message_id', messageId)),
+      messageId && (query => query.contains('thread_message_ids', [messageId])),
+      link && (query => query.eq('message_link', link))
+    ].filter(Boolean);
+
+    for (const filter of filters) {
+      let query = supabase
+        .from('pending_actions')
+        .select('id')
+        .eq('platform_tag', platform);
+      if (user_id) query = query.eq('user_id', user_id);
+
+      if (unwrap(await filter(query).limit(1)).length) return true;
+    }
+    return false;
+  },
+
+  async findByThread(user_id, platform, threadKey) {
+    return unwrap(await supabase
+      .from('pending_actions')
+      .select('*')
+      .eq('user_id', user_id)
+      .eq('platform_tag', platform)
+      .eq('thread_key', threadKey)
+      .order('last_message_at', { ascending: false })
+      .limit(1)
+      .maybeSingle());
+  },
+
+  async insert(row) {
+    return unwrap(await supabase.from('pending_actions').insert([row]).select().single());
+  },
+
+  async get(id, user_id) {
+    return unwrap(await supabase
+      .from('pending_actions')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', user_id)
+      .maybeSingle());
+  },
+
+  async update(id, user_id, patch) {
+    const rows = unwrap(await supabase
+      .from('pending_actions')
+      .update(patch)
+      .eq('id', id)
+      .eq('user_id', user_id)
+      .select());
+    return rows[0] || null;
+  },
+
+  async updateByLink(link, platform, user_id, patch) {
+    const rows = unwrap(await supabase
+      .from('pending_actions')
+      .update(patch)
+      .eq('message_link', link)
+      .eq('platform_tag', platform)
+      .eq('user_id', user_id)
+      .select());
+    return rows[0] || null;
+  },
+
+  async deleteByLink(link, platform, user_id) {
+    return unwrap(await supabase
+      .from('pending_actions')
+      .delete()
+      .eq('message_link', link)
+      .eq('platform_tag', platform)
+      .eq('user_id', user_id)
+      .select('id')).length;
+  },
+
+  async deleteByAccount(user_id, platform, account) {
+    return unwrap(await supabase
+      .from('pending_actions')
+      .delete()
+      .eq('user_id', user_id)
+      .eq('platform_tag', platform)
+      .eq('account', account)
+      .select('id')).length;
+  },
+
+  async resolveThreads({ user_id, platform, threadKey, threadKeyPrefix, statuses, before, patch }) {
+    let query = supabase
+      .from('pending_actions')
+      .update(patch)
+      .eq('user_id', user_id)
+      .eq('platform_tag', platform)
+      .in('status', statuses)
+      .lte('last_message_at', before);
+
+    query = threadKey
+      ? query.eq('thread_key', threadKey)
+      : query.like('thread_key', `${escapeLike(threadKeyPrefix)}%`);
+
+    return unwrap(await query.select('*'));
+  },
+
+  async listByStatus(user_id, status, { limit, orderBy, ascending = true }) {
+    return unwrap(await supabase
+      .from('pending_actions')
+      .select('*')
+      .eq('user_id', user_id)
+      .eq('status', status)
+      .order(orderBy, { ascending, nullsFirst: false })
+      .limit(limit));
+  },
+
+  async wakeSnoozed(now, patch) {
+    return unwrap(await supabase
+      .from('pending_actions')
+      .update(patch)
+      .eq('status', 'snoozed')
+      .lte('snoozed_until', now)
+      .select('*'));
+  }
+};
+
+/**
+ * Token-table helpers shared by both connection repositories: `keys` are
+ * the columns identifying a row
+ */
+function tokenTable(table, keys) {
+  return {
+    async listPage({ offset, limit }) {
+      return unwrap(await supabase
+        .from(table)
+        .select('*')
+        .order(keys[0], { ascending: true })
+        .range(offset, offset + limit - 1));
+    },
+
+    async replaceToken(row, column, stored, value) {
+      let query = supabase
+        .from(table)
+        .update({ [column]: value })
+        // Skip rows that were reconnected meanwhile
+        .eq(column, stored);
+      for (const key of keys) query = query.eq(key, row[key]);
+      return unwrap(await query.select(keys[0])).length > 0;
+    }
+  };
+}
+
+const gmailConnections = {
+  keys: ['email_address'],
+  ...tokenTable('user_gmail_tokens', ['email_address']),
+
+  async get(emailAddress) {
+    return unwrap(await supabase
+      .from('user_gmail_tokens')
+      .select('*')
+      .eq('email_address', emailAddress)
+      .maybeSingle());
+  },
+
+  async list() {
+    return unwrap(await supabase.from('user_gmail_tokens').select('*'));
+  },
+
+  async listByUser(user_id, { account } = {}) {
+    let query = supabase
+      .from('user_gmail_tokens')
+      .select('*')
+      .eq('user_id', user_id)
+      .order('email_address', { ascending: true });
+    if (account) query = query.eq('email_address', account);
+    return unwrap(await query);
+  },
+
+  async upsert(row) {
+    unwrap(await supabase.from('user_gmail_tokens').upsert(row, { onConflict: 'email_address' }));
+  },
+
+  async update(emailAddress, patch) {
+    unwrap(await supabase.from('user_gmail_tokens').update(patch).eq('email_address', emailAddress));
+  },
+
+  async delete(user_id, emailAddress) {
+    unwrap(await supabase
+      .from('user_gmail_tokens')
+      .delete()
+      .eq('user_id', user_id)
+      .eq('email_address', emailAddress));
+  }
+};
+
+const slackConnections = {
+  keys: ['user_id', 'team_id'],
+  ...tokenTable('user_slack_tokens', ['user_id', 'team_id']),
+
+  async get(user_id, teamId) {
+    return unwrap(await supabase
+      .from('user_slack_tokens')
+      .select('*')
+      .eq('user_id', user_id)
+      .eq('team_id', teamId)
+      .maybeSingle());
+  },
+
+  async listByTeam(teamId) {
+    return unwrap(await supabase.from('user_slack_tokens').select('*').eq('team_id', teamId));
+  },
+
+  async listByUser(user_id) {
+    return unwrap(await supabase
+      .from('user_slack_tokens')
+      .select('*')
+      .eq('user_id', user_id)
+      .order('team_name', { ascending: true }));
+  },
+
+  async upsert(row) {
+    unwrap(await supabase.from('user_slack_tokens').upsert(row, { onConflict: 'user_id,team_id' }));
+  },
+
+  async update(user_id, teamId, patch) {
+    unwrap(await supabase
+      .from('user_slack_tokens')
+      .update(patch)
+      .eq('user_id', user_id)
+      .eq('team_id', teamId));
+  },
+
+  async delete(user_id, teamId) {
+    unwrap(await supabase
+      .from('user_slack_tokens')
+      .delete()
+      .eq('user_id', user_id)
+      .eq('team_id', teamId));
+  }
+};
+
+const settings = {
+  async get(user_id) {
+    return unwrap(await supabase
+      .from('user_settings')
+      .select('*')
+      .eq('user_id', user_id)
+      .maybeSingle());
+  },
+
+  async upsert(user_id, patch) {
+    unwrap(await supabase
+      .from('user_settings')
+      .upsert({ user_id, ...patch, updated_at: new Date().toISOString() }, { onConflict: 'user_id' }));
+  },
+
+  async listDigestUsers() {
+    const rows = unwrap(await supabase
+      .from('user_settings')
+      .select('user_id')
+      .eq('digest->>enabled', 'true'));
+    return rows.map(row => row.user_id);
+  }
+};
+
+const rules = {
+  async list(user_id, { enabledOnly = false } = {}) {
+    let query = supabase
+      .from('triage_rules')
+      .select('*')
+      .eq('user_id', user_id);
+    if (enabledOnly) query = query.eq('enabled', true);
+
+    return unwrap(await query
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true }));
+  },
+
+  async get(id, user_id) {
+    return unwrap(await supabase
+      .from('triage_rules')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', user_id)
+      .maybeSingle());
+  },
+
+  async create(row) {
+    return unwrap(await supabase.from('triage_rules').insert([row]).select().single());
+  },
+
+  async update(id, user_id, patch) {
+    const rows = unwrap(await supabase
+      .from('triage_rules')
+      .update(patch)
+      .eq('id', id)
+      .eq('user_id', user_id)
+      .select());
+    return rows[0] || null;
+  },
+
+  async delete(id, user_id) {
+    return unwrap(await supabase
+      .from('triage_rules')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', user_id)
+      .select('id')).length > 0;
+  }
+};
+
+const followUps = {
+  async create(row) {
+    return unwrap(await supabase.from('follow_ups').insert([row]).select().single());
+  },
+
+  async watchSent(rows) {
+    return unwrap(await supabase
+      .from('follow_ups')
+      .upsert(rows, { onConflict: 'message_id', ignoreDuplicates: true })
+      .select('id')).length;
+  },
+
+  async markReplied({ user_id, platform, threadKey, before }) {
+    return unwrap(await supabase
+      .from('follow_ups')
+      .update({ status: 'replied' })
+      .eq('user_id', user_id)
+      .eq('platform', platform)
+      .eq('thread_key', threadKey)
+      .eq('status', 'waiting')
+      .lt('since', before)
+      .select('id')).length;
+  },
+
+  async listWaiting(user_id, { limit }) {
+    return unwrap(await supabase
+      .from('follow_ups')
+      .select('*')
+      .eq('user_id', user_id)
+      .eq('status', 'waiting')
+      .order('due_at', { ascending: true })
+      .limit(limit));
+  },
+
+  async cancel(user_id, id) {
+    return unwrap(await supabase
+      .from('follow_ups')
+      .update({ status: 'cancelled' })
+      .eq('id', id)
+      .eq('user_id', user_id)
+      .eq('status', 'waiting')
+      .select('id')).length > 0;
+  },
+
+  async listDue(now, { limit }) {
+    return unwrap(await supabase
+      .from('follow_ups')
+      .select('*')
+      .eq('status', 'waiting')
+      .lte('due_at', now)
+      .order('due_at', { ascending: true })
+      .limit(limit));
+  },
+
+  async claim(id, now) {
+    return unwrap(await supabase
+      .from('follow_ups')
+      .update({ status: 'done', fired_at: now })
+      .eq('id', id)
+      .eq('status', 'waiting')
+      .select('id')).length > 0;
+  },
+
+  async release(id) {
+    unwrap(await supabase.from('follow_ups').update({ status: 'waiting', fired_at: null }).eq('id', id));
+  }
+};
+
+const digestDeliveries = {
+  async claim(user_id, date, { maxAttempts }) {
+    const inserted = unwrap(await supabase
+      .from('digest_deliveries')
+      .upsert([{ user_id, digest_date: date, status: 'sending', attempts: 1 }], {
+        onConflict: 'user_id,digest_date',
+        ignoreDuplicates: true
+      })
+      .select());
+    if (inserted.length) return inserted[0];
+
+    const existing = unwrap(await supabase
+      .from('digest_deliveries')
+      .select('*')
+      .eq('user_id', user_id)
+      .eq('digest_date', date)
+      .single());
+    if (existing.status !== 'failed' || existing.attempts >= maxAttempts) return null;
+
+    const retried = unwrap(await supabase
+      .from('digest_deliveries')
+      .update({ status: 'sending', attempts: existing.attempts + 1 })
+      .eq('id', existing.id)
+      .eq('status', 'failed')
+      .eq('attempts', existing.attempts)
+      .select());
+    return retried[0] || null;
+  },
+
+  async finish(id, patch) {
+    unwrap(await supabase.from('digest_deliveries').update(patch).eq('id', id));
+  }
+};
+
+const oauthStates = {
+  async create(row) {
+    unwrap(await supabase.from('oauth_states').insert([row]));
+  },
+
+  async consume(nonce, user_id, usedAt) {
+    return unwrap(await supabase
+      .from('oauth_states')
+      .update({ used_at: usedAt })
+      .eq('nonce', nonce)
+      .eq('user_id', user_id)
+      .is('used_at', null)
+      .select('nonce')).length > 0;
+  },
+
+  async purgeExpired(before) {
+    unwrap(await supabase.from('oauth_states').delete().lt('expires_at', before));
+  }
+};
+
+const events = {
+  async append(row) {
+    return unwrap(await supabase.from('user_events').insert([row]).select().single());
+  },
+
+  async listSince(afterId, { user_id, limit }) {
+    let query = supabase
+      .from('user_events')
+      .select('*')
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(limit);
+    if (user_id) query = query.eq('user_id', user_id);
+    return unwrap(await query);
+  },
+
+  async bounds() {
+    const [oldest, latest] = await Promise.all([true, false].map(async ascending => {
+      const [row] = unwrap(await supabase.from('user_events').select('id').order('id', { ascending }).limit(1));
+      return row?.id ?? null;
+    }));
+    return { oldest, latest };
+  },
+
+  async purge(before) {
+    unwrap(await supabase.from('user_events').delete().lt('created_at', before));
+  }
+};
+
+export const supabaseStorage = {
+  name: 'supabase',
+  items,
+  gmailConnections,
+  slackConnections,
+  settings,
+  rules,
+  followUps,
+  digestDeliveries,
+  oauthStates,
+  events,
+  async ping() {
+    unwrap(await supabase.from('pending_actions').select('id').limit(1));
+  },
+  async close() {}
+};
@@ -0,0 +1,12 @@
+/**
+ * Supabase client shared by the whole server — null when SUPABASE_URL is
+ * not set (STORAGE_BACKEND=postgres with SUPABASE_JWT_SECRET for auth)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import './config.js';
+
+// Service role key bypasses RLS (server is trusted, inserts on behalf of users)
+export const supabase = process.env.SUPABASE_URL
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
@@ -0,0 +1,119 @@
+/**
+ * Encryption at rest for stored OAuth credentials (Gmail refresh tokens,
+ * Slack bot tokens)
+ *
+ * Envelope encryption: every value gets its own random data key
+ * (AES-256-GCM), and that data key is wrapped with a master key from
+ * TOKEN_ENCRYPTION_KEYS. Stored format:
+ *
+ *   enc:<keyId>:<wrapped data key>:<ciphertext>     (base64url parts)
+ *
+ * TOKEN_ENCRYPTION_KEYS is a comma-separated list of `id:base64key` pairs
+ * (32-byte keys). The first key encrypts new values; the others are kept
+ * so older values can still be decrypted until `npm run rotate-token-keys`
+ * re-encrypts every row with the first key.
+ *
+ * Values without the `enc:` prefix are legacy plaintext and are returned
+ * as-is, so existing rows keep working until the rotation command runs.
+ */
+
+import crypto from 'crypto';
+import './config.js';
+import { log } from './logger.js';
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS into [{ id, key }], first entry = current key
+ */
+export function parseKeys(value = process.env.TOKEN_ENCRYPTION_KEYS) {
+  if (!value) return [];
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator < 1) throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like id:base64key');
+
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) throw new Error(`Invalid token key id "${id}"`);
+    if (key.length !== 32) throw new Error(`Token key "${id}" must be 32 bytes (base64)`);
+
+    return { id, key };
+  });
+}
+
+const keys = parseKeys();
+if (!keys.length) {
+  log.warn('TOKEN_ENCRYPTION_KEYS not set, OAuth tokens will be stored in plaintext');
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Key id a stored value was encrypted with (null for plaintext)
+ */
+export function keyIdOf(value) {
+  return isEncrypted(value) ? value.split(':')[1] : null;
+}
+
+export function currentKeyId(keyring = keys) {
+  return keyring[0]?.id || null;
+}
+
+/**
+ * Encrypt a token with the current key. Without keys configured the value
+ * is returned unchanged.
+ */
+export function encryptToken(plaintext, keyring = keys) {
+  if (plaintext == null || !keyring.length) return plaintext;
+
+  const { id, key } = keyring[0];
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(key, dataKey);
+  const ciphertext = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return [PREFIX, id, base64Url(wrappedKey), base64Url(ciphertext)].join(':');
+}
+
+/**
+ * Decrypt a stored token. Plaintext (legacy) values are returned as-is;
+ * throws if the key it was encrypted with is not configured.
+ */
+export function decryptToken(value, keyring = keys) {
+  if (!isEncrypted(value)) return value;
+
+  const [, id, wrappedKey, ciphertext] = value.split(':');
+  const entry = keyring.find(k => k.id === id);
+  if (!entry) throw new Error(`Token was encrypted with key "${id}", which is not in TOKEN_ENCRYPTION_KEYS`);
+
+  const dataKey = open(entry.key, fromBase64Url(wrappedKey));
+  return open(dataKey, fromBase64Url(ciphertext)).toString('utf8');
+}
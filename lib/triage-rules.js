@@ -0,0 +1,326 @@
+/**
+ * Triage rule engine
+ *
+ * Per-user rules stored in the triage_rules table are evaluated against
+ * every normalized message before it is saved. A rule matches when ALL of
+ * its conditions match; rules run in `position` order, followed by the
+ * built-in defaults below.
+ *
+ * Conditions (all optional, strings are case-insensitive):
+ *   platform       'gmail' | 'slack' | ...
+ *   sender         substring of the sender name or address
+ *   domain         sender address domain (subdomains match too)
+ *   subject_regex  regex tested against the summary/subject
+ *   text_regex     regex tested against the message text (first 5,000 characters)
+ *   gmail_label    Gmail label ID that must be present
+ *   slack_channel  Slack channel ID
+ *
+ * Actions:
+ *   skip           drop the message (ends evaluation)
+ *   priority       'urgent' | 'high' | 'normal' | 'low' (first rule to set it wins)
+ *   tags           string[] added to the item
+ *   snooze_minutes snooze the new item for this long (first rule to set it wins)
+ *   stop           don't evaluate any later rules, including the defaults
+ */
+
+import vm from 'vm';
+import { storage } from './storage/index.js';
+import { log } from './logger.js';
+
+export const PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+const CONDITION_KEYS = ['platform', 'sender', 'domain', 'subject_regex', 'text_regex', 'gmail_label', 'slack_channel'];
+const ACTION_KEYS = ['skip', 'priority', 'tags', 'snooze_minutes', 'stop'];
+const MAX_REGEX_LENGTH = 500;
+// Bounds the work a (polynomial) pattern can do on one message
+const MAX_REGEX_INPUT_LENGTH = 5000;
+// Hard limit for one regex test; rules run synchronously in the shared worker
+const REGEX_TIMEOUT_MS = 20;
+
+const regexContext = vm.createContext({ pattern: null, value: null });
+const regexTest = new vm.Script('new RegExp(pattern, "i").test(value)');
+// Patterns that hit REGEX_TIMEOUT_MS
+const slowPatterns = new Set();
+
+// Replaces the old hard-coded EXCLUDED_LABELS filter. Add a user rule with
+// `stop: true` to keep mail from one of these categories.
+export const DEFAULT_RULES = [
+  'CATEGORY_PROMOTIONS',
+  'CATEGORY_SOCIAL',
+  'CATEGORY_UPDATES',
+  'CATEGORY_FORUMS',
+  'SPAM',
+  'TRASH'
+].map(label => ({
+  id: `default:${label}`,
+  name: `Skip ${label}`,
+  enabled: true,
+  conditions: { platform: 'gmail', gmail_label: label },
+  actions: { skip: true }
+}));
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// A quantifier: *, +, ?, {n}, {n,} or {n,m}, optionally lazy
+const QUANTIFIER = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/;
+
+/**
+ * The quantifier at `index`: { length, max } or null
+ */
+function quantifierAt(pattern, index) {
+  const match = pattern.slice(index).match(QUANTIFIER);
+  if (!match) return null;
+  const [text, symbol, min, comma, max] = match;
+  if (symbol) return { length: text.length, max: symbol === '?' ? 1 : Infinity };
+  return { length: text.length, max: comma ? (max === '' ? Infinity : Number(max)) : Number(min) };
+}
+
+/**
+ * Why a pattern could backtrack catastrophically, or null. Rejects a
+ * repeated group that itself repeats or alternates (`(a+)+`, `(\w*\s?)*`,
+ * `(a|ab)+`) and unbounded repeats next to each other (`\s*\s*`, `.*.*`).
+ * This only catches the common shapes: testRegex also runs every pattern
+ * under a time limit.
+ */
+function unsafeRegexReason(pattern) {
+  // One entry per open group: does it contain a repeat or an alternation,
+  // and does its last atom repeat without bound?
+  const groups = [{ repeats: false, alternates: false, unbounded: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups.at(-1);
+
+    if (char === '(') {
+      groups.push({ repeats: false, alternates: false, unbounded: group.unbounded });
+      if (pattern[i + 1] === '?') i += pattern[i + 2] === '<' && !'=!'.includes(pattern[i + 3]) ? pattern.indexOf('>', i) - i : 2;
+      continue;
+    }
+    if (char === '|') {
+      Object.assign(group, { alternates: true, unbounded: false });
+      continue;
+    }
+    if (char === ')' && groups.length === 1) continue;
+
+    // One atom: an escape, a character class, a closed group or a character
+    let closed = null;
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; `]` right after `[` or `[^` is literal
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+    } else if (char === ')') {
+      closed = groups.pop();
+    }
+
+    const parent = groups.at(-1);
+    const quantifier = quantifierAt(pattern, i + 1);
+    const repeats = quantifier?.max > 1;
+    const unbounded = quantifier?.max === Infinity;
+    if (quantifier) i += quantifier.length;
+
+    if (repeats && closed?.repeats) return 'a repeated group contains another repeat (e.g. (a+)+)';
+    if (repeats && closed?.alternates) return 'a repeated group contains alternatives (e.g. (a|ab)+)';
+    if (unbounded && parent.unbounded) return 'two unbounded repeats are next to each other (e.g. \\s*\\s*)';
+    parent.repeats ||= repeats || !!closed?.repeats;
+    parent.unbounded = unbounded || (!quantifier && !!closed?.unbounded);
+  }
+
+  return null;
+}
+
+/**
+ * Validate rule input from the API. Returns { rule } or { error }.
+ * With `partial`, missing fields are left out instead of defaulted (for updates).
+ */
+export function validateRule(input = {}, { partial = false } = {}) {
+  const rule = {};
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) return { error: 'name must be a non-empty string' };
+    rule.name = input.name.trim();
+  } else if (!partial) {
+    return { error: 'Missing name' };
+  }
+
+  if (input.enabled !== undefined) rule.enabled = !!input.enabled;
+  else if (!partial) rule.enabled = true;
+
+  if (input.position !== undefined) {
+    if (!Number.isInteger(input.position)) return { error: 'position must be an integer' };
+    rule.position = input.position;
+  }
+
+  if (input.conditions !== undefined || !partial) {
+    const conditions = input.conditions || {};
+    const unknown = Object.keys(conditions).filter(key => !CONDITION_KEYS.includes(key));
+    if (unknown.length) return { error: `Unknown condition: ${unknown.join(', ')}` };
+    if (!Object.keys(conditions).length) return { error: 'A rule needs at least one condition' };
+
+    for (const [key, value] of Object.entries(conditions)) {
+      if (typeof value !== 'string' || !value) return { error: `${key} must be a non-empty string` };
+      if (key.endsWith('_regex')) {
+        if (value.length > MAX_REGEX_LENGTH) return { error: `${key} is longer than ${MAX_REGEX_LENGTH} characters` };
+        try {
+          new RegExp(value, 'i');
+        } catch (e) {
+          return { error: `${key} is not a valid regex: ${e.message}` };
+        }
+        const unsafe = unsafeRegexReason(value);
+        if (unsafe) return { error: `${key} could run too long: ${unsafe}` };
+      }
+    }
+    rule.conditions = conditions;
+  }
+
+  if (input.actions !== undefined || !partial) {
+    const actions = input.actions || {};
+    const unknown = Object.keys(actions).filter(key => !ACTION_KEYS.includes(key));
+    if (unknown.length) return { error: `Unknown action: ${unknown.join(', ')}` };
+    if (actions.priority !== undefined && !PRIORITIES.includes(actions.priority)) {
+      return { error: `priority must be one of ${PRIORITIES.join(', ')}` };
+    }
+    if (actions.tags !== undefined && (!Array.isArray(actions.tags) || actions.tags.some(t => typeof t !== 'string'))) {
+      return { error: 'tags must be an array of strings' };
+    }
+    if (actions.snooze_minutes !== undefined && !(Number.isInteger(actions.snooze_minutes) && actions.snooze_minutes > 0)) {
+      return { error: 'snooze_minutes must be a positive integer' };
+    }
+    const hasEffect = actions.skip || actions.priority || actions.tags?.length || actions.snooze_minutes || actions.stop;
+    if (!hasEffect) return { error: 'A rule needs at least one action' };
+    rule.actions = actions;
+  }
+
+  return { rule };
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+function senderDomain(address) {
+  const at = (address || '').lastIndexOf('@');
+  return at === -1 ? '' : address.slice(at + 1).toLowerCase();
+}
+
+function includesIgnoreCase(haystack, needle) {
+  return (haystack || '').toLowerCase().includes(needle.toLowerCase());
+}
+
+/**
+ * Test a user's pattern in a separate V8 context, which can be interrupted:
+ * a pattern that runs longer than REGEX_TIMEOUT_MS never matches, and is
+ * remembered so it doesn't cost that again on the next message. Patterns
+ * stored before unsafeRegexReason existed are checked again here too.
+ */
+function testRegex(pattern, value) {
+  if (slowPatterns.has(pattern) || unsafeRegexReason(pattern)) return false;
+
+  regexContext.pattern = pattern;
+  regexContext.value = (value || '').slice(0, MAX_REGEX_INPUT_LENGTH);
+  try {
+    return regexTest.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      slowPatterns.add(pattern);
+      log.warn('Rule regex timed out, it will not match', { pattern_length: pattern.length });
+    }
+    return false;
+  } finally {
+    regexContext.pattern = regexContext.value = null;
+  }
+}
+
+/**
+ * Does every condition of the rule hold for this message?
+ */
+export function matchesRule(rule, message) {
+  const conditions = rule.conditions || {};
+  const meta = message.meta || {};
+
+  for (const [key, value] of Object.entries(conditions)) {
+    switch (key) {
+      case 'platform':
+        if (message.platform !== value) return false;
+        break;
+      case 'sender':
+        if (!includesIgnoreCase(message.sender, value) && !includesIgnoreCase(message.senderAddress, value)) return false;
+        break;
+      case 'domain': {
+        const domain = senderDomain(message.senderAddress);
+        const wanted = value.toLowerCase().replace(/^@/, '');
+        if (domain !== wanted && !domain.endsWith(`.${wanted}`)) return false;
+        break;
+      }
+      case 'subject_regex':
+        if (!testRegex(value, message.summary)) return false;
+        break;
+      case 'text_regex':
+        if (!testRegex(value, meta.text ?? message.summary)) return false;
+        break;
+      case 'gmail_label':
+        if (message.platform !== 'gmail' || !(meta.labelIds || []).includes(value)) return false;
+        break;
+      case 'slack_channel':
+        if (message.platform !== 'slack' || meta.channelId !== value) return false;
+        break;
+      default:
+        return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Run the user's rules (then the defaults) over one message.
+ * Returns { skip, priority, tags, snoozedUntil, matchedRules }.
+ */
+export function evaluateRules(rules, message, now = Date.now()) {
+  const outcome = { skip: false, priority: null, tags: [], snoozedUntil: null, matchedRules: [] };
+
+  for (const rule of [...rules, ...DEFAULT_RULES]) {
+    if (rule.enabled === false || !matchesRule(rule, message)) continue;
+
+    const actions = rule.actions || {};
+    outcome.matchedRules.push(rule.id);
+
+    if (actions.skip) {
+      outcome.skip = true;
+      break;
+    }
+    if (actions.priority && !outcome.priority) outcome.priority = actions.priority;
+    if (actions.tags) {
+      for (const tag of actions.tags) {
+        if (!outcome.tags.includes(tag)) outcome.tags.push(tag);
+      }
+    }
+    if (actions.snooze_minutes && !outcome.snoozedUntil) {
+      outcome.snoozedUntil = new Date(now + actions.snooze_minutes * 60 * 1000).toISOString();
+    }
+    if (actions.stop) break;
+  }
+
+  return outcome;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Load a user's enabled rules in evaluation order.
+ * On a database error only the defaults apply, so ingestion keeps working.
+ */
+export async function loadRules(user_id) {
+  try {
+    return await storage.rules.list(user_id, { enabledOnly: true });
+  } catch (error) {
+    log.error('Error loading triage rules', error, { user_id });
+    return [];
+  }
+}
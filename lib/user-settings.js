@@ -0,0 +1,92 @@
+/**
+ * Per-user settings stored in the user_settings table
+ */
+
+import { storage } from './storage/index.js';
+import { log } from './logger.js';
+
+// Which Slack messages are captured (see connectors/slack.js classifySlackEvent)
+export const DEFAULT_SLACK_CAPTURE = {
+  dm: true,              // direct messages to the bot
+  mpim: true,            // group DMs the bot is in
+  app_mention: true,     // @-mentions of the bot
+  channel_mention: true, // @-mentions of you in channels the bot is in
+  thread_reply: true,    // replies to your messages in threads
+  edits: true            // update/remove items when the message is edited/deleted
+};
+
+// Which activity at the source resolves an item (see lib/auto-resolve.js)
+export const DEFAULT_AUTO_RESOLVE = {
+  gmail_sent: true,      // you replied in the Gmail thread
+  gmail_archived: true,  // you archived the message in Gmail
+  gmail_read: false,     // you read it in Gmail (off: reading isn't answering)
+  slack_reply: true      // you replied in the Slack DM / thread
+};
+
+// When and where the daily digest is delivered (see lib/digest.js)
+export const DEFAULT_DIGEST = {
+  enabled: false,
+  time: '08:00',         // local time, HH:MM
+  timezone: 'UTC',       // IANA name, e.g. Europe/Berlin
+  email: true,           // HTML email through your connected Gmail account
+  slack: false           // DM from the Slack bot
+};
+
+export const DEFAULT_SETTINGS = {
+  vip_senders: [],
+  score_weights: {},
+  slack_capture: DEFAULT_SLACK_CAPTURE,
+  auto_resolve: DEFAULT_AUTO_RESOLVE,
+  // Remind about sent Gmail messages with no reply after this many hours (null: off)
+  follow_up_sent_hours: null,
+  digest: DEFAULT_DIGEST
+};
+
+/**
+ * Load a user's settings merged over the defaults.
+ * A missing row or a database error yields the defaults so ingestion keeps working.
+ */
+export async function getUserSettings(user_id) {
+  let data = null;
+  try {
+    data = await storage.settings.get(user_id);
+  } catch (error) {
+    log.error('Error loading settings', error, { user_id });
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (data?.[key] !== null && data?.[key] !== undefined) settings[key] = data[key];
+  }
+  // Toggles added later default to on for users who saved their settings earlier
+  settings.slack_capture = { ...DEFAULT_SLACK_CAPTURE, ...settings.slack_capture };
+  settings.auto_resolve = { ...DEFAULT_AUTO_RESOLVE, ...settings.auto_resolve };
+  settings.digest = { ...DEFAULT_DIGEST, ...settings.digest };
+  return settings;
+}
+
+// Option objects a patch updates key by key instead of replacing
+const MERGED_SETTINGS = ['slack_capture', 'auto_resolve', 'digest'];
+
+/**
+ * Upsert the given fields of a user's settings and return the merged result.
+ * Options in MERGED_SETTINGS are merged into the stored ones, so a client
+ * can send just the options it changes.
+ */
+export async function updateUserSettings(user_id, patch) {
+  try {
+    if (MERGED_SETTINGS.some(key => patch[key])) {
+      const stored = await storage.settings.get(user_id);
+      patch = { ...patch };
+      for (const key of MERGED_SETTINGS) {
+        if (patch[key]) patch[key] = { ...stored?.[key], ...patch[key] };
+      }
+    }
+    await storage.settings.upsert(user_id, patch);
+  } catch (error) {
+    log.error('Error saving user settings', error);
+    throw error;
+  }
+
+  return getUserSettings(user_id);
+}
@@ -0,0 +1,57 @@
+-- ============================================
+-- BASE TABLES
+-- ============================================
+-- The tables the server started with. On a Supabase project that predates
+-- versioned migrations they already exist, and every statement here (like
+-- in the later files) is safe to run again.
+
+CREATE TABLE IF NOT EXISTS pending_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID,
+    task_text TEXT NOT NULL,
+    platform_tag TEXT NOT NULL DEFAULT 'manual',
+    sender_name TEXT,
+    message_link TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Message ID at the source, for duplicate detection
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS message_id TEXT;
+
+-- Platforms an item can come from
+ALTER TABLE pending_actions
+DROP CONSTRAINT IF EXISTS pending_actions_platform_tag_check;
+
+ALTER TABLE pending_actions
+ADD CONSTRAINT pending_actions_platform_tag_check
+CHECK (platform_tag IN ('slack', 'gmail', 'imessage', 'linkedin', 'whatsapp', 'manual'));
+
+-- One row per connected Gmail mailbox (refresh_token encrypted, see lib/token-crypto.js)
+CREATE TABLE IF NOT EXISTS user_gmail_tokens (
+    email_address TEXT PRIMARY KEY,
+    user_id UUID NOT NULL,
+    refresh_token TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One row per user and connected Slack workspace (bot_token encrypted)
+CREATE TABLE IF NOT EXISTS user_slack_tokens (
+    user_id UUID NOT NULL,
+    team_id TEXT NOT NULL,
+    team_name TEXT,
+    bot_token TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, team_id)
+);
+
+-- Row Level Security: the server uses the service role key, which bypasses
+-- it; this policy allows all operations for now (single-user use)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pending_actions' AND policyname = 'Allow all operations for automation') THEN
+        CREATE POLICY "Allow all operations for automation" ON pending_actions
+        FOR ALL USING (true) WITH CHECK (true);
+    END IF;
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
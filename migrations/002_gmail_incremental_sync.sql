@@ -0,0 +1,6 @@
+-- ============================================
+-- GMAIL INCREMENTAL SYNC
+-- ============================================
+-- Last-seen Gmail historyId per connected account, used as the cursor for
+-- users.history.list (seeded by /gmail/watch, advanced by every sync)
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS history_id TEXT;
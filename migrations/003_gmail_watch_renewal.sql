@@ -0,0 +1,10 @@
+-- ============================================
+-- GMAIL WATCH RENEWAL
+-- ============================================
+-- users.watch expires after ~7 days; the server renews it before it lapses.
+-- watch_status: 'active' | 'error' (retrying with backoff) | 'needs_reauth' (refresh token revoked)
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS watch_expiration TIMESTAMPTZ;
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS watch_status TEXT;
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS watch_failures INTEGER DEFAULT 0;
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS watch_retry_at TIMESTAMPTZ;
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS watch_error TEXT;
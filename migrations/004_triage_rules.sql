@@ -0,0 +1,23 @@
+-- ============================================
+-- TRIAGE RULES
+-- ============================================
+-- Per-user rules evaluated before a message is saved (see lib/triage-rules.js)
+CREATE TABLE IF NOT EXISTS triage_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    name TEXT NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    position INTEGER NOT NULL DEFAULT 0,
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    actions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_triage_rules_user
+ON triage_rules(user_id, position);
+
+-- Fields set by rule actions
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS priority TEXT;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS tags TEXT[];
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ;
@@ -0,0 +1,20 @@
+-- ============================================
+-- PRIORITY SCORING
+-- ============================================
+-- Score (0-100) and the signals that produced it, so the extension can sort
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS priority_score INTEGER;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS priority_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_priority_score
+ON pending_actions(user_id, priority_score DESC);
+
+-- Bot user ID, used to detect @-mentions of the bot in Slack messages
+ALTER TABLE user_slack_tokens ADD COLUMN IF NOT EXISTS bot_user_id TEXT;
+
+-- Per-user settings (one row per user)
+CREATE TABLE IF NOT EXISTS user_settings (
+    user_id UUID PRIMARY KEY,
+    vip_senders TEXT[] NOT NULL DEFAULT '{}',
+    score_weights JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
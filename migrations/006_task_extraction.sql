@@ -0,0 +1,6 @@
+-- ============================================
+-- TASK EXTRACTION
+-- ============================================
+-- Filled by the extraction stage (lib/extraction); task_text holds the task sentence
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS requested_actions TEXT[];
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
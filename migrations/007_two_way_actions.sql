@@ -0,0 +1,19 @@
+-- ============================================
+-- TWO-WAY ACTIONS
+-- ============================================
+-- Pointer back to the source message (Gmail { id, threadId, account },
+-- Slack { teamId, channelId, messageTs, threadTs }) used by /actions/:id/*
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS source_ref JSONB;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS last_replied_at TIMESTAMPTZ;
+
+ALTER TABLE pending_actions
+DROP CONSTRAINT IF EXISTS pending_actions_status_check;
+
+ALTER TABLE pending_actions
+ADD CONSTRAINT pending_actions_status_check
+CHECK (status IN ('pending', 'snoozed', 'completed', 'archived'));
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_status
+ON pending_actions(user_id, status);
@@ -0,0 +1,14 @@
+-- ============================================
+-- OAUTH STATE (SIGNED, SINGLE-USE)
+-- ============================================
+CREATE TABLE IF NOT EXISTS oauth_states (
+    nonce TEXT PRIMARY KEY,
+    user_id UUID NOT NULL,
+    platform TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires_at
+ON oauth_states(expires_at);
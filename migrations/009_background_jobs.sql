@@ -0,0 +1,91 @@
+-- ============================================
+-- BACKGROUND JOBS
+-- ============================================
+-- Webhooks enqueue here; workers claim with claim_jobs() (lib/jobs)
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded')),
+    concurrency_key TEXT,
+    dedup_key TEXT UNIQUE,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    locked_at TIMESTAMPTZ,
+    locked_by TEXT,
+    last_error TEXT,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due
+ON jobs(status, run_at);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_concurrency_key
+ON jobs(concurrency_key, status);
+
+CREATE TABLE IF NOT EXISTS job_dead_letters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    concurrency_key TEXT,
+    attempts INTEGER NOT NULL,
+    last_error TEXT,
+    enqueued_at TIMESTAMPTZ,
+    failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    replayed_at TIMESTAMPTZ,
+    replay_job_id UUID
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_dead_letters_failed_at
+ON job_dead_letters(failed_at DESC);
+
+-- Claim up to p_limit due jobs (queued and due, or running with an expired
+-- lock) for one worker, keeping at most p_per_key running per concurrency_key
+CREATE OR REPLACE FUNCTION claim_jobs(
+    p_worker TEXT,
+    p_limit INTEGER,
+    p_per_key INTEGER,
+    p_lock_timeout_seconds INTEGER
+) RETURNS SETOF jobs
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    candidate jobs;
+    claimed INTEGER := 0;
+    running INTEGER;
+    lock_cutoff TIMESTAMPTZ := now() - make_interval(secs => p_lock_timeout_seconds);
+BEGIN
+    FOR candidate IN
+        SELECT * FROM jobs
+        WHERE (status = 'queued' AND run_at <= now())
+           OR (status = 'running' AND locked_at < lock_cutoff)
+        ORDER BY run_at
+        LIMIT p_limit * 10
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        EXIT WHEN claimed >= p_limit;
+
+        IF candidate.concurrency_key IS NOT NULL THEN
+            -- Serialize the count for this key across concurrent claimers
+            PERFORM pg_advisory_xact_lock(hashtext(candidate.concurrency_key));
+            SELECT count(*) INTO running FROM jobs
+            WHERE concurrency_key = candidate.concurrency_key
+              AND status = 'running'
+              AND locked_at >= lock_cutoff;
+            CONTINUE WHEN running >= p_per_key;
+        END IF;
+
+        UPDATE jobs
+        SET status = 'running', locked_at = now(), locked_by = p_worker, attempts = attempts + 1
+        WHERE id = candidate.id
+        RETURNING * INTO candidate;
+
+        claimed := claimed + 1;
+        RETURN NEXT candidate;
+    END LOOP;
+END;
+$$;
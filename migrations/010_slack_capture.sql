@@ -0,0 +1,9 @@
+-- ============================================
+-- SLACK MENTIONS, GROUP DMS, THREADS AND EDITS
+-- ============================================
+-- Slack user ID of whoever installed the app, to detect mentions of and
+-- thread replies to them (filled on the next Slack connect)
+ALTER TABLE user_slack_tokens ADD COLUMN IF NOT EXISTS authed_user_id TEXT;
+
+-- Per-user toggles: dm, mpim, app_mention, channel_mention, thread_reply, edits
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS slack_capture JSONB NOT NULL DEFAULT '{}'::jsonb;
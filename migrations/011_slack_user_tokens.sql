@@ -0,0 +1,10 @@
+-- ============================================
+-- SLACK USER TOKENS (SHARED WORKSPACES)
+-- ============================================
+-- The installing person's user token (encrypted like bot_token), so DMs to
+-- them — not just to the bot — are delivered and can be acted on
+ALTER TABLE user_slack_tokens ADD COLUMN IF NOT EXISTS user_token TEXT;
+
+-- Events are routed to every connected user of a workspace
+CREATE INDEX IF NOT EXISTS idx_user_slack_tokens_team_id
+ON user_slack_tokens(team_id);
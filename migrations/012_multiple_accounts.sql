@@ -0,0 +1,15 @@
+-- ============================================
+-- MULTIPLE ACCOUNTS PER USER
+-- ============================================
+-- A user can connect several Gmail mailboxes (one row each, keyed by
+-- email_address) and Slack workspaces (one row per team_id)
+CREATE INDEX IF NOT EXISTS idx_user_gmail_tokens_user_id
+ON user_gmail_tokens(user_id);
+
+-- Which mailbox / workspace an item came from (Gmail address, Slack team ID)
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS account TEXT;
+
+-- Backfill from source_ref for items saved before this column existed
+UPDATE pending_actions
+SET account = COALESCE(source_ref->>'account', source_ref->>'teamId')
+WHERE account IS NULL AND source_ref IS NOT NULL;
@@ -0,0 +1,9 @@
+-- ============================================
+-- CONNECTION MANAGEMENT
+-- ============================================
+-- Shown by GET /connections: when an account last synced successfully and
+-- why its last sync failed (cleared by the next success or a reconnect)
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+ALTER TABLE user_gmail_tokens ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE user_slack_tokens ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+ALTER TABLE user_slack_tokens ADD COLUMN IF NOT EXISTS last_error TEXT;
@@ -0,0 +1,26 @@
+-- ============================================
+-- THREAD GROUPING
+-- ============================================
+-- One item per conversation: replies in a Gmail thread / Slack thread
+-- update the thread's item (count, latest snippet, timestamp) instead of
+-- adding items. thread_message_ids holds every message folded into it.
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS thread_key TEXT;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS thread_message_ids TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS message_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS latest_snippet TEXT;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMPTZ;
+
+-- message_id is now stored on insert. The old index keyed it on `platform`,
+-- which the server never sets; duplicates are per user and platform_tag
+-- (people sharing a Slack workspace each get their own item)
+DROP INDEX IF EXISTS idx_pending_actions_message_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_actions_user_message_unique
+ON pending_actions(user_id, platform_tag, message_id)
+WHERE message_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_thread
+ON pending_actions(user_id, platform_tag, thread_key)
+WHERE thread_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_thread_message_ids
+ON pending_actions USING GIN (thread_message_ids);
@@ -0,0 +1,9 @@
+-- ============================================
+-- AUTO-RESOLVE
+-- ============================================
+-- Why an item was resolved without going through /actions: 'gmail_sent',
+-- 'gmail_archived', 'gmail_read' or 'slack_reply' (see lib/auto-resolve.js)
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS resolved_reason TEXT;
+
+-- Per-user toggles, keyed like resolved_reason
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS auto_resolve JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,43 @@
+-- ============================================
+-- REMINDERS (SNOOZES + FOLLOW-UPS)
+-- ============================================
+-- When the scheduler last brought an item back, and why:
+-- 'snooze_ended' | 'no_reply'
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS reminded_at TIMESTAMPTZ;
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS reminder_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_snoozed_until
+ON pending_actions(snoozed_until)
+WHERE status = 'snoozed';
+
+-- Reminders that fire unless a new message arrives in the conversation:
+-- on an item (item_id), or on a sent message (message_id)
+CREATE TABLE IF NOT EXISTS follow_ups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    platform TEXT NOT NULL,
+    item_id UUID,
+    thread_key TEXT,
+    message_id TEXT UNIQUE,
+    account TEXT,
+    subject TEXT,
+    recipient TEXT,
+    message_link TEXT,
+    source_ref JSONB,
+    since TIMESTAMPTZ NOT NULL,
+    due_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'replied', 'done', 'cancelled')),
+    fired_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_follow_ups_due
+ON follow_ups(due_at)
+WHERE status = 'waiting';
+
+CREATE INDEX IF NOT EXISTS idx_follow_ups_thread
+ON follow_ups(user_id, platform, thread_key)
+WHERE status = 'waiting';
+
+-- Hours after which a sent Gmail message with no reply becomes a follow-up (NULL: off)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS follow_up_sent_hours INTEGER;
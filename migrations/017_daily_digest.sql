@@ -0,0 +1,20 @@
+-- ============================================
+-- DAILY DIGEST
+-- ============================================
+-- { enabled, time, timezone, email, slack } (see lib/user-settings.js DEFAULT_DIGEST)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS digest JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- One row per user and local date, claimed by the scheduler before sending,
+-- so a digest goes out once even with several server instances. Failed
+-- deliveries are retried on later scans up to 3 attempts.
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    digest_date DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    results JSONB,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (user_id, digest_date)
+);
@@ -0,0 +1,19 @@
+-- ============================================
+-- USER EVENTS (GET /events)
+-- ============================================
+-- Short-lived log of what changed for each user (lib/events.js). Every
+-- server instance tails it to push events to its own SSE clients, and the
+-- id doubles as the SSE event id a client resumes from (Last-Event-ID).
+CREATE TABLE IF NOT EXISTS user_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,
+    type TEXT NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_events_user
+ON user_events(user_id, id);
+
+CREATE INDEX IF NOT EXISTS idx_user_events_created_at
+ON user_events(created_at);
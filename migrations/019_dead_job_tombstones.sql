@@ -0,0 +1,8 @@
+-- ============================================
+-- DEAD JOB TOMBSTONES
+-- ============================================
+-- A dead-lettered job keeps its jobs row as status 'dead' (until the purge)
+-- so its dedup_key still catches redeliveries of the same webhook
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check
+CHECK (status IN ('queued', 'running', 'succeeded', 'dead'));
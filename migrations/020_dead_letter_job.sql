@@ -0,0 +1,26 @@
+-- ============================================
+-- ATOMIC DEAD-LETTERING
+-- ============================================
+-- Write the dead letter and mark the job 'dead' in one transaction, so a
+-- failure between the two can't leave a running job that is reclaimed and
+-- dead-lettered again. A job that is already dead is left alone.
+CREATE OR REPLACE FUNCTION dead_letter_job(
+    p_job_id UUID,
+    p_error TEXT
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    job jobs;
+BEGIN
+    UPDATE jobs
+    SET status = 'dead', finished_at = now(), locked_at = NULL, locked_by = NULL, last_error = p_error
+    WHERE id = p_job_id AND status <> 'dead'
+    RETURNING * INTO job;
+
+    IF FOUND THEN
+        INSERT INTO job_dead_letters (job_id, type, payload, concurrency_key, attempts, last_error, enqueued_at)
+        VALUES (job.id, job.type, job.payload, job.concurrency_key, job.attempts, p_error, job.created_at);
+    END IF;
+END;
+$$;
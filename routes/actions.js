@@ -0,0 +1,180 @@
+/**
+ * Item actions — update a pending_actions row from the extension and
+ * mirror the action on the source message through its connector
+ *
+ * complete  Gmail: label + mark read   Slack: ✅ reaction
+ * archive   Gmail: remove from INBOX   Slack: (item only)
+ * snooze    (item only, both platforms)
+ * follow-up (item only) remind me if nobody replies by then
+ * reply     Gmail: threaded reply      Slack: threaded reply
+ *
+ * complete/archive still update the item when the source action fails (the
+ * error is reported under `source`); a failed reply fails the request.
+ * Pass `sync_source: false` to only update the item.
+ */
+
+import { getItem, updateItem } from '../lib/pending-actions.js';
+import { getConnector } from '../connectors/index.js';
+import { requireUser } from '../lib/auth.js';
+import { createItemFollowUp } from '../lib/reminders.js';
+import { log } from '../lib/logger.js';
+
+const MAX_REPLY_LENGTH = 10000;
+
+function needsReauth(error) {
+  return error?.code === 403 || /missing_scope|insufficient/i.test(error?.message || '');
+}
+
+/**
+ * Run the connector's source action, never throwing
+ */
+async function mirrorOnSource(action, item, params) {
+  const connector = getConnector(item.platform_tag);
+  if (!connector?.performAction) return { performed: false };
+
+  try {
+    return await connector.performAction(action, item, params);
+  } catch (error) {
+    log.error(`${connector.name} ${action} failed`, error, { item_id: item.id });
+    return {
+      performed: false,
+      error: error.message,
+      needs_reauth: needsReauth(error)
+    };
+  }
+}
+
+/**
+ * Resolve `until` (ISO) or `minutes` from a snooze / follow-up request into an ISO date
+ */
+function snoozeUntil({ until, minutes }) {
+  if (until) {
+    const date = new Date(until);
+    return isNaN(date) || date <= new Date() ? null : date.toISOString();
+  }
+  if (Number.isInteger(minutes) && minutes > 0) {
+    return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  }
+  return null;
+}
+
+export function registerActionRoutes(app) {
+  /**
+   * Shared wrapper: loads the authenticated user's item, handles errors
+   */
+  const itemAction = (handler) => async (req, res) => {
+    try {
+      const item = await getItem(req.params.id, req.user_id);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      await handler(req, res, item);
+    } catch (error) {
+      log.error('Item action error', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  /**
+   * POST /actions/:id/complete
+   * { sync_source? }
+   */
+  app.post('/actions/:id/complete', requireUser, itemAction(async (req, res, item) => {
+    const source = req.body.sync_source === false
+      ? { performed: false }
+      : await mirrorOnSource('complete', item);
+
+    const updated = await updateItem(item.id, item.user_id, {
+      status: 'completed',
+      resolved_at: new Date().toISOString(),
+      snoozed_until: null
+    });
+
+    res.json({ success: true, item: updated, source });
+  }));
+
+  /**
+   * POST /actions/:id/archive
+   * { sync_source? }
+   */
+  app.post('/actions/:id/archive', requireUser, itemAction(async (req, res, item) => {
+    const source = req.body.sync_source === false
+      ? { performed: false }
+      : await mirrorOnSource('archive', item);
+
+    const updated = await updateItem(item.id, item.user_id, {
+      status: 'archived',
+      resolved_at: new Date().toISOString(),
+      snoozed_until: null
+    });
+
+    res.json({ success: true, item: updated, source });
+  }));
+
+  /**
+   * POST /actions/:id/snooze
+   * { until: ISO date } or { minutes }
+   */
+  app.post('/actions/:id/snooze', requireUser, itemAction(async (req, res, item) => {
+    const until = snoozeUntil(req.body);
+    if (!until) {
+      return res.status(400).json({ error: 'Provide a future `until` date or a positive integer `minutes`' });
+    }
+
+    const source = await mirrorOnSource('snooze', item, { until });
+    const updated = await updateItem(item.id, item.user_id, {
+      status: 'snoozed',
+      snoozed_until: until
+    });
+
+    res.json({ success: true, item: updated, source });
+  }));
+
+  /**
+   * POST /actions/:id/follow-up
+   * { until: ISO date } or { minutes } — the item comes back as pending then,
+   * unless a new message arrives in its conversation first
+   */
+  app.post('/actions/:id/follow-up', requireUser, itemAction(async (req, res, item) => {
+    const dueAt = snoozeUntil(req.body);
+    if (!dueAt) {
+      return res.status(400).json({ error: 'Provide a future `until` date or a positive integer `minutes`' });
+    }
+
+    const followUp = await createItemFollowUp(item, dueAt);
+    res.json({ success: true, follow_up: followUp });
+  }));
+
+  /**
+   * POST /actions/:id/reply
+   * { text, complete? } — sends a threaded reply at the source,
+   * and completes the item too when `complete` is true
+   */
+  app.post('/actions/:id/reply', requireUser, itemAction(async (req, res, item) => {
+    const { text, complete = false } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Missing reply text' });
+    }
+    if (text.length > MAX_REPLY_LENGTH) {
+      return res.status(400).json({ error: `Reply is longer than ${MAX_REPLY_LENGTH} characters` });
+    }
+
+    const source = await mirrorOnSource('reply', item, { text });
+    if (!source.performed) {
+      const status = source.needs_reauth ? 409 : 502;
+      return res.status(status).json({
+        error: source.error || `Replying is not supported for ${item.platform_tag}`,
+        needs_reauth: !!source.needs_reauth
+      });
+    }
+
+    const patch = { last_replied_at: new Date().toISOString() };
+    if (complete) {
+      Object.assign(patch, { status: 'completed', resolved_at: patch.last_replied_at, snoozed_until: null });
+    }
+    const updated = await updateItem(item.id, item.user_id, patch);
+
+    res.json({ success: true, item: updated, source });
+  }));
+}
@@ -0,0 +1,60 @@
+/**
+ * Operator endpoints — inspect the job queue and replay dead-lettered jobs.
+ * All require `Authorization: Bearer <ADMIN_API_KEY>`.
+ */
+
+import { requireAdmin } from '../lib/auth.js';
+import { jobStats, listDeadJobs, replayDeadJob } from '../lib/jobs/index.js';
+import { log } from '../lib/logger.js';
+
+const DEAD_JOBS_MAX_LIMIT = 200;
+
+export function registerAdminRoutes(app) {
+  /**
+   * GET /admin/jobs
+   * Job counts by status, plus unreplayed dead letters
+   */
+  app.get('/admin/jobs', requireAdmin, async (req, res) => {
+    try {
+      res.json({ counts: await jobStats() });
+    } catch (error) {
+      log.error('Job stats error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /admin/jobs/dead?type=webhook&limit=50&include_replayed=true
+   * Most recent dead-lettered jobs with their last error
+   */
+  app.get('/admin/jobs/dead', requireAdmin, async (req, res) => {
+    try {
+      const jobs = await listDeadJobs({
+        type: req.query.type,
+        limit: Math.min(Number(req.query.limit) || 50, DEAD_JOBS_MAX_LIMIT),
+        includeReplayed: req.query.include_replayed === 'true'
+      });
+      res.json({ jobs });
+    } catch (error) {
+      log.error('Dead job listing error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /admin/jobs/dead/:id/replay
+   * Queue a dead-lettered job again with a fresh attempt count
+   */
+  app.post('/admin/jobs/dead/:id/replay', requireAdmin, async (req, res) => {
+    try {
+      const job = await replayDeadJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Dead job not found or already replayed' });
+      }
+      res.json({ success: true, job });
+    } catch (error) {
+      log.error('Dead job replay error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * Connection management for the extension — list the signed-in user's
+ * Gmail/Slack connections and disconnect them
+ *
+ * A connection ID is `<platform>:<account>`, e.g. `gmail:me@example.com` or
+ * `slack:T0123ABCD`.
+ */
+
+import { connectors, getConnector } from '../connectors/index.js';
+import { deleteItemsByAccount } from '../lib/pending-actions.js';
+import { requireUser } from '../lib/auth.js';
+import { log } from '../lib/logger.js';
+
+function parseConnectionId(id) {
+  const separator = id.indexOf(':');
+  if (separator < 1) return null;
+  return { platform: id.slice(0, separator), account: id.slice(separator + 1) };
+}
+
+export function registerConnectionRoutes(app) {
+  /**
+   * GET /connections  (authenticated)
+   * Every connection with its status, last sync time, watch expiry and last error
+   */
+  app.get('/connections', requireUser, async (req, res) => {
+    try {
+      const connections = [];
+      for (const connector of connectors) {
+        if (!connector.listConnections) continue;
+        for (const connection of await connector.listConnections(req.user_id)) {
+          connections.push({
+            id: `${connector.platform}:${connection.account}`,
+            platform: connector.platform,
+            ...connection
+          });
+        }
+      }
+      res.json({ connections });
+    } catch (error) {
+      log.error('Error listing connections', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /connections/:id  (authenticated)
+   * Revoke the connection's token at the source, stop its push notifications
+   * and delete the stored credentials. `?delete_items=true` also deletes the
+   * items captured from it.
+   */
+  app.delete('/connections/:id', requireUser, async (req, res) => {
+    const parsed = parseConnectionId(req.params.id);
+    const connector = parsed && getConnector(parsed.platform);
+    if (!connector?.disconnect) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    try {
+      if (!(await connector.disconnect(req.user_id, parsed.account))) {
+        return res.status(404).json({ error: 'Connection not found' });
+      }
+
+      const itemsDeleted = req.query.delete_items === 'true'
+        ? await deleteItemsByAccount(req.user_id, connector.platform, parsed.account)
+        : 0;
+
+      res.json({ success: true, id: req.params.id, items_deleted: itemsDeleted });
+    } catch (error) {
+      log.error('Error disconnecting connection', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
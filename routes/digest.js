@@ -0,0 +1,75 @@
+/**
+ * Daily digest preview and on-demand delivery (see lib/digest.js)
+ */
+
+import { compileDigest, renderDigest, deliverDigest, digestChannels, localDateTime } from '../lib/digest.js';
+import { getUserSettings } from '../lib/user-settings.js';
+import { requireUser } from '../lib/auth.js';
+import { log } from '../lib/logger.js';
+
+const DIGEST_FORMATS = ['html', 'text', 'slack', 'json'];
+
+/**
+ * The requested date (YYYY-MM-DD), or today in the user's timezone
+ */
+function digestDate(value, timezone) {
+  if (value === undefined) return { date: localDateTime(new Date(), timezone).date };
+  // Round-trip so impossible days (2026-02-30) are rejected, not rolled over
+  const parsed = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  if (Number.isNaN(parsed) || new Date(parsed).toISOString().slice(0, 10) !== value) {
+    return { error: 'date must be YYYY-MM-DD' };
+  }
+  return { date: value };
+}
+
+export function registerDigestRoutes(app) {
+  /**
+   * GET /digest/preview?date=YYYY-MM-DD&format=html|text|slack|json
+   * Render the digest for a date as it would be delivered, from the current
+   * open items (default: today in the user's timezone, as HTML)
+   */
+  app.get('/digest/preview', requireUser, async (req, res) => {
+    try {
+      const format = req.query.format || 'html';
+      if (!DIGEST_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${DIGEST_FORMATS.join(', ')}` });
+      }
+
+      const { digest: settings } = await getUserSettings(req.user_id);
+      const { date, error } = digestDate(req.query.date, settings.timezone);
+      if (error) return res.status(400).json({ error });
+
+      const digest = await compileDigest(req.user_id, { date, timezone: settings.timezone });
+      if (format === 'json') return res.json({ digest });
+
+      const rendered = renderDigest(digest);
+      if (format === 'html') return res.type('html').send(rendered.html);
+      res.type('text').send(format === 'slack' ? rendered.mrkdwn : rendered.text);
+    } catch (error) {
+      log.error('Error previewing digest', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /digest/send
+   * Deliver today's digest now over the channels in the digest settings
+   * (or { channels: ['email', 'slack'] }), whether or not it is scheduled
+   */
+  app.post('/digest/send', requireUser, async (req, res) => {
+    try {
+      const { digest: settings } = await getUserSettings(req.user_id);
+      const channels = req.body?.channels || digestChannels(settings);
+      if (!Array.isArray(channels) || !channels.length || channels.some(c => !['email', 'slack'].includes(c))) {
+        return res.status(400).json({ error: "channels must be a non-empty array of 'email' and/or 'slack'" });
+      }
+
+      const { date } = localDateTime(new Date(), settings.timezone);
+      const result = await deliverDigest(req.user_id, { date, timezone: settings.timezone, channels });
+      res.json({ date, ...result });
+    } catch (error) {
+      log.error('Error sending digest', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,69 @@
+/**
+ * Server-Sent Events stream for the extension — items and connections
+ * changing as they happen, instead of polling (see lib/events.js)
+ */
+
+import { requireUser } from '../lib/auth.js';
+import { subscribe, eventsSince } from '../lib/events.js';
+import { log } from '../lib/logger.js';
+
+// Comment line sent this often so proxies don't close an idle stream
+const EVENTS_HEARTBEAT_MS = 25 * 1000;
+// How long the browser waits before reconnecting (sent as `retry:`)
+const EVENTS_RETRY_MS = 5000;
+
+function writeEvent(res, { id, type, data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export function registerEventRoutes(app) {
+  /**
+   * GET /events  (authenticated)
+   * text/event-stream of the user's events. Reconnect with `Last-Event-ID`
+   * (or `?last_event_id=`) to get what was missed; an `event: reset` means
+   * that is no longer available and the client should reload its items.
+   */
+  app.get('/events', requireUser, async (req, res) => {
+    const user_id = req.user_id;
+    const lastEventId = Number(req.headers['last-event-id'] ?? req.query.last_event_id);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${EVENTS_RETRY_MS}\n: connected\n\n`);
+
+    // Live events wait here until the missed ones have been replayed
+    let pending = [];
+    const unsubscribe = subscribe(user_id, (event) => {
+      if (pending) pending.push(event);
+      else writeEvent(res, event);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS_HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    const replayed = new Set();
+    try {
+      if (Number.isFinite(lastEventId)) {
+        const missed = await eventsSince(user_id, lastEventId);
+        if (missed.reset) res.write('event: reset\ndata: {}\n\n');
+        for (const event of missed.events) {
+          replayed.add(event.id);
+          writeEvent(res, event);
+        }
+      }
+    } catch (error) {
+      log.error('Error replaying events', error);
+      res.write('event: reset\ndata: {}\n\n');
+    }
+
+    pending.filter(event => !replayed.has(event.id)).forEach(event => writeEvent(res, event));
+    pending = null;
+  });
+}
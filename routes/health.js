@@ -0,0 +1,87 @@
+/**
+ * Health and metrics endpoints, for load balancers and Prometheus.
+ *
+ *   GET /health        liveness — the process is up
+ *   GET /health/ready  readiness — the database answers, and how each connector is configured
+ *   GET /metrics       Prometheus text format (see lib/metrics.js)
+ */
+
+import { requireMetricsToken } from '../lib/auth.js';
+import { getStorage } from '../lib/storage/index.js';
+import { jobStats } from '../lib/jobs/index.js';
+import { connectorHealth } from '../connectors/index.js';
+import { renderMetrics } from '../lib/metrics.js';
+import { log } from '../lib/logger.js';
+
+const READY_CHECK_TIMEOUT_MS = 3000;
+
+/**
+ * Run one readiness check: { status: 'ok', ms } or { status: 'error', error }
+ */
+async function check(name, probe) {
+  const start = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${READY_CHECK_TIMEOUT_MS}ms`)), READY_CHECK_TIMEOUT_MS);
+    });
+    const detail = await Promise.race([probe(), timeout]);
+    return { status: 'ok', ms: Date.now() - start, ...detail };
+  } catch (error) {
+    log.warn(`Readiness check failed (${name})`, error);
+    return { status: 'error', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function registerHealthRoutes(app) {
+  /**
+   * GET /health
+   * Liveness — answers as long as the process does, without touching the database
+   */
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      storage: getStorage().name,
+      supabase: !!process.env.SUPABASE_SERVICE_ROLE_KEY,
+      gmail_oauth: !!process.env.GMAIL_CLIENT_ID,
+      slack_oauth: !!process.env.SLACK_CLIENT_ID
+    });
+  });
+
+  /**
+   * GET /health/ready
+   * Readiness — 503 when the database or the job store doesn't answer.
+   * Connectors are reported ('ok' | 'degraded' | 'disabled') but never make
+   * the instance unready: a missing Pub/Sub setting is not fixed by a restart.
+   */
+  app.get('/health/ready', async (req, res) => {
+    const checks = {
+      // getStorage() too: a bad storage configuration fails the check
+      database: await check('database', async () => {
+        const storage = getStorage();
+        await storage.ping();
+        return { backend: storage.name };
+      }),
+      jobs: await check('jobs', async () => ({ counts: await jobStats() }))
+    };
+    const ready = Object.values(checks).every(result => result.status === 'ok');
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ok' : 'unavailable',
+      timestamp: new Date().toISOString(),
+      checks,
+      connectors: connectorHealth()
+    });
+  });
+
+  /**
+   * GET /metrics
+   * Counters and histograms in the Prometheus text exposition format
+   */
+  app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+}
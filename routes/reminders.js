@@ -0,0 +1,42 @@
+/**
+ * Upcoming reminders for the extension — snoozed items coming back and
+ * follow-ups waiting for a reply (see lib/reminders.js)
+ */
+
+import { listUpcomingReminders, cancelFollowUp } from '../lib/reminders.js';
+import { requireUser } from '../lib/auth.js';
+import { log } from '../lib/logger.js';
+
+const REMINDERS_MAX_LIMIT = 200;
+
+export function registerReminderRoutes(app) {
+  /**
+   * GET /reminders?limit=50
+   * Snoozes and follow-ups, soonest first
+   */
+  app.get('/reminders', requireUser, async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 50, REMINDERS_MAX_LIMIT);
+      res.json({ reminders: await listUpcomingReminders(req.user_id, { limit }) });
+    } catch (error) {
+      log.error('Error listing reminders', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /reminders/:id
+   * Cancel a waiting follow-up (snoozes are changed through /actions/:id/*)
+   */
+  app.delete('/reminders/:id', requireUser, async (req, res) => {
+    try {
+      if (!(await cancelFollowUp(req.user_id, req.params.id))) {
+        return res.status(404).json({ error: 'Follow-up not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      log.error('Error cancelling follow-up', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
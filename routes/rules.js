@@ -0,0 +1,156 @@
+/**
+ * Triage rule endpoints — CRUD for the extension plus a dry-run preview
+ */
+
+import { storage } from '../lib/storage/index.js';
+import { validateRule, matchesRule, evaluateRules, loadRules } from '../lib/triage-rules.js';
+import { connectors } from '../connectors/index.js';
+import { requireUser } from '../lib/auth.js';
+import { log } from '../lib/logger.js';
+
+const DRY_RUN_DEFAULT_LIMIT = 25;
+const DRY_RUN_MAX_LIMIT = 100;
+
+/**
+ * The dry-run `limit` as a whole number from 1 to DRY_RUN_MAX_LIMIT
+ * (DRY_RUN_DEFAULT_LIMIT when it isn't a number)
+ */
+function dryRunLimit(value) {
+  const limit = Math.floor(Number(value ?? DRY_RUN_DEFAULT_LIMIT));
+  if (Number.isNaN(limit)) return DRY_RUN_DEFAULT_LIMIT;
+  return Math.min(Math.max(limit, 1), DRY_RUN_MAX_LIMIT);
+}
+
+export function registerRuleRoutes(app) {
+  /**
+   * GET /rules
+   * List a user's rules in evaluation order
+   */
+  app.get('/rules', requireUser, async (req, res) => {
+    try {
+      res.json({ rules: await storage.rules.list(req.user_id) });
+    } catch (error) {
+      log.error('Error listing triage rules', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /rules
+   * Create a rule: { name, conditions, actions, enabled?, position? }
+   */
+  app.post('/rules', requireUser, async (req, res) => {
+    const user_id = req.user_id;
+
+    const { rule, error: validationError } = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      res.status(201).json({ rule: await storage.rules.create({ ...rule, user_id }) });
+    } catch (error) {
+      log.error('Error creating triage rule', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /rules/:id
+   * Update any of name, conditions, actions, enabled, position
+   */
+  app.put('/rules/:id', requireUser, async (req, res) => {
+    const user_id = req.user_id;
+
+    const { rule, error: validationError } = validateRule(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const updated = await storage.rules.update(req.params.id, user_id, { ...rule, updated_at: new Date().toISOString() });
+      if (!updated) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      res.json({ rule: updated });
+    } catch (error) {
+      log.error('Error updating triage rule', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /rules/:id
+   */
+  app.delete('/rules/:id', requireUser, async (req, res) => {
+    try {
+      if (!(await storage.rules.delete(req.params.id, req.user_id))) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      log.error('Error deleting triage rule', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /rules/dry-run
+   * Show which of the user's recent messages a rule would match, without
+   * saving anything. Pass either a saved `rule_id` or an unsaved `rule`.
+   * `outcome` is what the full rule set (with this rule first) would do.
+   */
+  app.post('/rules/dry-run', requireUser, async (req, res) => {
+    try {
+      const { rule_id, rule: ruleInput } = req.body;
+      const user_id = req.user_id;
+      const limit = dryRunLimit(req.body.limit);
+
+      let rule;
+      if (rule_id) {
+        rule = await storage.rules.get(rule_id, user_id);
+        if (!rule) return res.status(404).json({ error: 'Rule not found' });
+      } else {
+        const { rule: validated, error: validationError } = validateRule(ruleInput);
+        if (validationError) return res.status(400).json({ error: validationError });
+        rule = { id: 'dry-run', ...validated };
+      }
+
+      const otherRules = (await loadRules(user_id)).filter(r => r.id !== rule.id);
+      const messages = [];
+
+      for (const connector of connectors) {
+        if (!connector.fetchRecent) continue;
+        try {
+          messages.push(...await connector.fetchRecent(user_id, { limit }));
+        } catch (error) {
+          log.warn(`Dry-run could not fetch recent ${connector.name} messages`, error);
+        }
+      }
+
+      const matched = messages
+        .filter(message => matchesRule(rule, message))
+        .map(message => {
+          const outcome = evaluateRules([rule, ...otherRules], message);
+          return {
+            platform: message.platform,
+            sender: message.sender,
+            senderAddress: message.senderAddress,
+            summary: message.summary,
+            url: message.url,
+            outcome: {
+              skip: outcome.skip,
+              priority: outcome.priority,
+              tags: outcome.tags,
+              snoozedUntil: outcome.snoozedUntil
+            }
+          };
+        });
+
+      res.json({ checked: messages.length, matched });
+    } catch (error) {
+      log.error('Rule dry-run error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * Per-user settings endpoints for the extension
+ */
+
+import { getUserSettings, updateUserSettings, DEFAULT_SLACK_CAPTURE, DEFAULT_AUTO_RESOLVE, DEFAULT_DIGEST } from '../lib/user-settings.js';
+import { DEFAULT_WEIGHTS } from '../lib/scoring.js';
+import { requireUser } from '../lib/auth.js';
+import { log } from '../lib/logger.js';
+
+const MAX_WEIGHT = 100;
+const MAX_FOLLOW_UP_HOURS = 30 * 24;
+
+/**
+ * Validate an object of on/off options against its defaults' keys.
+ * Returns an error message or null.
+ */
+function validateToggles(name, toggles, defaults) {
+  if (typeof toggles !== 'object' || Array.isArray(toggles)) {
+    return `${name} must be an object`;
+  }
+  for (const [key, value] of Object.entries(toggles)) {
+    if (!(key in defaults)) return `Unknown ${name} option: ${key}`;
+    if (typeof value !== 'boolean') return `${name}.${key} must be true or false`;
+  }
+  return null;
+}
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the digest schedule. Returns an error message or null.
+ */
+function validateDigest(digest) {
+  if (typeof digest !== 'object' || Array.isArray(digest)) return 'digest must be an object';
+  for (const [key, value] of Object.entries(digest)) {
+    if (!(key in DEFAULT_DIGEST)) return `Unknown digest option: ${key}`;
+    if (key === 'time') {
+      if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) return 'digest.time must be HH:MM (24-hour)';
+    } else if (key === 'timezone') {
+      if (typeof value !== 'string' || !isTimeZone(value)) return 'digest.timezone must be an IANA timezone, e.g. Europe/Berlin';
+    } else if (typeof value !== 'boolean') {
+      return `digest.${key} must be true or false`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a settings patch. Returns { patch } or { error }.
+ */
+function validateSettings(input) {
+  const patch = {};
+
+  if (input.vip_senders !== undefined) {
+    if (!Array.isArray(input.vip_senders) || input.vip_senders.some(v => typeof v !== 'string')) {
+      return { error: 'vip_senders must be an array of strings' };
+    }
+    patch.vip_senders = input.vip_senders.map(v => v.trim()).filter(Boolean);
+  }
+
+  if (input.score_weights !== undefined) {
+    const weights = input.score_weights || {};
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+      return { error: 'score_weights must be an object' };
+    }
+    for (const [key, value] of Object.entries(weights)) {
+      if (!(key in DEFAULT_WEIGHTS)) return { error: `Unknown score weight: ${key}` };
+      if (typeof value !== 'number' || Math.abs(value) > MAX_WEIGHT) {
+        return { error: `${key} must be a number between -${MAX_WEIGHT} and ${MAX_WEIGHT}` };
+      }
+    }
+    patch.score_weights = weights;
+  }
+
+  for (const [name, defaults] of [['slack_capture', DEFAULT_SLACK_CAPTURE], ['auto_resolve', DEFAULT_AUTO_RESOLVE]]) {
+    if (input[name] === undefined) continue;
+    const toggles = input[name] || {};
+    const error = validateToggles(name, toggles, defaults);
+    if (error) return { error };
+    patch[name] = toggles;
+  }
+
+  if (input.follow_up_sent_hours !== undefined) {
+    const hours = input.follow_up_sent_hours;
+    if (hours !== null && (!Number.isInteger(hours) || hours < 1 || hours > MAX_FOLLOW_UP_HOURS)) {
+      return { error: `follow_up_sent_hours must be null or a whole number of hours from 1 to ${MAX_FOLLOW_UP_HOURS}` };
+    }
+    patch.follow_up_sent_hours = hours;
+  }
+
+  if (input.digest !== undefined) {
+    const digest = input.digest || {};
+    const error = validateDigest(digest);
+    if (error) return { error };
+    patch.digest = digest;
+  }
+
+  return { patch };
+}
+
+export function registerSettingsRoutes(app) {
+  /**
+   * GET /settings
+   * Current settings, plus the default score weights for reference
+   */
+  app.get('/settings', requireUser, async (req, res) => {
+    const user_id = req.user_id;
+
+    const settings = await getUserSettings(user_id);
+    res.json({ settings, default_score_weights: DEFAULT_WEIGHTS });
+  });
+
+  /**
+   * PUT /settings
+   * Update any of the settings fields:
+   * { vip_senders?, score_weights?, slack_capture?, auto_resolve?, follow_up_sent_hours?, digest? }
+   */
+  app.put('/settings', requireUser, async (req, res) => {
+    try {
+      const user_id = req.user_id;
+
+      const { patch, error: validationError } = validateSettings(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const settings = await updateUserSettings(user_id, patch);
+      res.json({ settings });
+    } catch (error) {
+      log.error('Settings update error', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
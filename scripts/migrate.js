@@ -0,0 +1,38 @@
+/**
+ * Apply the schema migrations in migrations/ to DATABASE_URL
+ *
+ *   npm run migrate             # apply pending migrations
+ *   npm run migrate -- --status # list migrations and whether they ran
+ *
+ * DATABASE_URL can be a local Postgres database or a Supabase project's
+ * connection string (Project Settings → Database), so both backends get
+ * the same schema.
+ */
+
+import '../lib/config.js';
+import { getPostgresPool } from '../lib/postgres.js';
+import { migrationStatus, runMigrations } from '../lib/storage/migrations.js';
+
+async function main() {
+  const pool = getPostgresPool();
+
+  try {
+    if (process.argv.includes('--status')) {
+      for (const migration of await migrationStatus(pool)) {
+        console.log(`  ${migration.applied ? '✅' : '⏳'} ${migration.file}`);
+      }
+      return;
+    }
+
+    console.log('🗄️  Applying migrations...');
+    const applied = await runMigrations(pool);
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
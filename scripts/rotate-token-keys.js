@@ -0,0 +1,91 @@
+/**
+ * Re-encrypt every stored OAuth token with the current key
+ *
+ *   npm run rotate-token-keys              # re-encrypt
+ *   npm run rotate-token-keys -- --dry-run # only report what would change
+ *
+ * Encrypts legacy plaintext rows and re-wraps rows encrypted with an older
+ * key, so run it once after enabling TOKEN_ENCRYPTION_KEYS and again after
+ * adding a new key in front. Once it reports no remaining rows for an old
+ * key, that key can be removed from TOKEN_ENCRYPTION_KEYS.
+ */
+
+import '../lib/config.js';
+import { getStorage } from '../lib/storage/index.js';
+import { currentKeyId, decryptToken, encryptToken, keyIdOf } from '../lib/token-crypto.js';
+
+const PAGE_SIZE = 500;
+
+const TOKEN_COLUMNS = [
+  { repository: 'gmailConnections', table: 'user_gmail_tokens', column: 'refresh_token' },
+  { repository: 'slackConnections', table: 'user_slack_tokens', column: 'bot_token' },
+  { repository: 'slackConnections', table: 'user_slack_tokens', column: 'user_token' }
+];
+
+async function rotateTable({ repository, table, column }, { dryRun }) {
+  const connections = getStorage()[repository];
+  const keys = connections.keys;
+  const target = currentKeyId();
+  const stats = { checked: 0, rotated: 0, failed: 0 };
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let rows;
+    try {
+      rows = await connections.listPage({ offset, limit: PAGE_SIZE });
+    } catch (error) {
+      throw new Error(`Could not read ${table}: ${error.message}`);
+    }
+
+    for (const row of rows) {
+      const stored = row[column];
+      stats.checked++;
+      if (!stored || keyIdOf(stored) === target) continue;
+
+      const label = keys.map(key => row[key]).join('/');
+      if (dryRun) {
+        console.log(`  would re-encrypt ${table} ${label} (${keyIdOf(stored) || 'plaintext'} → ${target})`);
+        stats.rotated++;
+        continue;
+      }
+
+      try {
+        // Skips rows that were reconnected while we were running
+        await connections.replaceToken(row, column, stored, encryptToken(decryptToken(stored)));
+        stats.rotated++;
+      } catch (rowError) {
+        console.error(`  ❌ ${table} ${label}: ${rowError.message}`);
+        stats.failed++;
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  return stats;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!currentKeyId()) {
+    console.error('❌ TOKEN_ENCRYPTION_KEYS is not set, nothing to encrypt with');
+    process.exit(1);
+  }
+
+  console.log(`🔐 Re-encrypting OAuth tokens with key "${currentKeyId()}"${dryRun ? ' (dry run)' : ''}`);
+
+  let failed = 0;
+  for (const spec of TOKEN_COLUMNS) {
+    const stats = await rotateTable(spec, { dryRun });
+    console.log(`✅ ${spec.table}.${spec.column}: ${stats.checked} checked, ${stats.rotated} ${dryRun ? 'to re-encrypt' : 're-encrypted'}, ${stats.failed} failed`);
+    failed += stats.failed;
+  }
+
+  await getStorage().close();
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Token rotation failed:', error.message);
+  process.exit(1);
+});
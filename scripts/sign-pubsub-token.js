@@ -0,0 +1,43 @@
+/**
+ * Sign a Pub/Sub-style OIDC token with a local test key, for simulating
+ * Gmail pushes against a server running in test mode
+ *
+ *   npm run -s sign-pubsub-token -- pubsub-test.key
+ *
+ * Claims come from GMAIL_PUBSUB_AUDIENCE and GMAIL_PUBSUB_SERVICE_ACCOUNT;
+ * the server must have the matching GMAIL_PUBSUB_TEST_PUBLIC_KEY.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import '../lib/config.js';
+
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+const keyPath = process.argv[2];
+const { GMAIL_PUBSUB_AUDIENCE: audience, GMAIL_PUBSUB_SERVICE_ACCOUNT: serviceAccount } = process.env;
+
+if (!keyPath || !audience || !serviceAccount) {
+  console.error('Usage: npm run -s sign-pubsub-token -- <private-key.pem>');
+  console.error('GMAIL_PUBSUB_AUDIENCE and GMAIL_PUBSUB_SERVICE_ACCOUNT must be set');
+  process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: 'local-test' }));
+const payload = base64Url(JSON.stringify({
+  iss: 'https://accounts.google.com',
+  aud: audience,
+  email: serviceAccount,
+  email_verified: true,
+  sub: 'local-test',
+  iat: now,
+  exp: now + TOKEN_TTL_SECONDS
+}));
+
+const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), fs.readFileSync(keyPath));
+console.log(`${header}.${payload}.${base64Url(signature)}`);
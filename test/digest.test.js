@@ -0,0 +1,111 @@
+/**
+ * Daily digest: the scheduled delivery, its claim on the day's row, and the preview
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, newUser } from './helpers/server.js';
+
+let server;
+let runDueDigests;
+
+before(async () => {
+  server = await startTestServer();
+  ({ runDueDigests } = await import('../lib/digest.js'));
+});
+
+after(() => server.close());
+
+/**
+ * A user whose digest is due now (UTC), delivered by Slack DM
+ */
+async function userWithDigestDue() {
+  const user = newUser();
+  const { status, body } = await server.request('/settings', {
+    method: 'PUT',
+    user,
+    body: { digest: { enabled: true, time: new Date().toISOString().slice(11, 16), timezone: 'UTC', email: false, slack: true } }
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return user;
+}
+
+// ============================================
+// SCHEDULED DELIVERY
+// ============================================
+
+test('a digest that throws while compiling is released for a retry', async () => {
+  const user = await userWithDigestDue();
+  const today = new Date().toISOString().slice(0, 10);
+
+  const { items } = server.storage;
+  const listByStatus = items.listByStatus;
+  items.listByStatus = async (user_id, ...args) => {
+    if (user_id === user) throw new Error('database unavailable');
+    return listByStatus.call(items, user_id, ...args);
+  };
+
+  try {
+    await runDueDigests();
+  } finally {
+    items.listByStatus = listByStatus;
+  }
+
+  // Failed, not stuck in 'sending': the next scan may claim it again
+  const retry = await server.storage.digestDeliveries.claim(user, today, { maxAttempts: 3 });
+  assert.deepEqual({ status: retry?.status, attempts: retry?.attempts }, { status: 'sending', attempts: 2 });
+});
+
+// ============================================
+// PREVIEW
+// ============================================
+
+test('the preview defaults to today', async () => {
+  const user = await userWithDigestDue();
+  await server.storage.items.insert({
+    user_id: user,
+    platform_tag: 'slack',
+    task_text: 'Bob Builder: Can you send me the deck?',
+    sender_name: 'Bob Builder',
+    message_link: 'https://slack.test/archives/D1/p1',
+    status: 'pending',
+    due_at: new Date().toISOString()
+  });
+
+  const { status, body } = await server.request('/digest/preview?format=json', { user });
+  assert.equal(status, 200);
+  assert.equal(body.digest.date, new Date().toISOString().slice(0, 10));
+  assert.equal(body.digest.total, 1);
+  assert.deepEqual(body.digest.due.map(item => item.sender_name), ['Bob Builder']);
+});
+
+test('the preview renders a past date, with only what was due by then', async () => {
+  const user = await userWithDigestDue();
+  for (const [sender_name, due_at] of [['Carol Past', '2026-01-05T12:00:00Z'], ['Dave Later', '2026-01-20T12:00:00Z']]) {
+    await server.storage.items.insert({
+      user_id: user,
+      platform_tag: 'slack',
+      task_text: `${sender_name}: Please review`,
+      sender_name,
+      message_link: `https://slack.test/archives/D1/p${due_at.slice(8, 10)}`,
+      status: 'pending',
+      due_at
+    });
+  }
+
+  const { status, body } = await server.request('/digest/preview?date=2026-01-10&format=json', { user });
+  assert.equal(status, 200);
+  assert.equal(body.digest.date, '2026-01-10');
+  assert.equal(body.digest.total, 2);
+  assert.deepEqual(body.digest.due.map(item => item.sender_name), ['Carol Past']);
+});
+
+test('the preview rejects a date that is not YYYY-MM-DD', async () => {
+  const user = newUser();
+
+  for (const date of ['2026-1-10', '2026-02-30', 'yesterday']) {
+    const { status, body } = await server.request(`/digest/preview?date=${date}`, { user });
+    assert.equal(status, 400, date);
+    assert.equal(body.error, 'date must be YYYY-MM-DD');
+  }
+});
@@ -0,0 +1,188 @@
+/**
+ * GET /events end to end: item and connection events reaching the SSE
+ * stream, per-user isolation, Last-Event-ID resume and reset
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, newUser, waitFor } from './helpers/server.js';
+
+let server;
+let nextTeam = 1;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+/**
+ * A new workspace with Alice (who connects) and Bob, and a DM between them
+ */
+async function connectedWorkspace() {
+  const teamId = `TEV${String(nextTeam++).padStart(3, '0')}`;
+  const user = newUser();
+
+  server.slack.workspace(teamId, { name: `Workspace ${teamId}` });
+  server.slack.person(teamId, 'UALICE', 'Alice Example');
+  server.slack.person(teamId, 'UBOB', 'Bob Builder');
+  server.slack.channel(teamId, 'DALICEBOB', { type: 'im', members: ['UALICE', 'UBOB'] });
+
+  const connected = await server.connectSlack(user, teamId, 'UALICE');
+  assert.equal(connected.status, 200, connected.body);
+  return { user, teamId };
+}
+
+async function dmFromBob(teamId, text) {
+  const { status } = await server.sendSlackEvent(teamId, { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', text });
+  assert.equal(status, 200);
+  await server.waitForJobs();
+}
+
+function nextEvent(stream, type) {
+  return waitFor(() => stream.events.find(event => event.type === type), { message: `${type} event` });
+}
+
+// ============================================
+// STREAM
+// ============================================
+
+test('requires a user token', async () => {
+  const stream = await server.openEvents(null);
+  assert.equal(stream.status, 401);
+  await stream.close();
+});
+
+test('a captured message and its completion are pushed to the stream', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const stream = await server.openEvents(user);
+
+  try {
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+
+    await dmFromBob(teamId, 'Can you send me the deck?');
+    const created = await nextEvent(stream, 'item.created');
+    assert.equal(created.data.item.sender_name, 'Bob Builder');
+
+    const { status } = await server.request(`/actions/${created.data.item.id}/complete`, {
+      method: 'POST', user, body: { sync_source: false }
+    });
+    assert.equal(status, 200);
+
+    const resolved = await nextEvent(stream, 'item.resolved');
+    assert.equal(resolved.data.item.id, created.data.item.id);
+    assert.equal(resolved.data.item.status, 'completed');
+    assert.ok(resolved.id > created.id);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('a user only sees their own events', async () => {
+  const alice = await connectedWorkspace();
+  const other = await connectedWorkspace();
+  const stream = await server.openEvents(alice.user);
+
+  try {
+    await dmFromBob(other.teamId, 'Not for this Alice');
+    await dmFromBob(alice.teamId, 'For this Alice');
+
+    await nextEvent(stream, 'item.created');
+    assert.deepEqual(stream.events.map(event => event.data.item.user_id), [alice.user]);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('an event appended by another instance reaches the stream', async () => {
+  const user = newUser();
+  const stream = await server.openEvents(user);
+
+  try {
+    await server.storage.events.append({ user_id: user, type: 'item.updated', data: { item: { id: 'elsewhere' } } });
+
+    const event = await nextEvent(stream, 'item.updated');
+    assert.equal(event.data.item.id, 'elsewhere');
+  } finally {
+    await stream.close();
+  }
+});
+
+// ============================================
+// CONNECTIONS
+// ============================================
+
+test('a revoked Slack token marks the connection and is pushed', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const stream = await server.openEvents(user);
+
+  try {
+    const { status } = await server.sendSlackEvent(teamId, { type: 'tokens_revoked', tokens: { oauth: ['UALICE'] } });
+    assert.equal(status, 200);
+    await server.waitForJobs();
+
+    const updated = await nextEvent(stream, 'connection.updated');
+    assert.equal(updated.data.id, `slack:${teamId}`);
+    assert.equal(updated.data.status, 'error');
+    assert.match(updated.data.last_error, /revoked/);
+
+    await server.request(`/connections/slack:${teamId}`, { method: 'DELETE', user });
+    const removed = await nextEvent(stream, 'connection.removed');
+    assert.equal(removed.data.id, `slack:${teamId}`);
+  } finally {
+    await stream.close();
+  }
+});
+
+// ============================================
+// RESUME
+// ============================================
+
+test('reconnecting with Last-Event-ID replays only what was missed', async () => {
+  const { user, teamId } = await connectedWorkspace();
+
+  const first = await server.openEvents(user);
+  await dmFromBob(teamId, 'First');
+  const seen = await nextEvent(first, 'item.created');
+  await first.close();
+
+  await dmFromBob(teamId, 'Second');
+  await dmFromBob(teamId, 'Third');
+
+  const resumed = await server.openEvents(user, { lastEventId: seen.id });
+  try {
+    await waitFor(() => resumed.events.length >= 2, { message: 'replayed events' });
+    assert.deepEqual(resumed.events.map(event => event.type), ['item.created', 'item.created']);
+    assert.ok(resumed.events.every(event => event.id > seen.id));
+    assert.notEqual(resumed.events[0].data.item.id, seen.data.item.id);
+  } finally {
+    await resumed.close();
+  }
+});
+
+test('a Last-Event-ID older than the buffer gets a reset event', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  await dmFromBob(teamId, 'Before the purge');
+  await server.storage.events.purge(new Date(Date.now() + 1000).toISOString());
+
+  const stream = await server.openEvents(user, { lastEventId: 1 });
+  try {
+    const reset = await nextEvent(stream, 'reset');
+    assert.equal(reset.id, null);
+    assert.deepEqual(stream.events.map(event => event.type), ['reset']);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('old events are purged with nobody connected', async () => {
+  const { purgeEvents } = await import('../lib/events.js');
+  const { teamId } = await connectedWorkspace();
+  await dmFromBob(teamId, 'Nobody is listening');
+  const { latest } = await server.storage.events.bounds();
+
+  await purgeEvents(Date.now() + 11 * 60 * 1000);
+
+  assert.equal((await server.storage.events.listSince(latest - 1, { limit: 10 })).length, 0);
+});
@@ -0,0 +1,510 @@
+/**
+ * Gmail end to end: OAuth connect, Pub/Sub push ingestion through the job
+ * queue, triage filtering, duplicate deliveries, Gmail quota / rate limits
+ * and failure handling
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startTestServer, newUser, ADMIN_API_KEY } from './helpers/server.js';
+
+let server;
+let nextMailbox = 1;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+function mailbox() {
+  return `person${nextMailbox++}@example.com`;
+}
+
+/**
+ * A new user with `email` connected and watched
+ */
+async function connectedUser(email) {
+  const user = newUser();
+  const connected = await server.connectGmail(user, email);
+  assert.equal(connected.status, 200, connected.body);
+
+  const watched = await server.request('/gmail/watch', { method: 'POST', user, body: {} });
+  assert.equal(watched.status, 200, JSON.stringify(watched.body));
+  return user;
+}
+
+function historyRequests() {
+  return server.gmail.requests.filter(r => r.path.endsWith('/history')).length;
+}
+
+/**
+ * Gmail API requests made from now on (a later call lists them)
+ */
+function recordRequests() {
+  const start = server.gmail.requests.length;
+  return () => server.gmail.requests.slice(start);
+}
+
+async function deadJobsFor(emailAddress) {
+  const { body } = await server.request('/admin/jobs/dead?type=webhook', { headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } });
+  return body.jobs.filter(job => job.payload.payload.emailAddress === emailAddress);
+}
+
+// ============================================
+// OAUTH
+// ============================================
+
+test('OAuth callback stores the mailbox with an encrypted refresh token', async () => {
+  const user = newUser();
+  const email = mailbox();
+
+  const { status, body } = await server.connectGmail(user, email);
+  assert.equal(status, 200);
+  assert.match(body, new RegExp(`Connected: ${email}`));
+
+  const connection = await server.storage.gmailConnections.get(email);
+  assert.equal(connection.user_id, user);
+  assert.match(connection.refresh_token, /^enc:/);
+  assert.doesNotMatch(connection.refresh_token, /fake-refresh/);
+
+  const { body: listed } = await server.request('/connections', { user });
+  assert.deepEqual(listed.connections.map(c => [c.id, c.status]), [[`gmail:${email}`, 'connected']]);
+});
+
+test('OAuth start requires a signed-in user', async () => {
+  const { status } = await server.request('/auth/google?format=json');
+  assert.equal(status, 401);
+});
+
+test('OAuth callback rejects a state that was already used', async () => {
+  const user = newUser();
+  const { state } = await server.connectGmail(user, mailbox());
+
+  const code = server.gmail.authorize(mailbox());
+  const replayed = await server.request(`/auth/google/callback?${new URLSearchParams({ code, state })}`);
+  assert.equal(replayed.status, 500);
+  assert.match(replayed.body, /already used/);
+});
+
+test('OAuth callback rejects a forged state', async () => {
+  const code = server.gmail.authorize(mailbox());
+  const forged = Buffer.from(JSON.stringify({ user_id: newUser(), platform: 'gmail' })).toString('base64url');
+
+  const { status, body } = await server.request(`/auth/google/callback?${new URLSearchParams({ code, state: `${forged}.bad` })}`);
+  assert.equal(status, 500);
+  assert.match(body, /Connection Failed/);
+});
+
+test('OAuth callback with a bad code stores nothing', async () => {
+  const user = newUser();
+
+  const { status, body } = await server.completeOAuth('/auth/google', user, 'not-a-real-code');
+  assert.equal(status, 500);
+  assert.match(body, /Connection Failed/);
+  assert.deepEqual(await server.storage.gmailConnections.listByUser(user), []);
+});
+
+// ============================================
+// WEBHOOK INGESTION
+// ============================================
+
+test('a push ingests the new message and advances the history cursor', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+
+  const delivered = server.gmail.deliver(email, { from: 'Alice Example <alice@example.com>', subject: 'Budget review' });
+  const pushed = await server.pushGmail(email, delivered.historyId);
+  assert.equal(pushed.status, 200);
+  await server.waitForJobs();
+
+  const items = await server.pendingItems(user);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].platform_tag, 'gmail');
+  assert.equal(items[0].sender_name, 'Alice Example');
+  assert.equal(items[0].message_id, `<${delivered.id}@mail.example.com>`);
+
+  const connection = await server.storage.gmailConnections.get(email);
+  assert.equal(connection.history_id, delivered.historyId);
+  assert.equal(connection.last_error, null);
+});
+
+test('promotions and user skip rules are filtered out', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+
+  const rule = await server.request('/rules', {
+    method: 'POST',
+    user,
+    body: { name: 'No robots', conditions: { sender: 'noreply@' }, actions: { skip: true } }
+  });
+  assert.equal(rule.status, 201, JSON.stringify(rule.body));
+
+  server.gmail.deliver(email, { subject: '50% off', labelIds: ['INBOX', 'UNREAD', 'CATEGORY_PROMOTIONS'] });
+  server.gmail.deliver(email, { from: 'Robot <noreply@service.test>', subject: 'Your receipt' });
+  const kept = server.gmail.deliver(email, { from: 'Bob <bob@example.com>', subject: 'Can you review this?' });
+
+  await server.pushGmail(email, kept.historyId);
+  await server.waitForJobs();
+
+  const items = await server.pendingItems(user);
+  assert.deepEqual(items.map(i => i.sender_name), ['Bob']);
+});
+
+test('rules with catastrophic-backtracking regexes are rejected', async () => {
+  const user = newUser();
+
+  for (const pattern of ['(a+)+$', '(\\w*\\s?)*@', '(re|re:)+ urgent', '\\s*\\s*\\s*\\s*\\s*\\s*x', 'a*a*a*a*a*a*a*b']) {
+    const { status, body } = await server.request('/rules', {
+      method: 'POST',
+      user,
+      body: { name: 'Slow', conditions: { subject_regex: pattern }, actions: { priority: 'high' } }
+    });
+    assert.equal(status, 400, pattern);
+    assert.match(body.error, /subject_regex could run too long/);
+  }
+
+  const safe = await server.request('/rules', {
+    method: 'POST',
+    user,
+    body: { name: 'Invoices', conditions: { subject_regex: '^(invoice|receipt) #\\d+' }, actions: { priority: 'high' } }
+  });
+  assert.equal(safe.status, 201, JSON.stringify(safe.body));
+});
+
+test('a rule regex that runs too long never matches', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+
+  // Not one of the rejected shapes, but takes seconds on this subject
+  const rule = await server.request('/rules', {
+    method: 'POST',
+    user,
+    body: { name: 'Slow', conditions: { subject_regex: '\\w*x?\\w*x?\\w*x?\\w*x?\\w*x?\\w*x?y' }, actions: { skip: true } }
+  });
+  assert.equal(rule.status, 201, JSON.stringify(rule.body));
+
+  const started = Date.now();
+  const delivered = server.gmail.deliver(email, { subject: `Status ${'a'.repeat(60)}` });
+  await server.pushGmail(email, delivered.historyId);
+  await server.waitForJobs();
+
+  assert.equal((await server.pendingItems(user)).length, 1);
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+});
+
+test('the rule dry-run clamps its limit to a whole number from 1 to 100', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  server.gmail.deliver(email, { subject: 'Invoice #12' });
+
+  const rule = { name: 'Invoices', conditions: { subject_regex: 'invoice' }, actions: { priority: 'high' } };
+  const sent = [];
+  for (const limit of [-5, 2.5, 1000, 'many', undefined]) {
+    const requests = recordRequests();
+    const { status, body } = await server.request('/rules/dry-run', { method: 'POST', user, body: { rule, limit } });
+    assert.equal(status, 200, JSON.stringify(body));
+    sent.push(requests().find(r => r.path.endsWith('/messages')).query.maxResults);
+  }
+
+  assert.deepEqual(sent, ['1', '2', '100', '25', '25']);
+});
+
+test('a redelivered push is only processed once', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  const delivered = server.gmail.deliver(email);
+  const walksBefore = historyRequests();
+
+  const first = await server.pushGmail(email, delivered.historyId, { messageId: `dup-${email}` });
+  const second = await server.pushGmail(email, delivered.historyId, { messageId: `dup-${email}` });
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  await server.waitForJobs();
+
+  assert.equal(historyRequests() - walksBefore, 1);
+  assert.equal((await server.pendingItems(user)).length, 1);
+});
+
+test('a full sync after a push does not duplicate items', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  const delivered = server.gmail.deliver(email);
+
+  await server.pushGmail(email, delivered.historyId);
+  await server.waitForJobs();
+
+  const { status, body } = await server.request('/gmail/sync', { method: 'POST', user, body: { full: true } });
+  assert.equal(status, 200);
+  assert.equal(body.accounts[0].mode, 'full');
+  assert.deepEqual(body.results.map(r => r.reason), ['duplicate']);
+  assert.equal((await server.pendingItems(user)).length, 1);
+});
+
+test('an expired history cursor falls back to a full resync', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  server.gmail.deliver(email, { subject: 'Before the gap' });
+  server.gmail.expireHistory(email);
+  const latest = server.gmail.deliver(email, { subject: 'After the gap' });
+
+  await server.pushGmail(email, latest.historyId);
+  await server.waitForJobs();
+
+  assert.equal((await server.pendingItems(user)).length, 2);
+  const connection = await server.storage.gmailConnections.get(email);
+  assert.equal(connection.history_id, latest.historyId);
+});
+
+test('a push for a mailbox nobody connected saves nothing', async () => {
+  const email = mailbox();
+  const pushed = await server.pushGmail(email, 1234);
+  assert.equal(pushed.status, 200);
+  await server.waitForJobs();
+
+  assert.equal(await server.storage.gmailConnections.get(email), null);
+  assert.deepEqual(await deadJobsFor(email), []);
+});
+
+// ============================================
+// QUOTA AND RATE LIMITS
+// ============================================
+
+test('message metadata is fetched in one batch request', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  server.gmail.deliver(email, { subject: 'One' });
+  server.gmail.deliver(email, { subject: 'Two' });
+  const last = server.gmail.deliver(email, { subject: 'Three' });
+  const requests = recordRequests();
+
+  await server.pushGmail(email, last.historyId);
+  await server.waitForJobs();
+
+  assert.equal((await server.pendingItems(user)).length, 3);
+  const metadata = requests().filter(r => r.query.format === 'metadata');
+  assert.equal(requests().filter(r => r.path === '/batch/gmail/v1').length, 1);
+  assert.equal(metadata.length, 3);
+  assert.ok(metadata.every(r => r.batch));
+});
+
+test('a full sync caps maxResults and pages through the listing', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  for (let i = 1; i <= 5; i++) server.gmail.deliver(email, { subject: `Message ${i}` });
+  const requests = recordRequests();
+
+  server.gmail.setListPageSize(2);
+  try {
+    const { status, body } = await server.request('/gmail/sync', { method: 'POST', user, body: { full: true, maxResults: 100000 } });
+    assert.equal(status, 200);
+    assert.equal(body.processed, 5);
+  } finally {
+    server.gmail.setListPageSize(500);
+  }
+
+  const lists = requests().filter(r => r.path.endsWith('/messages') && r.query.labelIds === 'INBOX');
+  assert.deepEqual(lists.map(r => [r.query.maxResults, r.query.pageToken]), [['500', undefined], ['498', '2'], ['496', '4']]);
+  assert.equal((await server.pendingItems(user)).length, 5);
+});
+
+test('a rate-limited Gmail call is retried with backoff', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  const delivered = server.gmail.deliver(email, { subject: 'Busy mailbox' });
+  const walksBefore = historyRequests();
+
+  server.gmail.failNext('GET', /\/history$/, { status: 429, message: 'Too many concurrent requests for user', reason: 'rateLimitExceeded' });
+  await server.pushGmail(email, delivered.historyId);
+  await server.waitForJobs();
+
+  assert.equal(historyRequests() - walksBefore, 2);
+  assert.equal((await server.pendingItems(user)).length, 1);
+  assert.deepEqual(await deadJobsFor(email), []);
+});
+
+test('a rate-limited message in a batch is retried on its own', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  server.gmail.deliver(email, { subject: 'Fine' });
+  const limited = server.gmail.deliver(email, { subject: 'Limited' });
+  const requests = recordRequests();
+
+  server.gmail.failNext('GET', new RegExp(`/messages/${limited.id}$`), { status: 403, message: 'User-rate limit exceeded', reason: 'userRateLimitExceeded' });
+  await server.pushGmail(email, limited.historyId);
+  await server.waitForJobs();
+
+  assert.equal((await server.pendingItems(user)).length, 2);
+  const metadata = requests().filter(r => r.query.format === 'metadata');
+  assert.equal(metadata.length, 3);
+  assert.deepEqual(metadata.slice(2).map(r => r.path.split('/').pop()), [limited.id]);
+  assert.equal(requests().filter(r => r.path === '/batch/gmail/v1').length, 2);
+});
+
+test('the access token is reused across syncs instead of refreshed', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  const requests = recordRequests();
+
+  for (let i = 0; i < 2; i++) {
+    server.gmail.deliver(email, { subject: `Sync ${i}` });
+    const { status } = await server.request('/gmail/sync', { method: 'POST', user, body: {} });
+    assert.equal(status, 200);
+  }
+
+  assert.deepEqual(requests().filter(r => r.path === '/token'), []);
+  assert.equal((await server.pendingItems(user)).length, 2);
+});
+
+// ============================================
+// ERROR PATHS
+// ============================================
+
+test('pushes without a valid Pub/Sub token are rejected', async () => {
+  const email = mailbox();
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const tokens = {
+    'wrong key': server.pubsub.sign({}, { key: privateKey }),
+    'wrong audience': server.pubsub.sign({ aud: 'https://elsewhere.test/webhook' }),
+    'wrong service account': server.pubsub.sign({ email: 'intruder@example.iam.gserviceaccount.com' }),
+    'expired': server.pubsub.sign({ iat: Math.floor(Date.now() / 1000) - 7200, exp: Math.floor(Date.now() / 1000) - 3600 })
+  };
+
+  for (const [name, token] of Object.entries(tokens)) {
+    const { status } = await server.pushGmail(email, 1, { token });
+    assert.equal(status, 401, name);
+  }
+
+  const { body } = server.pubsub.push({ emailAddress: email, historyId: 1 });
+  const unsigned = await server.request('/gmail/webhook', { method: 'POST', body });
+  assert.equal(unsigned.status, 401);
+});
+
+test('a signed push with undecodable data is acked and dropped', async () => {
+  const before = await server.request('/admin/jobs', { headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } });
+
+  for (const data of [Buffer.from('not json').toString('base64'), Buffer.from('{"historyId":1}').toString('base64')]) {
+    const { headers, body } = server.pubsub.push({ emailAddress: mailbox(), historyId: 1 });
+    body.message.data = data;
+    const { status } = await server.request('/gmail/webhook', { method: 'POST', headers, body });
+    assert.equal(status, 200);
+  }
+
+  await server.waitForJobs();
+  const after = await server.request('/admin/jobs', { headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } });
+  assert.deepEqual(after.body.counts, before.body.counts);
+});
+
+test('a Gmail API failure dead-letters the push and can be replayed', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  const delivered = server.gmail.deliver(email, { subject: 'Try again' });
+
+  server.gmail.failNext('GET', /\/history$/, { status: 403, message: 'Insufficient Permission' });
+  await server.pushGmail(email, delivered.historyId);
+  await server.waitForJobs();
+
+  assert.equal((await server.pendingItems(user)).length, 0);
+  assert.equal((await server.storage.gmailConnections.get(email)).last_error, 'Insufficient Permission');
+
+  const [dead] = await deadJobsFor(email);
+  assert.equal(dead.last_error, 'Insufficient Permission');
+
+  const replay = await server.request(`/admin/jobs/dead/${dead.id}/replay`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+  });
+  assert.equal(replay.status, 200);
+  await server.waitForJobs();
+
+  assert.equal((await server.pendingItems(user)).length, 1);
+  assert.equal((await server.storage.gmailConnections.get(email)).last_error, null);
+});
+
+test('two concurrent replays of a dead job enqueue it once', async () => {
+  const email = mailbox();
+  await connectedUser(email);
+  const delivered = server.gmail.deliver(email, { subject: 'Try again' });
+
+  server.gmail.failNext('GET', /\/history$/, { status: 403, message: 'Insufficient Permission' });
+  await server.pushGmail(email, delivered.historyId);
+  await server.waitForJobs();
+  const [dead] = await deadJobsFor(email);
+
+  const { replayDeadJob } = await import('../lib/jobs/index.js');
+  const history = historyRequests();
+  const replays = await Promise.all([replayDeadJob(dead.id), replayDeadJob(dead.id)]);
+  await server.waitForJobs();
+
+  assert.equal(replays.filter(Boolean).length, 1);
+  assert.equal(historyRequests(), history + 1);
+});
+
+test('a redelivery of a dead-lettered push is still ignored', async () => {
+  const email = mailbox();
+  await connectedUser(email);
+  const delivered = server.gmail.deliver(email, { subject: 'Try again' });
+
+  server.gmail.failNext('GET', /\/history$/, { status: 403, message: 'Insufficient Permission' });
+  await server.pushGmail(email, delivered.historyId, { messageId: `dead-${email}` });
+  await server.waitForJobs();
+  assert.equal((await deadJobsFor(email)).length, 1);
+
+  const history = historyRequests();
+  const redelivered = await server.pushGmail(email, delivered.historyId, { messageId: `dead-${email}` });
+  assert.equal(redelivered.status, 200);
+  await server.waitForJobs();
+
+  assert.equal(historyRequests(), history);
+  assert.equal((await deadJobsFor(email)).length, 1);
+});
+
+test('manual sync reports a Gmail failure', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+
+  server.gmail.failNext('GET', /\/history$/, { status: 400, message: 'Precondition check failed.' });
+  const { status, body } = await server.request('/gmail/sync', { method: 'POST', user, body: {} });
+  assert.equal(status, 500);
+  assert.equal(body.success, false);
+  assert.deepEqual(body.accounts, [{ account: email, error: 'Precondition check failed.' }]);
+
+  const { body: listed } = await server.request('/connections', { user });
+  assert.equal(listed.connections[0].last_error, 'Precondition check failed.');
+});
+
+test('manual sync of several accounts reports each, past a failing one', async () => {
+  const [first, second] = [mailbox(), mailbox()];
+  const user = await connectedUser(first);
+  const connected = await server.connectGmail(user, second);
+  assert.equal(connected.status, 200, connected.body);
+
+  server.gmail.deliver(first, { subject: 'From the first mailbox' });
+  server.gmail.deliver(second, { subject: 'From the second mailbox' });
+
+  // The first mailbox walks its history cursor, the second (never watched) lists its inbox
+  server.gmail.failNext('GET', /\/history$/, { status: 400, message: 'Precondition check failed.' });
+  const { status, body } = await server.request('/gmail/sync', { method: 'POST', user, body: {} });
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.deepEqual(body.accounts.map(a => [a.account, a.error ?? null, a.processed ?? null]), [
+    [first, 'Precondition check failed.', null],
+    [second, null, 1]
+  ]);
+  assert.equal((await server.pendingItems(user)).length, 1);
+});
+
+test('disconnecting stops the watch and revokes the token', async () => {
+  const email = mailbox();
+  const user = await connectedUser(email);
+  assert.ok(server.gmail.mailboxes.get(email).watch);
+
+  const { status } = await server.request(`/connections/gmail:${email}`, { method: 'DELETE', user });
+  assert.equal(status, 200);
+
+  assert.equal(server.gmail.mailboxes.get(email).watch, null);
+  assert.equal(server.gmail.mailboxes.get(email).revoked, true);
+  assert.equal(await server.storage.gmailConnections.get(email), null);
+});
@@ -0,0 +1,309 @@
+/**
+ * Fake Gmail API and Google OAuth token endpoint
+ *
+ * Point the server at it with GMAIL_API_URL and GOOGLE_OAUTH_URL. Holds
+ * mailboxes with messages and a history log, and implements what the
+ * Gmail connector calls: the OAuth code and refresh-token grants, revoke,
+ * users.getProfile, messages.list/get/modify/send, history.list, watch
+ * and stop, plus batch requests of those. Errors look like Google's, so
+ * googleapis surfaces them with the same `code`.
+ */
+
+import { startHttpServer } from './http.js';
+
+const API_PREFIX = '/gmail/v1/users/me';
+
+function googleError(status, message, reason = 'testFailure') {
+  return { status, body: { error: { code: status, message, errors: [{ message, domain: 'global', reason }] } } };
+}
+
+function encodeBase64Url(text) {
+  return Buffer.from(text).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export async function startFakeGmail() {
+  const mailboxes = new Map();
+  const authCodes = new Map();
+  const refreshTokens = new Map();
+  const accessTokens = new Map();
+  const failures = [];
+  const requests = [];
+  let nextId = 1;
+  // Most messages.list returns per page, whatever maxResults asks for
+  let listPageSize = 500;
+
+  function addMailbox(email) {
+    if (!mailboxes.has(email)) {
+      mailboxes.set(email, {
+        email,
+        historyId: 1000,
+        // history.list returns 404 for a start before this, like an expired cursor
+        oldestHistoryId: 1000,
+        messages: new Map(),
+        history: [],
+        watch: null,
+        revoked: false
+      });
+    }
+    return mailboxes.get(email);
+  }
+
+  function mailboxFor(headers) {
+    const token = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const email = accessTokens.get(token);
+    return email && !mailboxes.get(email).revoked ? mailboxes.get(email) : null;
+  }
+
+  function issueAccessToken(email) {
+    const token = `ya29.fake-${nextId++}`;
+    accessTokens.set(token, email);
+    return token;
+  }
+
+  function metadata(message) {
+    const { raw, body, to, ...resource } = message;
+    return resource;
+  }
+
+  function handleToken(body) {
+    if (body.grant_type === 'authorization_code') {
+      const email = authCodes.get(body.code);
+      if (!email) return { status: 400, body: { error: 'invalid_grant', error_description: 'Malformed auth code.' } };
+      authCodes.delete(body.code);
+
+      const refreshToken = `1//fake-refresh-${nextId++}`;
+      refreshTokens.set(refreshToken, email);
+      return { body: { access_token: issueAccessToken(email), refresh_token: refreshToken, expires_in: 3599, token_type: 'Bearer' } };
+    }
+
+    if (body.grant_type === 'refresh_token') {
+      const email = refreshTokens.get(body.refresh_token);
+      if (!email || mailboxes.get(email).revoked) {
+        return { status: 400, body: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } };
+      }
+      return { body: { access_token: issueAccessToken(email), expires_in: 3599, token_type: 'Bearer' } };
+    }
+
+    return { status: 400, body: { error: 'unsupported_grant_type' } };
+  }
+
+  function handleGmail({ method, path, query, body }, mailbox) {
+    const route = path.slice(API_PREFIX.length);
+    let match;
+
+    if (method === 'GET' && route === '/profile') {
+      return { body: { emailAddress: mailbox.email, messagesTotal: mailbox.messages.size, historyId: String(mailbox.historyId) } };
+    }
+
+    if (method === 'GET' && route === '/messages') {
+      const labelIds = query.getAll('labelIds');
+      const sentTo = /in:sent to:(\S+)/.exec(query.get('q') || '')?.[1];
+      const matching = [...mailbox.messages.values()]
+        .filter(m => labelIds.every(label => m.labelIds.includes(label)))
+        .filter(m => !sentTo || (m.labelIds.includes('SENT') && m.to.includes(sentTo)))
+        .sort((a, b) => Number(b.internalDate) - Number(a.internalDate));
+      const offset = Number(query.get('pageToken')) || 0;
+      const messages = matching
+        .slice(offset, offset + Math.min(Number(query.get('maxResults')) || 100, listPageSize))
+        .map(m => ({ id: m.id, threadId: m.threadId }));
+      const nextPageToken = offset + messages.length < matching.length ? String(offset + messages.length) : undefined;
+      return { body: { messages, nextPageToken, resultSizeEstimate: matching.length } };
+    }
+
+    if ((match = /^\/messages\/([^/]+)$/.exec(route)) && method === 'GET') {
+      const message = mailbox.messages.get(match[1]);
+      if (!message) return googleError(404, 'Requested entity was not found.');
+      if (query.get('format') !== 'full') return { body: metadata(message) };
+      return {
+        body: {
+          ...metadata(message),
+          payload: { ...message.payload, mimeType: 'text/plain', body: { data: encodeBase64Url(message.body) } }
+        }
+      };
+    }
+
+    if ((match = /^\/messages\/([^/]+)\/modify$/.exec(route)) && method === 'POST') {
+      const message = mailbox.messages.get(match[1]);
+      if (!message) return googleError(404, 'Requested entity was not found.');
+      message.labelIds = message.labelIds
+        .filter(label => !(body.removeLabelIds || []).includes(label))
+        .concat((body.addLabelIds || []).filter(label => !message.labelIds.includes(label)));
+      return { body: metadata(message) };
+    }
+
+    if (method === 'POST' && route === '/messages/send') {
+      const id = `sent${nextId++}`;
+      const message = { id, threadId: body.threadId || id, labelIds: ['SENT'], raw: body.raw };
+      mailbox.messages.set(id, { ...message, to: '', internalDate: String(Date.now()), payload: { headers: [] } });
+      return { body: message };
+    }
+
+    if (method === 'GET' && route === '/history') {
+      const start = Number(query.get('startHistoryId'));
+      if (start < mailbox.oldestHistoryId) return googleError(404, 'Requested entity was not found.');
+      const history = mailbox.history.filter(record => Number(record.id) > start);
+      return { body: { history, historyId: String(mailbox.historyId) } };
+    }
+
+    if (method === 'POST' && route === '/watch') {
+      const expiration = Date.now() + 7 * 24 * 60 * 60 * 1000;
+      mailbox.watch = { ...body, expiration };
+      return { body: { historyId: String(mailbox.historyId), expiration: String(expiration) } };
+    }
+
+    if (method === 'POST' && route === '/stop') {
+      mailbox.watch = null;
+      return { status: 204 };
+    }
+
+    return googleError(404, `Fake Gmail does not implement ${method} ${path}`);
+  }
+
+  /**
+   * The error queued by failNext() for this request, if any
+   */
+  function takeFailure(method, path) {
+    const failure = failures.find(f => f.method === method && f.path.test(path));
+    if (!failure) return null;
+    if (--failure.times === 0) failures.splice(failures.indexOf(failure), 1);
+    return googleError(failure.status, failure.message, failure.reason);
+  }
+
+  /**
+   * POST /batch/gmail/v1 — a multipart/mixed body of HTTP requests, each
+   * answered (or failed) as if it had been sent on its own
+   */
+  function handleBatch({ headers, body }, mailbox) {
+    const boundary = /boundary=([^;]+)/.exec(headers['content-type'] || '')?.[1];
+    const responseBoundary = `batch_fake_${nextId++}`;
+
+    const parts = body.split(`--${boundary}`).filter(part => /Content-ID/i.test(part)).map(part => {
+      const contentId = /Content-ID:\s*<([^>]+)>/i.exec(part)[1];
+      const [, method, target] = /^(GET|POST) (\S+) HTTP\/1\.1/m.exec(part);
+      const url = new URL(target, 'http://localhost');
+      requests.push({ method, path: url.pathname, query: Object.fromEntries(url.searchParams), batch: true });
+
+      const { status = 200, body: result } = takeFailure(method, url.pathname) ||
+        handleGmail({ method, path: url.pathname, query: url.searchParams, body: {} }, mailbox);
+      return [
+        `--${responseBoundary}`,
+        'Content-Type: application/http',
+        `Content-ID: <response-${contentId}>`,
+        '',
+        `HTTP/1.1 ${status} ${status < 300 ? 'OK' : 'Error'}`,
+        'Content-Type: application/json; charset=UTF-8',
+        '',
+        JSON.stringify(result ?? {}),
+        ''
+      ].join('\r\n');
+    });
+
+    return {
+      headers: { 'Content-Type': `multipart/mixed; boundary=${responseBoundary}` },
+      body: `${parts.join('')}--${responseBoundary}--\r\n`
+    };
+  }
+
+  const server = await startHttpServer(async (request) => {
+    requests.push({ method: request.method, path: request.path, query: Object.fromEntries(request.query) });
+
+    const failure = takeFailure(request.method, request.path);
+    if (failure) return failure;
+
+    if (request.path === '/token') return handleToken(request.body);
+    if (request.path === '/revoke') {
+      const email = refreshTokens.get(request.query.get('token') || request.body.token);
+      if (email) mailboxes.get(email).revoked = true;
+      return { body: {} };
+    }
+
+    if (request.path.startsWith(API_PREFIX) || request.path === '/batch/gmail/v1') {
+      const mailbox = mailboxFor(request.headers);
+      if (!mailbox) return googleError(401, 'Request had invalid authentication credentials.');
+      return request.path === '/batch/gmail/v1' ? handleBatch(request, mailbox) : handleGmail(request, mailbox);
+    }
+
+    return googleError(404, `Fake Gmail does not implement ${request.method} ${request.path}`);
+  });
+
+  return {
+    url: server.url,
+    mailboxes,
+    requests,
+
+    addMailbox,
+
+    /**
+     * An authorization code the OAuth callback can exchange for `email`
+     */
+    authorize(email) {
+      addMailbox(email);
+      const code = `4/fake-code-${nextId++}`;
+      authCodes.set(code, email);
+      return code;
+    },
+
+    /**
+     * Add a message to a mailbox (INBOX and UNREAD unless `labelIds` says
+     * otherwise) and record it in the history. Returns { id, threadId, historyId }.
+     */
+    deliver(email, { from = 'Alice Example <alice@example.com>', to = email, cc = '', subject = 'Hello', text = 'Hi there', labelIds = ['INBOX', 'UNREAD'], threadId, messageId } = {}) {
+      const mailbox = addMailbox(email);
+      const id = `msg${nextId++}`;
+      const internalDate = String(Date.now());
+
+      const message = {
+        id,
+        threadId: threadId || id,
+        labelIds: [...labelIds],
+        snippet: text.slice(0, 100),
+        internalDate,
+        historyId: String(++mailbox.historyId),
+        to,
+        body: text,
+        payload: {
+          headers: [
+            { name: 'From', value: from },
+            { name: 'To', value: to },
+            { name: 'Cc', value: cc },
+            { name: 'Subject', value: subject },
+            { name: 'Date', value: new Date(Number(internalDate)).toUTCString() },
+            { name: 'Message-ID', value: messageId || `<${id}@mail.example.com>` }
+          ]
+        }
+      };
+      mailbox.messages.set(id, message);
+      mailbox.history.push({
+        id: message.historyId,
+        messagesAdded: [{ message: { id, threadId: message.threadId, labelIds: message.labelIds } }]
+      });
+
+      return { id, threadId: message.threadId, historyId: message.historyId };
+    },
+
+    /**
+     * Make messages.list return at most `size` messages per page
+     */
+    setListPageSize(size) {
+      listPageSize = size;
+    },
+
+    /**
+     * Forget history up to now, so a cursor from before gets a 404
+     */
+    expireHistory(email) {
+      const mailbox = addMailbox(email);
+      mailbox.oldestHistoryId = mailbox.historyId + 1;
+    },
+
+    /**
+     * Answer the next `times` requests matching method and path with an
+     * error (requests inside a batch count one by one)
+     */
+    failNext(method, path, { status = 500, message = 'Backend Error', reason, times = 1 } = {}) {
+      failures.push({ method, path, status, message, reason, times });
+    },
+
+    close: server.close
+  };
+}
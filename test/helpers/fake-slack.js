@@ -0,0 +1,139 @@
+/**
+ * Fake Slack Web API, including the OAuth token exchange
+ *
+ * Point the server at it with SLACK_API_URL. Workspaces have people and
+ * channels; every bot and user token acts as one member, so
+ * conversations.info succeeds only for channels that member is in, like
+ * the real API. Responses use Slack's `{ ok, error }` envelope.
+ */
+
+import { startHttpServer } from './http.js';
+
+export async function startFakeSlack() {
+  const workspaces = new Map();
+  const tokens = new Map();
+  const authCodes = new Map();
+  const failures = [];
+  const calls = [];
+  let nextId = 1;
+
+  function workspace(teamId, { name = `Team ${teamId}` } = {}) {
+    if (!workspaces.has(teamId)) {
+      const botUserId = `UBOT${teamId}`;
+      const botToken = `xoxb-${teamId}-${nextId++}`;
+      tokens.set(botToken, { teamId, memberId: botUserId, bot: true });
+      workspaces.set(teamId, { teamId, name, botUserId, botToken, people: new Map(), channels: new Map(), revoked: new Set() });
+    }
+    return workspaces.get(teamId);
+  }
+
+  function actor(headers) {
+    const token = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const found = tokens.get(token);
+    return found && !workspaces.get(found.teamId).revoked.has(token) ? { ...found, token } : null;
+  }
+
+  const methods = {
+    'oauth.v2.access'({ body }) {
+      const grant = authCodes.get(body.code);
+      if (!grant) return { ok: false, error: 'invalid_code' };
+      authCodes.delete(body.code);
+
+      const team = workspace(grant.teamId);
+      const userToken = `xoxp-${grant.teamId}-${grant.userId}-${nextId++}`;
+      tokens.set(userToken, { teamId: grant.teamId, memberId: grant.userId, bot: false });
+
+      return {
+        ok: true,
+        access_token: team.botToken,
+        token_type: 'bot',
+        bot_user_id: team.botUserId,
+        team: { id: team.teamId, name: team.name },
+        authed_user: { id: grant.userId, access_token: userToken, token_type: 'user' }
+      };
+    },
+
+    'users.info'({ query }, caller) {
+      const person = workspaces.get(caller.teamId).people.get(query.get('user'));
+      if (!person) return { ok: false, error: 'user_not_found' };
+      return { ok: true, user: { id: person.id, name: person.name.toLowerCase(), real_name: person.name } };
+    },
+
+    'conversations.info'({ query }, caller) {
+      const channel = workspaces.get(caller.teamId).channels.get(query.get('channel'));
+      if (!channel || !channel.members.includes(caller.memberId)) return { ok: false, error: 'channel_not_found' };
+      return { ok: true, channel: { id: channel.id, is_im: channel.type === 'im', is_mpim: channel.type === 'mpim' } };
+    },
+
+    'auth.revoke'(request, caller) {
+      workspaces.get(caller.teamId).revoked.add(caller.token);
+      return { ok: true, revoked: true };
+    },
+
+    'chat.postMessage'({ body }) {
+      return { ok: true, channel: body.channel, ts: `${Math.floor(Date.now() / 1000)}.${String(nextId++).padStart(6, '0')}` };
+    },
+
+    'reactions.add'() {
+      return { ok: true };
+    }
+  };
+
+  const server = await startHttpServer(async (request) => {
+    const method = request.path.replace(/^\/+/, '');
+    calls.push({ method, token: (request.headers.authorization || '').replace(/^Bearer\s+/i, ''), query: Object.fromEntries(request.query), body: request.body });
+
+    const failure = failures.find(f => f.method === method);
+    if (failure) {
+      if (--failure.times === 0) failures.splice(failures.indexOf(failure), 1);
+      return { body: { ok: false, error: failure.error } };
+    }
+
+    if (!methods[method]) return { body: { ok: false, error: 'unknown_method' } };
+    if (method === 'oauth.v2.access') return { body: methods[method](request) };
+
+    const caller = actor(request.headers);
+    if (!caller) return { body: { ok: false, error: 'invalid_auth' } };
+    return { body: methods[method](request, caller) };
+  });
+
+  return {
+    url: server.url,
+    calls,
+
+    workspace,
+
+    /**
+     * Add a person to a workspace, so users.info can name them
+     */
+    person(teamId, id, name) {
+      workspace(teamId).people.set(id, { id, name });
+    },
+
+    /**
+     * Add a channel ('im', 'mpim' or 'channel') with its members
+     */
+    channel(teamId, id, { type = 'channel', members = [] } = {}) {
+      workspace(teamId).channels.set(id, { id, type, members });
+    },
+
+    /**
+     * An OAuth code installing the app in `teamId` for Slack user `userId`
+     */
+    authorize(teamId, userId) {
+      workspace(teamId);
+      const code = `fake-slack-code-${nextId++}`;
+      authCodes.set(code, { teamId, userId });
+      return code;
+    },
+
+    /**
+     * Fail the next `times` calls to a Web API method with a Slack error
+     */
+    failNext(method, { error = 'internal_error', times = 1 } = {}) {
+      failures.push({ method, error, times });
+    },
+
+    close: server.close
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Tiny HTTP server for the fake upstream APIs, listening on a free port
+ */
+
+import http from 'http';
+
+/**
+ * Parse a request body as JSON or form data (whichever it is); multipart
+ * bodies are left as text
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString();
+  if (!text) return {};
+
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.includes('application/json')) return JSON.parse(text);
+  if (contentType.startsWith('multipart/')) return text;
+  return Object.fromEntries(new URLSearchParams(text));
+}
+
+/**
+ * Start a server for `handler({ method, path, query, body, headers })`,
+ * which returns { status, body } (sent as JSON), or { status, body, headers }
+ * to send a string body as is. Resolves to { url, close }.
+ */
+export async function startHttpServer(handler) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    let result;
+    try {
+      result = await handler({
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        body: await readBody(req),
+        headers: req.headers
+      });
+    } catch (error) {
+      result = { status: 500, body: { error: error.message } };
+    }
+
+    const { status = 200, body, headers } = result;
+    if (body === undefined) return res.writeHead(status).end();
+    if (headers) return res.writeHead(status, headers).end(body);
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Pub/Sub push simulator — builds the requests a push subscription sends
+ * to /gmail/webhook, with an OIDC token signed by a throwaway key. The
+ * server verifies against that key through GMAIL_PUBSUB_TEST_PUBLIC_KEY
+ * (see lib/pubsub-push.js and scripts/sign-pubsub-token.js).
+ */
+
+import crypto from 'crypto';
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function createPubSubSimulator({ audience, serviceAccount, subscription }) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  let nextMessageId = 1;
+
+  /**
+   * An OIDC token like Google's; `claims` overrides any of them
+   */
+  function sign(claims = {}, { key = privateKey } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: 'local-test' }));
+    const payload = base64Url(JSON.stringify({
+      iss: 'https://accounts.google.com',
+      aud: audience,
+      email: serviceAccount,
+      email_verified: true,
+      sub: 'local-test',
+      iat: now,
+      exp: now + 3600,
+      ...claims
+    }));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key);
+    return `${header}.${payload}.${base64Url(signature)}`;
+  }
+
+  return {
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+
+    sign,
+
+    /**
+     * A push for a Gmail notification: { headers, body }. Reuse `messageId`
+     * to simulate a redelivery.
+     */
+    push({ emailAddress, historyId }, { messageId = String(nextMessageId++), token = sign() } = {}) {
+      return {
+        headers: { Authorization: `Bearer ${token}` },
+        body: {
+          message: {
+            data: Buffer.from(JSON.stringify({ emailAddress, historyId: Number(historyId) })).toString('base64'),
+            messageId,
+            publishTime: new Date().toISOString()
+          },
+          subscription
+        }
+      };
+    }
+  };
+}
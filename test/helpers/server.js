@@ -0,0 +1,213 @@
+/**
+ * End-to-end test server: the Express app from server.js, booted against
+ * the fake Gmail and Slack APIs with in-memory storage and job queue.
+ *
+ * Configuration is read from the environment when the server's modules
+ * load, so this sets it first and then imports the app — once per test
+ * file (node --test runs each file in its own process). Tests share the
+ * server and use a fresh user per test instead of resetting state.
+ *
+ * Server logs are muted; run with TEST_LOGS=1 to see them.
+ */
+
+import crypto from 'crypto';
+import { startFakeGmail } from './fake-gmail.js';
+import { startFakeSlack } from './fake-slack.js';
+import { createPubSubSimulator } from './pubsub.js';
+import { signedSlackRequest, slackEventBody } from './slack-events.js';
+import { openEventStream } from './sse.js';
+
+export const SLACK_SIGNING_SECRET = 'test-slack-signing-secret';
+export const ADMIN_API_KEY = 'test-admin-key';
+
+const JWT_SECRET = 'test-supabase-jwt-secret';
+const WAIT_TIMEOUT_MS = 5000;
+const WAIT_INTERVAL_MS = 10;
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * A Supabase-style access token for a user, signed with the test JWT secret
+ */
+export function tokenFor(user_id) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({ sub: user_id, email: `${user_id}@users.test`, aud: 'authenticated', iat: now, exp: now + 3600 }));
+  const signature = base64Url(crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest());
+  return `${header}.${payload}.${signature}`;
+}
+
+export function newUser() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Poll `check` until it returns something truthy, and return that
+ */
+export async function waitFor(check, { timeout = WAIT_TIMEOUT_MS, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, WAIT_INTERVAL_MS));
+  }
+}
+
+function muteLogs() {
+  if (process.env.TEST_LOGS) return;
+  for (const level of ['log', 'info', 'warn', 'error']) console[level] = () => {};
+}
+
+export async function startTestServer() {
+  const gmail = await startFakeGmail();
+  const slack = await startFakeSlack();
+  const pubsub = createPubSubSimulator({
+    audience: 'https://triage.test/gmail/webhook',
+    serviceAccount: 'gmail-push@triage-test.iam.gserviceaccount.com',
+    subscription: 'projects/triage-test/subscriptions/gmail-push'
+  });
+
+  // Set explicitly (empty where unused) so a developer's .env can't leak in
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORAGE_BACKEND: 'memory',
+    JOB_STORE: 'memory',
+    SUPABASE_URL: '',
+    SUPABASE_JWT_SECRET: JWT_SECRET,
+    OAUTH_STATE_SECRET: crypto.randomBytes(32).toString('hex'),
+    TOKEN_ENCRYPTION_KEYS: `test:${crypto.randomBytes(32).toString('base64')}`,
+    ADMIN_API_KEY,
+    // A failing job is dead-lettered at once instead of retrying with backoff
+    JOB_MAX_ATTEMPTS: '1',
+    EXTRACTION_LLM_URL: '',
+    GMAIL_CLIENT_ID: 'test-client.apps.googleusercontent.com',
+    GMAIL_CLIENT_SECRET: 'test-client-secret',
+    GMAIL_API_URL: `${gmail.url}/`,
+    GOOGLE_OAUTH_URL: gmail.url,
+    GMAIL_PUBSUB_TOPIC: 'projects/triage-test/topics/gmail',
+    GMAIL_PUBSUB_AUDIENCE: 'https://triage.test/gmail/webhook',
+    GMAIL_PUBSUB_SERVICE_ACCOUNT: 'gmail-push@triage-test.iam.gserviceaccount.com',
+    GMAIL_PUBSUB_SUBSCRIPTION: 'projects/triage-test/subscriptions/gmail-push',
+    GMAIL_PUBSUB_TEST_PUBLIC_KEY: pubsub.publicKeyPem,
+    SLACK_CLIENT_ID: 'test-slack-client',
+    SLACK_CLIENT_SECRET: 'test-slack-secret',
+    SLACK_SIGNING_SECRET,
+    SLACK_API_URL: slack.url
+  });
+  muteLogs();
+
+  const { default: app } = await import('../../server.js');
+  const { startJobWorker, stopJobWorker, jobStats } = await import('../../lib/jobs/index.js');
+  const { getStorage } = await import('../../lib/storage/index.js');
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  startJobWorker();
+
+  /**
+   * Call the server: `user` signs the request as that user.
+   * Resolves to { status, headers, body } (body is JSON when the response is JSON).
+   */
+  async function request(path, { method = 'GET', user, body, headers = {} } = {}) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(user ? { Authorization: `Bearer ${tokenFor(user)}` } : {}),
+        ...(body !== undefined && typeof body !== 'string' ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+  }
+
+  /**
+   * Run an OAuth flow end to end: start it as `user`, then hit the callback
+   * with `code` and the state from the authorize URL
+   */
+  async function completeOAuth(authPath, user, code) {
+    const started = await request(`${authPath}?format=json`, { user });
+    if (started.status !== 200) throw new Error(`OAuth start failed: ${JSON.stringify(started.body)}`);
+    const state = new URL(started.body.url).searchParams.get('state');
+
+    const callback = await request(`${authPath}/callback?${new URLSearchParams({ code, state })}`);
+    return { ...callback, state };
+  }
+
+  /**
+   * Wait until no job is queued or running
+   */
+  async function waitForJobs() {
+    await waitFor(async () => {
+      const { queued, running } = await jobStats();
+      return queued === 0 && running === 0;
+    }, { message: 'the job queue to drain' });
+  }
+
+  return {
+    url,
+    gmail,
+    slack,
+    pubsub,
+    storage: getStorage(),
+    request,
+    completeOAuth,
+    waitForJobs,
+
+    connectGmail(user, email) {
+      return completeOAuth('/auth/google', user, gmail.authorize(email));
+    },
+
+    connectSlack(user, teamId, slackUserId) {
+      return completeOAuth('/auth/slack', user, slack.authorize(teamId, slackUserId));
+    },
+
+    /**
+     * Deliver a Pub/Sub push for a mailbox to /gmail/webhook
+     */
+    pushGmail(emailAddress, historyId, options) {
+      const { headers, body } = pubsub.push({ emailAddress, historyId }, options);
+      return request('/gmail/webhook', { method: 'POST', headers, body });
+    },
+
+    /**
+     * Deliver a signed message event to /slack/webhook
+     */
+    sendSlackEvent(teamId, event, { eventId, authorizations, headers = {} } = {}) {
+      const signed = signedSlackRequest(slackEventBody(teamId, event, { eventId, authorizations }), SLACK_SIGNING_SECRET);
+      return request('/slack/webhook', { method: 'POST', body: signed.body, headers: { ...signed.headers, ...headers } });
+    },
+
+    /**
+     * Open the user's GET /events stream, resuming after `lastEventId` if given
+     */
+    openEvents(user, { lastEventId } = {}) {
+      return openEventStream(`${url}/events`, {
+        ...(user ? { Authorization: `Bearer ${tokenFor(user)}` } : {}),
+        ...(lastEventId !== undefined ? { 'Last-Event-ID': String(lastEventId) } : {})
+      });
+    },
+
+    /**
+     * A user's open items, oldest first
+     */
+    pendingItems(user) {
+      return getStorage().items.listByStatus(user, 'pending', { limit: 100, orderBy: 'created_at' });
+    },
+
+    async close() {
+      stopJobWorker();
+      await new Promise(resolve => server.close(resolve));
+      await Promise.all([gmail.close(), slack.close()]);
+    }
+  };
+}
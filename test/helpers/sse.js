@@ -0,0 +1,65 @@
+/**
+ * Minimal Server-Sent Events client over fetch, for reading GET /events
+ * (EventSource can't send an Authorization header)
+ */
+
+function parseBlock(block) {
+  const event = { id: null, type: 'message', data: '' };
+  let fields = 0;
+
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const name = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (name === 'id') event.id = Number(value);
+    else if (name === 'event') event.type = value;
+    else if (name === 'data') event.data += value;
+    else continue;
+    fields++;
+  }
+
+  if (!fields) return null;
+  return { ...event, data: event.data ? JSON.parse(event.data) : null };
+}
+
+/**
+ * Open a stream. `events` fills up as they arrive; `close()` disconnects.
+ */
+export async function openEventStream(url, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, { headers, signal: controller.signal });
+  const events = [];
+
+  const reading = (async () => {
+    if (!response.ok) return;
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const event = parseBlock(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (event) events.push(event);
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  })();
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    events,
+
+    async close() {
+      controller.abort();
+      await reading;
+    }
+  };
+}
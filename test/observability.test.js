@@ -0,0 +1,221 @@
+/**
+ * Observability end to end: request IDs, structured logs without secrets
+ * or message text, Prometheus metrics and the readiness check
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, newUser, waitFor } from './helpers/server.js';
+
+let server;
+let nextTeam = 1;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+/**
+ * A new workspace with Alice (who connects) and Bob, and a DM between them
+ */
+async function connectedWorkspace() {
+  const teamId = `TOB${String(nextTeam++).padStart(3, '0')}`;
+  const user = newUser();
+
+  server.slack.workspace(teamId, { name: `Workspace ${teamId}` });
+  server.slack.person(teamId, 'UALICE', 'Alice Example');
+  server.slack.person(teamId, 'UBOB', 'Bob Builder');
+  server.slack.channel(teamId, 'DALICEBOB', { type: 'im', members: ['UALICE', 'UBOB'] });
+
+  const connected = await server.connectSlack(user, teamId, 'UALICE');
+  assert.equal(connected.status, 200, connected.body);
+  return { user, teamId };
+}
+
+/**
+ * The parsed JSON log lines written while `fn` runs (logs are muted otherwise)
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const muted = { log: console.log, warn: console.warn, error: console.error };
+  for (const level of Object.keys(muted)) console[level] = line => lines.push(line);
+
+  try {
+    await fn(lines);
+  } finally {
+    Object.assign(console, muted);
+  }
+  return lines.map(line => JSON.parse(line));
+}
+
+/**
+ * One sample from GET /metrics, e.g. metric('triage_items_total', { connector: 'slack', outcome: 'saved' })
+ */
+async function metric(name, labels = {}) {
+  const { body } = await server.request('/metrics');
+  const wanted = Object.entries(labels).map(([label, value]) => `${label}="${value}"`);
+  const sample = body.split('\n').find(line =>
+    line.startsWith(`${name}{`) && wanted.every(pair => line.includes(pair)));
+  return sample ? Number(sample.split(' ').at(-1)) : 0;
+}
+
+// ============================================
+// REQUEST IDS AND LOGS
+// ============================================
+
+test('a valid X-Request-ID is echoed, anything else is replaced', async () => {
+  const kept = await server.request('/health', { headers: { 'X-Request-ID': 'lb-1234.abc' } });
+  assert.equal(kept.headers.get('x-request-id'), 'lb-1234.abc');
+
+  const replaced = await server.request('/health', { headers: { 'X-Request-ID': 'not valid <script>' } });
+  assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('request logs carry the request ID and user', async () => {
+  const user = newUser();
+
+  const logs = await captureLogs(async lines => {
+    const { status } = await server.request('/settings', { user, headers: { 'X-Request-ID': 'settings-req-1' } });
+    assert.equal(status, 200);
+    await waitFor(() => lines.some(line => line.includes('settings-req-1')), { message: 'the access log' });
+  });
+
+  const access = logs.find(entry => entry.request_id === 'settings-req-1');
+  assert.equal(access.msg, 'Request');
+  assert.equal(access.user_id, user);
+  assert.equal(access.path, '/settings');
+  assert.equal(access.status, 200);
+});
+
+test('job logs carry the job and connector, never tokens or message text', async () => {
+  const { user, teamId } = await connectedWorkspace();
+
+  const logs = await captureLogs(async () => {
+    const { status } = await server.sendSlackEvent(teamId, {
+      channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', text: 'Secret plans for the launch'
+    });
+    assert.equal(status, 200);
+    await server.waitForJobs();
+  });
+
+  const captured = logs.find(entry => entry.msg === 'Slack message captured');
+  assert.equal(captured.user_id, user);
+  assert.equal(captured.connector, 'slack');
+  assert.equal(captured.job_type, 'webhook');
+  assert.ok(captured.job_id);
+
+  const output = JSON.stringify(logs);
+  assert.doesNotMatch(output, /Secret plans/);
+  assert.doesNotMatch(output, /xox[bp]-/);
+});
+
+test('secrets and message content are redacted from log fields', async () => {
+  const { log } = await import('../lib/logger.js');
+
+  const [entry] = await captureLogs(() => {
+    log.warn('Upstream said Bearer abc.def', {
+      access_token: 'ya29.token',
+      text: 'Hello there',
+      url: 'https://slack.test/api?token=xoxb-1-2',
+      count: 2
+    }, new Error('failed with xoxp-1-2-3'));
+  });
+
+  assert.equal(entry.msg, 'Upstream said [redacted]');
+  assert.equal(entry.access_token, '[redacted]');
+  assert.equal(entry.text, '[11 chars]');
+  assert.equal(entry.url, 'https://slack.test/api?token=[redacted]');
+  assert.equal(entry.count, 2);
+  assert.equal(entry.err.message, 'failed with [redacted]');
+});
+
+// ============================================
+// METRICS
+// ============================================
+
+test('webhooks, ingested items, jobs and upstream calls are counted', async () => {
+  const { teamId } = await connectedWorkspace();
+  const before = {
+    queued: await metric('triage_webhook_requests_total', { connector: 'slack', outcome: 'queued' }),
+    saved: await metric('triage_items_total', { connector: 'slack', outcome: 'saved' }),
+    jobs: await metric('triage_jobs_total', { type: 'webhook', outcome: 'succeeded' })
+  };
+
+  await server.sendSlackEvent(teamId, { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', text: 'Can you send me the deck?' });
+  await server.waitForJobs();
+
+  assert.equal(await metric('triage_webhook_requests_total', { connector: 'slack', outcome: 'queued' }), before.queued + 1);
+  assert.equal(await metric('triage_items_total', { connector: 'slack', outcome: 'saved' }), before.saved + 1);
+  assert.equal(await metric('triage_jobs_total', { type: 'webhook', outcome: 'succeeded' }), before.jobs + 1);
+  assert.ok(await metric('triage_upstream_request_duration_seconds_count', { service: 'slack', method: 'oauth.v2.access' }) >= 1);
+  assert.ok(await metric('triage_http_request_duration_seconds_count', { route: '/slack/webhook', status: '200' }) >= 1);
+});
+
+test('a webhook with a bad signature is counted as rejected', async () => {
+  const before = await metric('triage_webhook_requests_total', { connector: 'slack', outcome: 'rejected' });
+
+  const { status } = await server.request('/slack/webhook', {
+    method: 'POST',
+    headers: { 'X-Slack-Request-Timestamp': String(Math.floor(Date.now() / 1000)), 'X-Slack-Signature': 'v0=bad' },
+    body: { type: 'event_callback' }
+  });
+  assert.equal(status, 401);
+  assert.equal(await metric('triage_webhook_requests_total', { connector: 'slack', outcome: 'rejected' }), before + 1);
+});
+
+test('a failed upstream call is counted with its error code', async () => {
+  const before = await metric('triage_upstream_errors_total', { service: 'slack', method: 'oauth.v2.access', code: 'invalid_code' });
+
+  const user = newUser();
+  const { body } = await server.completeOAuth('/auth/slack', user, 'not-a-real-code');
+  assert.match(body, /invalid_code/);
+
+  assert.equal(await metric('triage_upstream_errors_total', { service: 'slack', method: 'oauth.v2.access', code: 'invalid_code' }), before + 1);
+});
+
+test('/metrics needs METRICS_TOKEN when it is set', async () => {
+  process.env.METRICS_TOKEN = 'test-metrics-token';
+  try {
+    const denied = await server.request('/metrics');
+    assert.equal(denied.status, 401);
+
+    const allowed = await server.request('/metrics', { headers: { Authorization: 'Bearer test-metrics-token' } });
+    assert.equal(allowed.status, 200);
+    assert.match(allowed.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(allowed.body, /# TYPE triage_webhook_requests_total counter/);
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+});
+
+// ============================================
+// HEALTH
+// ============================================
+
+test('/health/ready checks the database and reports each connector', async () => {
+  const { status, body } = await server.request('/health/ready');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.checks.database.status, 'ok');
+  assert.equal(body.checks.database.backend, 'memory');
+  assert.equal(body.checks.jobs.status, 'ok');
+  assert.deepEqual(body.connectors, { gmail: { status: 'ok' }, slack: { status: 'ok' } });
+});
+
+test('/health/ready is 503 when the database does not answer', async () => {
+  const { storage } = server;
+  const ping = storage.ping;
+  storage.ping = async () => {
+    throw new Error('connection refused');
+  };
+
+  try {
+    const { status, body } = await server.request('/health/ready');
+    assert.equal(status, 503);
+    assert.equal(body.status, 'unavailable');
+    assert.deepEqual(body.checks.database, { status: 'error', error: 'connection refused' });
+  } finally {
+    storage.ping = ping;
+  }
+});
@@ -0,0 +1,61 @@
+/**
+ * Settings: partial updates of the option objects keep what the client left out
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, newUser } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+async function updateSettings(user, body) {
+  const { status, body: response } = await server.request('/settings', { method: 'PUT', user, body });
+  assert.equal(status, 200, JSON.stringify(response));
+  return response.settings;
+}
+
+// ============================================
+// PARTIAL UPDATES
+// ============================================
+
+test('updating one Slack capture toggle keeps the others', async () => {
+  const user = newUser();
+  await updateSettings(user, { slack_capture: { mpim: false } });
+
+  const settings = await updateSettings(user, { slack_capture: { dm: false } });
+  assert.deepEqual(settings.slack_capture, {
+    dm: false,
+    mpim: false,
+    app_mention: true,
+    channel_mention: true,
+    thread_reply: true,
+    edits: true
+  });
+});
+
+test('updating one auto-resolve trigger keeps the others', async () => {
+  const user = newUser();
+  await updateSettings(user, { auto_resolve: { gmail_archived: false } });
+
+  const settings = await updateSettings(user, { auto_resolve: { gmail_read: true } });
+  assert.deepEqual(settings.auto_resolve, {
+    gmail_sent: true,
+    gmail_archived: false,
+    gmail_read: true,
+    slack_reply: true
+  });
+});
+
+test('updating the digest time keeps the rest of the schedule', async () => {
+  const user = newUser();
+  await updateSettings(user, { digest: { enabled: true, time: '07:30', timezone: 'Europe/Berlin', email: false, slack: true } });
+
+  const settings = await updateSettings(user, { digest: { time: '09:00' } });
+  assert.deepEqual(settings.digest, { enabled: true, time: '09:00', timezone: 'Europe/Berlin', email: false, slack: true });
+});
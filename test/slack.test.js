@@ -0,0 +1,352 @@
+/**
+ * Slack end to end: OAuth connect, signed Events API deliveries through the
+ * job queue, what is captured or ignored, retries and failure handling
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, newUser, SLACK_SIGNING_SECRET, ADMIN_API_KEY } from './helpers/server.js';
+import { signSlackRequest, signedSlackRequest, slackEventBody, slackTs } from './helpers/slack-events.js';
+
+let server;
+let nextTeam = 1;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+/**
+ * A new workspace with Alice (who connects) and Bob, and a DM between them
+ */
+async function connectedWorkspace() {
+  const teamId = `T${String(nextTeam++).padStart(4, '0')}`;
+  const user = newUser();
+
+  server.slack.workspace(teamId, { name: `Workspace ${teamId}` });
+  server.slack.person(teamId, 'UALICE', 'Alice Example');
+  server.slack.person(teamId, 'UBOB', 'Bob Builder');
+  server.slack.channel(teamId, 'DALICEBOB', { type: 'im', members: ['UALICE', 'UBOB'] });
+
+  const connected = await server.connectSlack(user, teamId, 'UALICE');
+  assert.equal(connected.status, 200, connected.body);
+  return { user, teamId };
+}
+
+function callsTo(method) {
+  return server.slack.calls.filter(call => call.method === method).length;
+}
+
+async function deliver(teamId, event, options) {
+  const { status } = await server.sendSlackEvent(teamId, event, options);
+  assert.equal(status, 200);
+  await server.waitForJobs();
+}
+
+// ============================================
+// OAUTH
+// ============================================
+
+test('OAuth callback stores encrypted bot and user tokens', async () => {
+  const { user, teamId } = await connectedWorkspace();
+
+  const connection = await server.storage.slackConnections.get(user, teamId);
+  assert.equal(connection.team_name, `Workspace ${teamId}`);
+  assert.equal(connection.bot_user_id, `UBOT${teamId}`);
+  assert.equal(connection.authed_user_id, 'UALICE');
+  assert.match(connection.bot_token, /^enc:/);
+  assert.match(connection.user_token, /^enc:/);
+
+  const { body } = await server.request('/connections', { user });
+  assert.deepEqual(body.connections.map(c => [c.id, c.status, c.user_token]), [[`slack:${teamId}`, 'active', true]]);
+});
+
+test('OAuth callback with an invalid code stores nothing', async () => {
+  const user = newUser();
+
+  const { status, body } = await server.completeOAuth('/auth/slack', user, 'not-a-real-code');
+  assert.equal(status, 500);
+  assert.match(body, /invalid_code/);
+  assert.deepEqual(await server.storage.slackConnections.listByUser(user), []);
+});
+
+test('the OAuth result page escapes the provider error and workspace name', async () => {
+  const user = newUser();
+  server.slack.failNext('oauth.v2.access', { error: '<img src=x onerror=alert(1)>' });
+
+  const failed = await server.completeOAuth('/auth/slack', user, 'any-code');
+  assert.equal(failed.status, 500);
+  assert.doesNotMatch(failed.body, /<img/);
+  assert.match(failed.body, /&lt;img src=x onerror=alert\(1\)&gt;/);
+
+  server.slack.workspace('TXSS01', { name: '<b>Acme</b>' });
+  server.slack.person('TXSS01', 'UALICE', 'Alice Example');
+  const connected = await server.connectSlack(user, 'TXSS01', 'UALICE');
+  assert.equal(connected.status, 200);
+  assert.match(connected.body, /Workspace: &lt;b&gt;Acme&lt;\/b&gt;/);
+});
+
+test('the OAuth test page answers 500 when the state cannot be stored', async () => {
+  const { oauthStates } = server.storage;
+  const create = oauthStates.create;
+  oauthStates.create = async () => {
+    throw new Error('database unavailable');
+  };
+
+  try {
+    const { status, body } = await server.request('/auth/slack/test', { user: newUser() });
+    assert.equal(status, 500);
+    assert.equal(body.error, 'database unavailable');
+  } finally {
+    oauthStates.create = create;
+  }
+});
+
+// ============================================
+// WEBHOOK VERIFICATION
+// ============================================
+
+test('the URL verification handshake echoes the challenge', async () => {
+  const signed = signedSlackRequest({ type: 'url_verification', challenge: 'challenge-123' }, SLACK_SIGNING_SECRET);
+
+  const { status, body } = await server.request('/slack/webhook', { method: 'POST', ...signed });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { challenge: 'challenge-123' });
+});
+
+test('requests with a bad or stale signature are rejected', async () => {
+  const body = JSON.stringify(slackEventBody('TNOBODY', { channel: 'D1', channel_type: 'im', user: 'UBOB', text: 'hi' }));
+  const json = { 'Content-Type': 'application/json' };
+
+  const cases = {
+    'wrong secret': signSlackRequest(body, 'not-the-secret'),
+    'stale timestamp': signSlackRequest(body, SLACK_SIGNING_SECRET, { timestamp: Math.floor(Date.now() / 1000) - 600 }),
+    'no signature': {}
+  };
+
+  for (const [name, headers] of Object.entries(cases)) {
+    const { status } = await server.request('/slack/webhook', { method: 'POST', body, headers: { ...json, ...headers } });
+    assert.equal(status, 401, name);
+  }
+
+  const tampered = signSlackRequest(body, SLACK_SIGNING_SECRET);
+  const { status } = await server.request('/slack/webhook', { method: 'POST', body: body.replace('hi', 'ho'), headers: { ...json, ...tampered } });
+  assert.equal(status, 401, 'tampered body');
+});
+
+// ============================================
+// INGESTION
+// ============================================
+
+test('a DM to the connected user is captured with the sender name', async () => {
+  const { user, teamId } = await connectedWorkspace();
+
+  await deliver(teamId, { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', text: 'Can you send me the deck?' });
+
+  const items = await server.pendingItems(user);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].platform_tag, 'slack');
+  assert.equal(items[0].sender_name, 'Bob Builder');
+  assert.match(items[0].message_link, new RegExp(`team=${teamId}&channel=DALICEBOB`));
+});
+
+test('bot messages, other people\'s DMs and channel chatter are ignored, mentions are captured', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  server.slack.person(teamId, 'UCAROL', 'Carol');
+  server.slack.channel(teamId, 'DBOBCAROL', { type: 'im', members: ['UBOB', 'UCAROL'] });
+
+  await deliver(teamId, { channel: 'DALICEBOB', channel_type: 'im', bot_id: 'BHOOK', text: 'Build passed' });
+  await deliver(teamId, { channel: 'DBOBCAROL', channel_type: 'im', user: 'UCAROL', text: 'Not for Alice' });
+  await deliver(teamId, { channel: 'CGENERAL', channel_type: 'channel', user: 'UBOB', text: 'Lunch anyone?' });
+  await deliver(teamId, { channel: 'CGENERAL', channel_type: 'channel', user: 'UBOB', text: '<@UALICE> please review the PR', ts: '1700000000.000200' });
+
+  const items = await server.pendingItems(user);
+  assert.deepEqual(items.map(i => i.message_link.split('&').slice(1)), [['channel=CGENERAL', 'message_ts=1700000000.000200']]);
+});
+
+test('a retried event is only processed once', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const event = { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', text: 'Are you there?', ts: '1700000000.000100' };
+  const lookups = callsTo('users.info');
+
+  await deliver(teamId, event, { eventId: `Ev-retry-${teamId}` });
+  await deliver(teamId, event, {
+    eventId: `Ev-retry-${teamId}`,
+    headers: { 'X-Slack-Retry-Num': '1', 'X-Slack-Retry-Reason': 'http_timeout' }
+  });
+
+  assert.equal(callsTo('users.info') - lookups, 1);
+  assert.equal((await server.pendingItems(user)).length, 1);
+});
+
+test('an event for a workspace nobody connected saves nothing', async () => {
+  const lookups = callsTo('users.info');
+
+  await deliver('TUNKNOWN', { channel: 'D1', channel_type: 'im', user: 'UBOB', text: 'Hello?' });
+
+  assert.equal(callsTo('users.info') - lookups, 0);
+});
+
+// ============================================
+// EDITS AND DELETES IN THREADS
+// ============================================
+
+/**
+ * Bob's DM to Alice with two thread replies, merged into one item
+ */
+async function dmThread(teamId) {
+  const dm = { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB' };
+  const [parent, first, second] = [slackTs(), slackTs(), slackTs()];
+
+  await deliver(teamId, { ...dm, ts: parent, text: 'Can you review the budget?' });
+  await deliver(teamId, { ...dm, ts: first, thread_ts: parent, text: 'The numbers are in the sheet' });
+  await deliver(teamId, { ...dm, ts: second, thread_ts: parent, text: 'Before Friday please' });
+
+  const edit = (ts, text, previous) => deliver(teamId, {
+    ...dm,
+    subtype: 'message_changed',
+    message: { type: 'message', user: 'UBOB', ts, thread_ts: parent, text },
+    previous_message: { type: 'message', user: 'UBOB', ts, thread_ts: parent, text: previous }
+  });
+  const remove = ts => deliver(teamId, {
+    ...dm,
+    subtype: 'message_deleted',
+    deleted_ts: ts,
+    previous_message: { type: 'message', user: 'UBOB', ts, thread_ts: parent, text: 'Deleted' }
+  });
+
+  return { ts: { parent, first, second }, ids: [parent, first, second].map(ts => `${teamId}-DALICEBOB-${ts}`), edit, remove };
+}
+
+async function onlyItem(user) {
+  const items = await server.pendingItems(user);
+  assert.equal(items.length, 1);
+  return items[0];
+}
+
+test('editing the latest reply updates the thread item snippet', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const thread = await dmThread(teamId);
+
+  await thread.edit(thread.ts.second, 'Before Thursday please', 'Before Friday please');
+
+  const item = await onlyItem(user);
+  assert.equal(item.latest_snippet, 'Before Thursday please');
+  assert.equal(item.message_count, 3);
+  assert.match(item.task_text, /review the budget/i);
+});
+
+test('editing the parent extracts the thread item task again', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const thread = await dmThread(teamId);
+
+  await thread.edit(thread.ts.parent, 'Can you review the forecast?', 'Can you review the budget?');
+
+  const item = await onlyItem(user);
+  assert.match(item.task_text, /review the forecast/i);
+  assert.equal(item.latest_snippet, 'Before Friday please');
+  assert.equal(item.message_count, 3);
+});
+
+test('deleting a reply takes it out of the thread item', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const thread = await dmThread(teamId);
+
+  await thread.remove(thread.ts.second);
+
+  const item = await onlyItem(user);
+  assert.equal(item.message_count, 2);
+  assert.deepEqual(item.thread_message_ids, thread.ids.slice(0, 2));
+  assert.equal(item.latest_snippet, null);
+  assert.equal(item.source_ref.messageTs, thread.ts.first);
+});
+
+test('deleting the parent keeps the thread item for its replies', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const thread = await dmThread(teamId);
+
+  await thread.remove(thread.ts.parent);
+
+  const item = await onlyItem(user);
+  assert.equal(item.message_count, 2);
+  assert.deepEqual(item.thread_message_ids, thread.ids.slice(1));
+  assert.equal(item.message_id, thread.ids[1]);
+  assert.match(item.message_link, new RegExp(`message_ts=${thread.ts.first}$`));
+  assert.equal(item.latest_snippet, 'Before Friday please');
+});
+
+test('a parent replaced by a tombstone is treated as deleted', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const thread = await dmThread(teamId);
+
+  await deliver(teamId, {
+    channel: 'DALICEBOB',
+    channel_type: 'im',
+    subtype: 'message_changed',
+    message: { type: 'message', subtype: 'tombstone', user: 'USLACKBOT', ts: thread.ts.parent, thread_ts: thread.ts.parent, text: 'This message was deleted.' },
+    previous_message: { type: 'message', user: 'UBOB', ts: thread.ts.parent, thread_ts: thread.ts.parent, text: 'Can you review the budget?' }
+  });
+
+  const item = await onlyItem(user);
+  assert.equal(item.message_id, thread.ids[1]);
+  assert.doesNotMatch(item.task_text, /This message was deleted/);
+});
+
+test('deleting a message that was never merged still deletes its item', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const ts = slackTs();
+  await deliver(teamId, { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', ts, text: 'Lunch?' });
+
+  await deliver(teamId, {
+    channel: 'DALICEBOB',
+    channel_type: 'im',
+    subtype: 'message_deleted',
+    deleted_ts: ts,
+    previous_message: { type: 'message', user: 'UBOB', ts, text: 'Lunch?' }
+  });
+
+  assert.deepEqual(await server.pendingItems(user), []);
+});
+
+// ============================================
+// ERROR PATHS
+// ============================================
+
+test('a failed user lookup falls back to the Slack user ID', async () => {
+  const { user, teamId } = await connectedWorkspace();
+
+  server.slack.failNext('users.info', { error: 'ratelimited' });
+  await deliver(teamId, { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', text: 'Quick question' });
+
+  const items = await server.pendingItems(user);
+  assert.deepEqual(items.map(i => i.sender_name), ['UBOB']);
+});
+
+test('a Slack API failure dead-letters the event and marks the connection', async () => {
+  const { user, teamId } = await connectedWorkspace();
+
+  server.slack.failNext('conversations.info', { error: 'ratelimited' });
+  await deliver(teamId, { channel: 'DALICEBOB', channel_type: 'im', user: 'UBOB', text: 'Lost?' });
+
+  assert.equal((await server.pendingItems(user)).length, 0);
+
+  const { body: listed } = await server.request('/connections', { user });
+  assert.equal(listed.connections[0].status, 'error');
+  assert.equal(listed.connections[0].last_error, 'Slack conversations.info failed: ratelimited');
+
+  const { body } = await server.request('/admin/jobs/dead?type=webhook', { headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } });
+  const dead = body.jobs.filter(job => job.payload.payload.teamId === teamId);
+  assert.deepEqual(dead.map(job => job.last_error), ['Slack conversations.info failed: ratelimited']);
+});
+
+test('disconnecting the last user revokes the user and bot tokens', async () => {
+  const { user, teamId } = await connectedWorkspace();
+  const revokes = callsTo('auth.revoke');
+
+  const { status } = await server.request(`/connections/slack:${teamId}`, { method: 'DELETE', user });
+  assert.equal(status, 200);
+
+  assert.equal(callsTo('auth.revoke') - revokes, 2);
+  assert.equal(await server.storage.slackConnections.get(user, teamId), null);
+});